@@ -8,6 +8,30 @@
  * 1. STRIPE_SECRET_KEY: Your Stripe secret key (e.g., sk_test_...).
  * 2. WEBHOOK_SECRET_KEY: A secret key for the Stripe webhook (e.g., UUID).
  * 3. DEFAULT_PRICE_ID: The default price ID for the product.
+ * 4. MONTHLY_PRICE_ID (optional): Recurring monthly price ID for the 'monthly' subscription plan.
+ * 5. YEARLY_PRICE_ID (optional): Recurring yearly price ID for the 'yearly' subscription plan.
+ * 6. SUBSCRIPTION_GRACE_DAYS (optional): Days a subscriber keeps access after the current period ends
+ *    or a renewal payment fails. Defaults to 3.
+ * 7. WEBHOOK_VERIFY_EVENTS (optional): Set to 'true' to ignore the posted webhook body and act only on the
+ *    event retrieved from the Stripe API by its ID. Recommended, see handleStripeWebhook_.
+ * 8. TRIAL_DAYS (optional): Length of the free trial each new user gets, starting at their first verify.
+ *    Requires a 'Trials' sheet. Trials are off when unset or 0.
+ * 9. LICENSE_SEAT_PRICE_ID (optional): Per-seat price ID for team licenses. Defaults to DEFAULT_PRICE_ID.
+ * 10. DOMAIN_LICENSE_PRICE_ID (optional): Price ID for whole-domain licenses. Domain licenses are off when unset.
+ * 11. APP_NAME (optional): Name shown on the checkout success and cancel pages. Defaults to 'Premium Extension'.
+ * 12. ENTITLEMENT_SIGNING_KEY (optional): RSA private key (PKCS#8 PEM) used to sign the entitlement tokens
+ *     returned by verify. The extension ships the matching public key. No tokens are issued when unset.
+ * 13. ENTITLEMENT_TOKEN_HOURS (optional): How long an entitlement token stays valid. Defaults to 72.
+ * 14. LOG_LEVEL (optional): Lowest level written to the Error Logs sheet: debug, info, warn or error. Defaults to info.
+ * 15. LOG_MAX_ROWS (optional): Row cap of the Error Logs sheet before old rows are rotated out. Defaults to 10000.
+ * 16. ADMIN_EMAILS (optional): Comma-separated Google accounts allowed to use the admin dashboard (?page=admin).
+ * 17. GOOGLE_CLIENT_IDS: Comma-separated OAuth client IDs whose Google tokens are accepted (the extension's
+ *     oauth2.client_id in manifest.json). Tokens issued to any other app are rejected.
+ * 18. STORAGE_BACKEND (optional): Where payments, promotions, logs and events are kept: 'sheets' (default) or
+ *     'properties'. See createStores_, and migrateStorage_ for moving existing data.
+ * 19. TRANSFER_LIMIT (optional): How many times a purchase can be moved to another Google account. Defaults to 3.
+ * Localized prices need a 'Prices' sheet (see getLocalPrices_). Without it every buyer pays the prices above.
+ * Gift purchases need a 'Keys' sheet and send the license key to the buyer with MailApp.
  * Note: STRIPE_WEBHOOK_SECRET is not used because Google Apps Script does not reliably provide the necessary headers in the event object 'e'.
  */
 
@@ -16,19 +40,112 @@ const scriptProperties = PropertiesService.getScriptProperties();
 const STRIPE_SECRET_KEY = scriptProperties.getProperty('STRIPE_SECRET_KEY');
 const WEBHOOK_SECRET_KEY = scriptProperties.getProperty('WEBHOOK_SECRET_KEY'); // secret key because google removes the stripe secret key and the headers
 const DEFAULT_PRICE_ID = scriptProperties.getProperty('DEFAULT_PRICE_ID'); // Price id for promotions as well
+// Recurring plans. A plan is only offered if its price ID is configured.
+const SUBSCRIPTION_PLANS = {
+  monthly: scriptProperties.getProperty('MONTHLY_PRICE_ID'),
+  yearly: scriptProperties.getProperty('YEARLY_PRICE_ID')
+};
+const SUBSCRIPTION_GRACE_DAYS = Number(scriptProperties.getProperty('SUBSCRIPTION_GRACE_DAYS') || 3);
+const WEBHOOK_VERIFY_EVENTS = scriptProperties.getProperty('WEBHOOK_VERIFY_EVENTS') === 'true';
+const TRIAL_DAYS = Number(scriptProperties.getProperty('TRIAL_DAYS') || 0);
+const LICENSE_SEAT_PRICE_ID = scriptProperties.getProperty('LICENSE_SEAT_PRICE_ID') || DEFAULT_PRICE_ID;
+const DOMAIN_LICENSE_PRICE_ID = scriptProperties.getProperty('DOMAIN_LICENSE_PRICE_ID');
+const MAX_LICENSE_SEATS = 500;
+const TRANSFER_LIMIT = Number(scriptProperties.getProperty('TRANSFER_LIMIT') || 3);
+const TRANSFER_CODE_MINUTES = 15;
+const APP_NAME = scriptProperties.getProperty('APP_NAME') || 'Premium Extension';
+// Script Properties are single-line, so a PEM pasted with literal "\n" sequences is accepted too.
+const ENTITLEMENT_SIGNING_KEY = (scriptProperties.getProperty('ENTITLEMENT_SIGNING_KEY') || '').replace(/\\n/g, '\n');
+const ENTITLEMENT_TOKEN_HOURS = Number(scriptProperties.getProperty('ENTITLEMENT_TOKEN_HOURS') || 72);
+const ADMIN_EMAILS = (scriptProperties.getProperty('ADMIN_EMAILS') || '').split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+// Domain licenses for consumer Google accounts would cover the general public.
+const GOOGLE_CLIENT_IDS = (scriptProperties.getProperty('GOOGLE_CLIENT_IDS') || '').split(',')
+  .map(clientId => clientId.trim())
+  .filter(Boolean);
+const TOKEN_CACHE_SECONDS = 300;
+const CONSUMER_EMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
 const SCRIPT_CACHE = CacheService.getScriptCache();
 
 // Get the ID of the sheet to store data in.
+// Payments, Promotions, Error Logs and Events are read through STORES instead (see createStores_).
 const SPREADSHEET = SpreadsheetApp.getActiveSpreadsheet();
-const PAYMENTS_SHEET = SPREADSHEET.getSheetByName('Payments');
-if (!PAYMENTS_SHEET) {
-  throw new Error("FATAL: Could not find the required sheet tab named 'Payments'. Please check for typos or create it.");
-}
-const LOGS_SHEET = SPREADSHEET.getSheetByName('Error Logs');
-if (!LOGS_SHEET) {
-  throw new Error("FATAL: Could not find the required sheet tab named 'Error Logs'. Please check for typos or create it.");
-}
-const PROMOTIONS_SHEET = SPREADSHEET.getSheetByName('Promotions'); // For promotions
+const STORAGE_BACKEND = scriptProperties.getProperty('STORAGE_BACKEND') || 'sheets';
+const PRODUCTS_SHEET = SPREADSHEET.getSheetByName('Products'); // Optional: add-on packs and their entitlements
+const PRICES_SHEET = SPREADSHEET.getSheetByName('Prices'); // Optional: prices per currency or region
+const USERS_SHEET = SPREADSHEET.getSheetByName('Users'); // Optional: first-seen dates for promotion targeting
+const TRIALS_SHEET = SPREADSHEET.getSheetByName('Trials'); // Optional: per-user free trials (see TRIAL_DAYS)
+const LICENSES_SHEET = SPREADSHEET.getSheetByName('Licenses'); // Optional: team and domain licenses
+const SEATS_SHEET = SPREADSHEET.getSheetByName('Seats'); // Optional: seat holders of team licenses
+const KEYS_SHEET = SPREADSHEET.getSheetByName('Keys'); // Optional: hashed license keys from gift purchases
+const AUDIT_SHEET = SPREADSHEET.getSheetByName('Audit Log'); // Optional: changes made from the admin dashboard
+
+// Entitlement granted by DEFAULT_PRICE_ID, the subscription plans and FREE promotions.
+const DEFAULT_ENTITLEMENT = 'premium';
+
+// Currencies Stripe expresses in whole units rather than cents.
+const ZERO_DECIMAL_CURRENCIES = ['bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'];
+
+// 1-based column positions in the Payments sheet.
+const PAYMENT_COLUMNS = {
+  EMAIL: 1,
+  PURCHASE_DATE: 2,
+  EVENT_ID: 3,
+  SUBSCRIPTION_ID: 4,      // Empty for one-time payments
+  SUBSCRIPTION_STATUS: 5,  // Stripe subscription status (active, past_due, canceled, ...)
+  CURRENT_PERIOD_END: 6,   // End of the paid period for subscriptions
+  PAYMENT_INTENT_ID: 7,    // Used to match refunds and disputes to one-time payments
+  REVOKED_REASON: 8,       // refunded, dispute_opened or dispute_lost. Empty while the payment is valid
+  REVOKED_AT: 9,
+  PRODUCT_ID: 10,          // Products sheet ID. Empty for the default product and subscription plans
+  LICENSE_ID: 11,          // Licenses sheet ID for team/domain purchases, which grant premium to the seats, not the buyer
+  GIFT_KEY_ID: 12,         // Keys sheet ID for gift purchases, which grant premium to whoever redeems the key, not the buyer
+  TRANSFERS: 13,           // How many times the purchase was moved to another account (see handleTransferLicense_)
+  TRANSFERRED_TO: 14       // On a 'transferred' row: the account the purchase was moved to
+};
+const PAYMENT_COLUMN_COUNT = 14;
+const PAYMENTS_HEADER = ['Email', 'PurchaseDate', 'StripeEventID', 'SubscriptionID', 'SubscriptionStatus', 'CurrentPeriodEnd',
+  'PaymentIntentID', 'RevokedReason', 'RevokedAt', 'ProductID', 'LicenseID', 'GiftKeyID', 'Transfers', 'TransferredTo'];
+const PROMOTIONS_HEADER = ['ActiveUntilDate', 'PromoType', 'StripePromoCodeID', 'PromoMessage', 'ButtonText', 'SalePriceText',
+  'OriginalPriceText', 'StartDate', 'Priority', 'Audience'];
+
+// Webhook events that were processed. Stripe retries an event for up to 3 days, so only the newest are kept.
+const EVENT_HEADER = ['EventID', 'Type', 'ProcessedAt'];
+const EVENTS_MAX_ROWS = 1000;
+
+// Log levels in increasing severity. LOG_LEVEL is the lowest level written to the Error Logs sheet.
+const LOG_LEVELS = { debug: 0, info: 1, warn: 2, error: 3 };
+const LOG_LEVEL = LOG_LEVELS.hasOwnProperty(scriptProperties.getProperty('LOG_LEVEL')) ? scriptProperties.getProperty('LOG_LEVEL') : 'info';
+// The Script Properties hold far less than a sheet, so the other backends keep fewer log rows by default.
+const LOG_MAX_ROWS = Number(scriptProperties.getProperty('LOG_MAX_ROWS') || (STORAGE_BACKEND === 'sheets' ? 10000 : 200));
+const LOG_BUFFER_LIMIT = 100;
+const LOG_COLUMN_COUNT = 6;
+const LOGS_HEADER = ['Timestamp', 'FunctionName', 'ErrorMessage', 'Level', 'RequestID', 'Context'];
+
+const STORES = createStores_(STORAGE_BACKEND);
+
+// Prefix of the EventID written for a key redemption. The rest is the key ID.
+const REDEMPTION_EVENT_PREFIX = 'redeem_';
+// Prefix of the EventID of a transfer's audit row. The rest is the transfer number and the moved row's EventID.
+const TRANSFER_EVENT_PREFIX = 'transfer_';
+
+// Requests allowed per action in each window, counted separately per Google token and per email.
+// Actions that call Stripe or guess at secrets get the tightest limits. Unknown actions share 'other'.
+const RATE_LIMITS = {
+  verify: { limit: 30, windowSeconds: 60 },
+  createCheckout: { limit: 5, windowSeconds: 600 },
+  validateCoupon: { limit: 10, windowSeconds: 600 },
+  getLicenses: { limit: 30, windowSeconds: 60 },
+  addSeat: { limit: 20, windowSeconds: 60 },
+  removeSeat: { limit: 20, windowSeconds: 60 },
+  redeemKey: { limit: 5, windowSeconds: 600 },
+  createPortalSession: { limit: 5, windowSeconds: 600 },
+  getPurchases: { limit: 10, windowSeconds: 600 },
+  createTransferCode: { limit: 5, windowSeconds: 600 },
+  transferLicense: { limit: 5, windowSeconds: 600 },
+  other: { limit: 10, windowSeconds: 60 }
+};
 
 // --- Main Request Handlers ---
 
@@ -42,96 +159,476 @@ const PROMOTIONS_SHEET = SPREADSHEET.getSheetByName('Promotions'); // For promot
  * Main entry point for all POST requests.
  */
 function doPost(e) {
+  const requestId = startRequestLog_();
+  let action;
   try {
     if (e.parameter && e.parameter.webhook_secret === WEBHOOK_SECRET_KEY) {
-      return handleStripeWebhook(e);
+      return handleStripeWebhook_(e);
     }
     
     const payload = JSON.parse(e.postData.contents);
-    const { action, token } = payload;
+    action = payload.action;
+    const token = payload.token;
+    logDebug_('doPost', 'Extension request received.', { action: action });
 
-    if (!token) return createJsonResponse({ error: 'Missing authentication token' });
+    if (!token) return createJsonResponse_({ error: 'Missing authentication token' });
+
+    // Checked before tokeninfo is called, so a looping client cannot spend the UrlFetch quota.
+    const tokenRetryAfter = checkRateLimit_('token', token, action);
+    if (tokenRetryAfter) return createRateLimitedResponse_('token', action, tokenRetryAfter);
     
-    const userInfo = verifyGoogleToken(token);
-    if (!userInfo || !userInfo.email) return createJsonResponse({ error: 'Invalid or expired token' });
+    const userInfo = verifyGoogleToken_(token);
+    if (!userInfo || !userInfo.email) return createJsonResponse_({ error: 'Invalid or expired token' });
     
     const userEmail = userInfo.email;
+    // A new token is only a silent getAuthToken away, so the same limits apply per account.
+    const emailRetryAfter = checkRateLimit_('email', userEmail, action);
+    if (emailRetryAfter) return createRateLimitedResponse_('email', action, emailRetryAfter, userEmail);
 
-    if (action === 'verify') return handleVerify(userEmail);
-    if (action === 'createCheckout') return handleCreateCheckout(userEmail);
+    if (action === 'verify') return handleVerify_(userEmail, payload);
+    if (action === 'createCheckout') return handleCreateCheckout_(userEmail, payload);
+    if (action === 'validateCoupon') return handleValidateCoupon_(userEmail, payload);
+    if (action === 'getLicenses') return handleGetLicenses_(userEmail);
+    if (action === 'addSeat') return handleAddSeat_(userEmail, payload);
+    if (action === 'removeSeat') return handleRemoveSeat_(userEmail, payload);
+    if (action === 'redeemKey') return handleRedeemKey_(userEmail, payload);
+    if (action === 'createPortalSession') return handleCreatePortalSession_(userEmail);
+    if (action === 'getPurchases') return handleGetPurchases_(userEmail);
+    if (action === 'createTransferCode') return handleCreateTransferCode_(userEmail);
+    if (action === 'transferLicense') return handleTransferLicense_(userEmail, payload);
 
-    return createJsonResponse({ error: 'Invalid action specified' });
+    return createJsonResponse_({ error: 'Invalid action specified' });
 
   } catch (error) {
-    logError('doPost_Global', error.message);
-    return createJsonResponse({ error: 'An unexpected server error occurred.' });
+    logError_('doPost_Global', error.message, { action: action, stack: error.stack });
+    // The request ID lets support find this request's log rows.
+    return createJsonResponse_({ error: 'An unexpected server error occurred.', requestId: requestId });
+  } finally {
+    flushLogs_();
   }
 }
 
-// --- FUNCTION FOR PRODUCT PROMOTION HANDLING: Reads promotion data from the sheet or from cahce---
-function getActivePromotion() {
-  const cacheKey = 'active_promotion_data';
-  
+// --- Checkout Return Pages (served by doGet) ---
+
+/**
+ * Main entry point for GET requests: the pages Stripe Checkout returns the buyer to.
+ * ?page=success&session_id=cs_... shows the payment's status; ?page=cancel confirms nothing was charged.
+ * ?page=billing is where the Stripe Customer Portal returns to. ?page=admin is the admin dashboard, for the accounts in ADMIN_EMAILS.
+ */
+function doGet(e) {
+  const params = (e && e.parameter) || {};
+  startRequestLog_();
   try {
-    // --- FAST PATH: Attempt to retrieve data from the high-speed cache first ---
-    const cachedData = SCRIPT_CACHE.get(cacheKey);
-    if (cachedData !== null) {
-      logError('getActivePromotion', 'Returning promotion data from CACHE.');
-      // If found in cache, parse it and return it immediately.
-      return createJsonResponse(JSON.parse(cachedData));
-    }
-
-    // --- SLOW PATH: If not in cache, read from the Google Sheet ---
-    logError('getActivePromotion', 'Cache miss. Reading promotion data from SHEET.');
-    const data = PROMOTIONS_SHEET.getDataRange().getValues();
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    if (params.page === 'success') return renderSuccessPage_(params.session_id);
+    if (params.page === 'cancel') return renderCancelPage_();
+    if (params.page === 'billing') return renderBillingReturnPage_();
+    if (params.page === 'admin') return renderAdminPage_();
+    return createBrandedPage_('Not Found', '<p>This page does not exist.</p>');
+  } catch (error) {
+    logError_('doGet_Global', error.message, { page: params.page, stack: error.stack });
+    return createBrandedPage_('Something went wrong', '<p>Please close this tab and open the extension again.</p>');
+  } finally {
+    flushLogs_();
+  }
+}
 
-    for (let i = 1; i < data.length; i++) {
-      const row = data[i];
-      const promoEndDateStr = row[0];
-      let promoEndDate;
-      try {
-        if (promoEndDateStr) {
-          promoEndDate = new Date(promoEndDateStr);
-          if (isNaN(promoEndDate.getTime())) continue;
-        } else {
-          continue;
-        }
-      } catch (e) {
-        continue;
+/**
+ * Builds the success_url and cancel_url of a Checkout Session from the deployed web app URL.
+ * Stripe replaces {CHECKOUT_SESSION_ID} with the session's ID.
+ * @returns {{successUrl: string, cancelUrl: string}}
+ */
+function getCheckoutReturnUrls_() {
+  const webAppUrl = ScriptApp.getService().getUrl();
+  return {
+    successUrl: `${webAppUrl}?page=success&session_id={CHECKOUT_SESSION_ID}`,
+    cancelUrl: `${webAppUrl}?page=cancel`
+  };
+}
+
+/**
+ * Reports how far a Checkout Session has got. Called by doGet and, through google.script.run,
+ * by the success page (through pollCheckoutStatus) while it waits for the webhook.
+ * @param {string} sessionId The Checkout Session ID from the success URL.
+ * @returns {{state: string, gift: boolean}} state is 'confirmed' once the webhook has recorded the
+ *   payment, 'waiting' while Stripe or the webhook is still processing it, and 'failed' otherwise.
+ */
+function getCheckoutStatus_(sessionId) {
+  if (!/^cs_[A-Za-z0-9_]+$/.test(String(sessionId || ''))) return { state: 'failed', gift: false };
+
+  const session = callStripeApi_('get', `/v1/checkout/sessions/${encodeURIComponent(sessionId)}`);
+  if (!session || session.error) {
+    logWarn_('getCheckoutStatus', `Could not retrieve session ${sessionId}: ${session && session.error ? session.error.message : 'no response'}`);
+    return { state: 'failed', gift: false };
+  }
+
+  const gift = Boolean(session.metadata && session.metadata.gift === 'true');
+  if (session.status !== 'complete') return { state: 'failed', gift: gift };
+  // Delayed payment methods (e.g. bank debits) complete the session before the money arrives.
+  if (session.payment_status === 'unpaid') return { state: 'waiting', gift: gift };
+  return { state: isCheckoutRecorded_(session) ? 'confirmed' : 'waiting', gift: gift };
+}
+
+/**
+ * Entry point for the success page's google.script.run polling, which runs as its own request.
+ */
+function pollCheckoutStatus(sessionId) {
+  startRequestLog_();
+  try {
+    return getCheckoutStatus_(sessionId);
+  } finally {
+    flushLogs_();
+  }
+}
+
+/**
+ * Checks whether the webhook has written the Payments row for a completed Checkout Session.
+ */
+function isCheckoutRecorded_(session) {
+  if (session.subscription) return findPaymentRowBySubscriptionId_(session.subscription) !== -1;
+  if (session.payment_intent) return findPaymentRow_(PAYMENT_COLUMNS.PAYMENT_INTENT_ID, session.payment_intent) !== -1;
+  // Fully discounted payments have no payment intent, so fall back to any payment by the buyer.
+  return Boolean(session.client_reference_id) && findPaymentRow_(PAYMENT_COLUMNS.EMAIL, session.client_reference_id) !== -1;
+}
+
+// Text for each getCheckoutStatus_() state, shared by the server-rendered page and its polling script.
+const CHECKOUT_STATUS_MESSAGES = {
+  confirmed: { title: 'Payment confirmed', text: 'Thank you! Your premium features are now unlocked.' },
+  confirmedGift: { title: 'Payment confirmed', text: 'Thank you! The license key for your gift has been emailed to you.' },
+  waiting: { title: 'Finishing up...', text: 'Your payment was received and is being confirmed. This page updates by itself.' },
+  slow: { title: 'Still confirming...', text: 'This is taking longer than usual. Your purchase will show up in the extension once it is confirmed; you do not need to pay again.' },
+  failed: { title: 'Payment not confirmed', text: 'We could not confirm this payment. If you were charged, please contact support.' }
+};
+
+function renderSuccessPage_(sessionId) {
+  const status = getCheckoutStatus_(sessionId);
+  const messageKey = status.state === 'confirmed' && status.gift ? 'confirmedGift' : status.state;
+  const message = CHECKOUT_STATUS_MESSAGES[messageKey];
+
+  // Only a session ID that passed the format check in getCheckoutStatus_ is embedded in the script.
+  const pollScript = status.state !== 'waiting' ? '' : `
+    <script>
+      var messages = ${JSON.stringify(CHECKOUT_STATUS_MESSAGES)};
+      var sessionId = ${JSON.stringify(sessionId)};
+      var polls = 0;
+      function show(key, state) {
+        document.getElementById('status').className = 'status status-' + state;
+        document.getElementById('title').textContent = messages[key].title;
+        document.getElementById('message').textContent = messages[key].text;
       }
-      promoEndDate.setHours(23, 59, 59, 999);
-
-      if (promoEndDate >= today) {
-        // --- An active promotion was found ---
-        const timeDiff = promoEndDate.getTime() - today.getTime();
-        const daysLeft = Math.ceil(timeDiff / (1000 * 60 * 60 * 24));
-        
-        const promoInfo = {
-          hasPromo: true,
-          type: row[1], promoCodeId: row[2], message: row[3],
-          buttonText: row[4], salePriceText: row[5], originalPrice: row[6],
-          daysLeft: daysLeft
-        };
-
-        // Store the found promotion in the cache for 10 minutes before returning
-        SCRIPT_CACHE.put(cacheKey, JSON.stringify(promoInfo), 600); 
-        return createJsonResponse(promoInfo);
+      function poll() {
+        google.script.run
+          .withSuccessHandler(function (status) {
+            if (status.state === 'waiting') return schedule();
+            show(status.state === 'confirmed' && status.gift ? 'confirmedGift' : status.state, status.state);
+          })
+          .withFailureHandler(schedule)
+          .pollCheckoutStatus(sessionId);
       }
-    }
-    
-    // --- If no active promotion was found after checking the sheet ---
-    const noPromoInfo = { hasPromo: false };
-    // Store the "no promo" result in the cache as well, to prevent re-checking the sheet for 10 minutes.
-    SCRIPT_CACHE.put(cacheKey, JSON.stringify(noPromoInfo), 600);
-    return createJsonResponse(noPromoInfo);
-    
+      // Checks every 5 seconds for 3 minutes, then stops and explains the delay.
+      function schedule() {
+        if (++polls > 36) return show('slow', 'waiting');
+        setTimeout(poll, 5000);
+      }
+      schedule();
+    </script>`;
+
+  return createBrandedPage_(message.title, `
+    <div id="status" class="status status-${status.state}">
+      <h2 id="title">${message.title}</h2>
+      <p id="message">${message.text}</p>
+    </div>
+    ${CHECKOUT_RETURN_INSTRUCTIONS}
+    ${pollScript}
+  `);
+}
+
+function renderCancelPage_() {
+  return createBrandedPage_('Payment cancelled', `
+    <div class="status status-failed">
+      <h2>Payment cancelled</h2>
+      <p>No payment was made. You can start again from the extension at any time.</p>
+    </div>
+    ${CHECKOUT_RETURN_INSTRUCTIONS}
+  `);
+}
+
+/**
+ * Where the Stripe Customer Portal sends the user back to.
+ */
+function renderBillingReturnPage_() {
+  return createBrandedPage_('Billing', `
+    <h2>You're done with billing</h2>
+    ${CHECKOUT_RETURN_INSTRUCTIONS}
+  `);
+}
+
+const CHECKOUT_RETURN_INSTRUCTIONS = `
+  <p class="info-text">You can close this tab. To return to the extension, click its icon in the Chrome toolbar
+  (or in the puzzle-piece Extensions menu). If the extension window is still open, it updates by itself.</p>
+`;
+
+/**
+ * Wraps page content in the branded layout used by the checkout return pages and the admin dashboard.
+ * @param {boolean} [wide] Use the full width, for the admin dashboard.
+ */
+function createBrandedPage_(title, content, wide) {
+  const appName = escapeHtml_(APP_NAME);
+  return HtmlService.createHtmlOutput(`
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <style>
+          body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; background-color: #f8f9fa; color: #333; margin: 0; }
+          .brand { background-color: #007bff; color: #fff; padding: 16px; text-align: center; font-size: 18px; font-weight: bold; }
+          .card { max-width: 420px; margin: 40px auto; background: #fff; border-radius: 8px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1); padding: 24px; text-align: center; }
+          .status { border-radius: 6px; padding: 12px; margin-bottom: 16px; }
+          .status h2 { margin: 0 0 8px 0; font-size: 20px; }
+          .status p { margin: 0; }
+          .status-confirmed { background-color: #d4edda; color: #155724; }
+          .status-waiting { background-color: #fff3cd; color: #856404; }
+          .status-failed { background-color: #f8d7da; color: #721c24; }
+          .card.wide { max-width: 1100px; margin: 20px auto; }
+          .info-text { color: #6c757d; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="brand">${appName}</div>
+        <div class="card${wide ? ' wide' : ''}">${content}</div>
+      </body>
+    </html>
+  `)
+    .setTitle(`${title} - ${APP_NAME}`)
+    .addMetaTag('viewport', 'width=device-width, initial-scale=1');
+}
+
+/**
+ * Escapes text for use in HTML.
+ */
+function escapeHtml_(text) {
+  return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+// --- FUNCTION FOR PRODUCT PROMOTION HANDLING: Picks the promotion for a user from the sheet data (cached) ---
+
+/**
+ * Returns the active promotion for a user, as a JSON response.
+ * A promotion is active between its StartDate (optional) and ActiveUntilDate, and only offered
+ * to users matching its Audience. If several match, the highest Priority wins, then sheet order.
+ * Its message and button text are in the user's language when the sheet has them (see
+ * getPromotionText_).
+ * @param {{email: string, hasEverPaid: boolean, firstSeen: Date|null}} [audience] The user, from
+ *   getPromotionAudience_. Without it only promotions for all users are considered.
+ * @param {string} [locale] The user's language, e.g. 'pt-BR'.
+ */
+function getActivePromotion_(audience, locale) {
+  try {
+    const now = new Date();
+    const today = new Date(now.getTime());
+    today.setHours(0, 0, 0, 0);
+
+    const candidates = getPromotionsFromCacheOrSheet_().filter(promo =>
+      promo.endDate >= today.getTime() &&
+      (!promo.startDate || promo.startDate <= now.getTime()) &&
+      matchesPromotionAudience_(promo.audience, audience)
+    );
+
+    // Array.prototype.sort is stable, so equal priorities keep their sheet order.
+    candidates.sort((a, b) => b.priority - a.priority);
+    const promo = candidates[0];
+    if (!promo) return createJsonResponse_({ hasPromo: false });
+
+    const timeDiff = promo.endDate - today.getTime();
+    const daysLeft = Math.ceil(timeDiff / (1000 * 60 * 60 * 24));
+    const text = getPromotionText_(promo, locale);
+    return createJsonResponse_({
+      hasPromo: true,
+      type: promo.type, promoCodeId: promo.promoCodeId, message: text.message,
+      buttonText: text.buttonText, salePriceText: promo.salePriceText, originalPrice: promo.originalPrice,
+      daysLeft: daysLeft
+    });
+
   } catch (error) {
-    logError('getActivePromotion', `Error: ${error.message}`);
+    logError_('getActivePromotion', `Error: ${error.message}`);
     // On any failure, return a safe "no promo" response.
-    return createJsonResponse({ hasPromo: false });
+    return createJsonResponse_({ hasPromo: false });
+  }
+}
+
+/**
+ * Picks a promotion's message and button text for the user's language: the exact locale ('pt-BR')
+ * first, then its language ('pt'), then the PromoMessage and ButtonText columns. Each text falls
+ * back on its own, so a translated message can go with the default button.
+ * @param {Object} promo A promotion from getPromotionsFromCacheOrSheet_.
+ * @param {string} [locale] The user's language.
+ * @returns {{message: string, buttonText: string}}
+ */
+function getPromotionText_(promo, locale) {
+  const translations = promo.translations || {};
+  const tag = String(locale || '').toLowerCase().replace(/_/g, '-');
+  const candidates = [translations[tag], translations[tag.split('-')[0]]].filter(Boolean);
+  const pick = field => (candidates.filter(translation => translation[field])[0] || promo)[field];
+  return { message: pick('message'), buttonText: pick('buttonText') };
+}
+
+/**
+ * Reads every well-formed row of the Promotions sheet, from the cache when possible.
+ * Columns: ActiveUntilDate, PromoType, StripePromoCodeID, PromoMessage, ButtonText, SalePriceText,
+ * OriginalPriceText, StartDate, Priority, Audience. Expired rows are kept out of the cache.
+ * Any further columns headed PromoMessage_<locale> or ButtonText_<locale> (e.g. PromoMessage_de,
+ * ButtonText_pt-BR) hold translations, in any order.
+ * @returns {Array<Object>} Promotions with dates as epoch milliseconds.
+ */
+function getPromotionsFromCacheOrSheet_() {
+  const cacheKey = 'promotions_data';
+
+  // --- FAST PATH: Attempt to retrieve data from the high-speed cache first ---
+  const cachedData = SCRIPT_CACHE.get(cacheKey);
+  if (cachedData !== null) {
+    logDebug_('getActivePromotion', 'Returning promotion data from CACHE.');
+    return JSON.parse(cachedData);
+  }
+
+  // --- SLOW PATH: If not in cache, read from the Google Sheet ---
+  logDebug_('getActivePromotion', 'Cache miss. Reading promotion data from SHEET.');
+  if (!STORES.promotions.exists()) return [];
+  const header = STORES.promotions.header();
+  const data = STORES.promotions.rows();
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  const translationColumns = [];
+  header.forEach((name, index) => {
+    const match = String(name).trim().match(/^(PromoMessage|ButtonText)_([A-Za-z]{2,3}(?:[-_][A-Za-z0-9]{2,8})*)$/);
+    if (match) {
+      translationColumns.push({
+        index: index,
+        field: match[1] === 'PromoMessage' ? 'message' : 'buttonText',
+        locale: match[2].toLowerCase().replace(/_/g, '-')
+      });
+    }
+  });
+
+  const promotions = [];
+  for (let i = 0; i < data.length; i++) {
+    const row = data[i];
+    const promoEndDate = parseSheetDate_(row[0]);
+    if (!promoEndDate) continue;
+    promoEndDate.setHours(23, 59, 59, 999);
+    if (promoEndDate < today) continue;
+
+    // An unparseable start date would make the promotion start immediately, so skip the row instead.
+    const promoStartDate = row[7] ? parseSheetDate_(row[7]) : null;
+    if (row[7] && !promoStartDate) continue;
+    if (promoStartDate) promoStartDate.setHours(0, 0, 0, 0);
+
+    const translations = {};
+    translationColumns.forEach(column => {
+      if (!row[column.index]) return;
+      translations[column.locale] = translations[column.locale] || {};
+      translations[column.locale][column.field] = row[column.index];
+    });
+
+    promotions.push({
+      endDate: promoEndDate.getTime(),
+      startDate: promoStartDate ? promoStartDate.getTime() : null,
+      type: row[1], promoCodeId: row[2], message: row[3],
+      buttonText: row[4], salePriceText: row[5], originalPrice: row[6],
+      priority: Number(row[8]) || 0,
+      audience: String(row[9] || '').trim(),
+      translations: translations
+    });
+  }
+
+  // Store the promotions in the cache for 10 minutes. Start dates and audiences are evaluated
+  // per request, so scheduled promotions still begin on time.
+  SCRIPT_CACHE.put(cacheKey, JSON.stringify(promotions), 600);
+  return promotions;
+}
+
+/**
+ * Parses a sheet cell (a Date or a date string) into a new Date, or null if it is not a date.
+ */
+function parseSheetDate_(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Checks a promotion's Audience cell against a user. Supported values:
+ * - empty or "all": everyone
+ * - "never_paid": users without any payment on record
+ * - "domain:example.com": users whose email is on that domain
+ * - "first_seen_after:2026-01-31": users first seen by verify after that date
+ */
+function matchesPromotionAudience_(rule, audience) {
+  if (!rule || rule === 'all') return true;
+  if (!audience) return false;
+
+  const separator = rule.indexOf(':');
+  const kind = separator === -1 ? rule : rule.slice(0, separator).trim();
+  const value = separator === -1 ? '' : rule.slice(separator + 1).trim();
+
+  switch (kind) {
+    case 'never_paid':
+      return !audience.hasEverPaid;
+    case 'domain':
+      return audience.email.toLowerCase().endsWith(`@${value.toLowerCase()}`);
+    case 'first_seen_after': {
+      const after = parseSheetDate_(value);
+      return Boolean(after && audience.firstSeen && audience.firstSeen > after);
+    }
+    default:
+      logWarn_('matchesPromotionAudience', `Unknown promotion audience: ${rule}`);
+      return false;
+  }
+}
+
+/**
+ * Gathers what promotion targeting needs to know about a user.
+ * @param {string} userEmail The verified email.
+ * @param {Array<Object>} [userRecords] The user's payment records, if already loaded.
+ * @param {boolean} [preview] Do not record a first visit (see getFirstSeenDate_).
+ */
+function getPromotionAudience_(userEmail, userRecords, preview) {
+  const records = userRecords || getUserPaymentRecords_(userEmail);
+  return {
+    email: userEmail,
+    hasEverPaid: records.length > 0,
+    firstSeen: getFirstSeenDate_(userEmail, preview)
+  };
+}
+
+/**
+ * Returns when verify first saw the user, recording it in the optional Users sheet
+ * (Email, FirstSeen) on the first visit. Returns null if the sheet does not exist.
+ * With preview set, an unseen user gets the current date without it being recorded.
+ */
+function getFirstSeenDate_(userEmail, preview) {
+  if (!USERS_SHEET) return null;
+
+  const cacheKey = `first_seen_${userEmail}`;
+  const cachedData = SCRIPT_CACHE.get(cacheKey);
+  if (cachedData !== null) return new Date(Number(cachedData));
+
+  let firstSeen;
+  const lastRow = USERS_SHEET.getLastRow();
+  const match = lastRow < 1 ? null : USERS_SHEET.getRange(1, 1, lastRow, 1)
+    .createTextFinder(`^${escapeRegExp_(userEmail)}$`)
+    .useRegularExpression(true)
+    .findNext();
+  if (match) {
+    firstSeen = parseSheetDate_(USERS_SHEET.getRange(match.getRow(), 2).getValue()) || new Date();
+  } else if (preview) {
+    return new Date();
+  } else {
+    firstSeen = new Date();
+    USERS_SHEET.appendRow([userEmail, firstSeen]);
   }
+
+  // The first-seen date never changes, so it can be cached for the maximum 6 hours.
+  SCRIPT_CACHE.put(cacheKey, String(firstSeen.getTime()), 21600);
+  return firstSeen;
 }
 
 /**
@@ -141,8 +638,11 @@ function getActivePromotion() {
  * reliably provide the necessary headers in the event object 'e'.
  * The WEBHOOK_SECRET_KEY in the URL provides the necessary security.
  *
+ * Anyone who learns the webhook URL could still post a forged event. With WEBHOOK_VERIFY_EVENTS
+ * enabled, the posted body is only used for its ID and type: the event that is processed is the
+ * canonical copy retrieved from the Stripe API (see fetchVerifiedEvent_).
  */
-function handleStripeWebhook(e) {
+function handleStripeWebhook_(e) {
   const functionName = 'handleStripeWebhook';
   // --- Step 1: Immediately parse the event to get the ID ---
   // We do this first because the idempotency check is the most critical step.
@@ -150,264 +650,2655 @@ function handleStripeWebhook(e) {
   try {
     event = JSON.parse(e.postData.contents);
   } catch (error) {
-    logError(functionName, `FATAL: Could not parse incoming JSON. Error: ${error.message}`);
+    logError_(functionName, `FATAL: Could not parse incoming JSON. Error: ${error.message}`);
     // Acknowledge with a 200 OK to stop retries, even on a bad payload.
-    return createStripeSuccessResponse();
+    return createStripeSuccessResponse_();
   }
 
   // --- Step 2: Perform the Idempotency Check Immediately ---
   // This is extremely fast and ensures we don't do duplicate work.
   const eventId = event.id;
-  if (isEventProcessed(eventId, PAYMENTS_SHEET)) {
-      logError(functionName, `Webhook already processed: ${eventId}. Acknowledging and skipping.`);
+  if (isEventProcessed_(eventId)) {
+      logInfo_(functionName, `Webhook already processed: ${eventId}. Acknowledging and skipping.`);
       // Return a 200 OK immediately for duplicates.
-      return createStripeSuccessResponse();
+      return createStripeSuccessResponse_();
+  }
+
+  // --- Step 2b: Optionally replace the posted body with the canonical event from Stripe ---
+  if (WEBHOOK_VERIFY_EVENTS) {
+    event = fetchVerifiedEvent_(event);
+    // Rejected events are still acknowledged: a forger gains nothing from a retry.
+    if (!event) return createStripeSuccessResponse_();
   }
 
   // --- Step 3: Now that we know it's a new event, do the real work ---
   try {
-    if (event.type === 'checkout.session.completed') {
-      const session = event.data.object;
-      const userEmail = session.client_reference_id;
-
-      if (userEmail) {
-        PAYMENTS_SHEET.appendRow([userEmail, new Date(), eventId]);
-        // SpreadsheetApp.flush(); // <-- REMOVED: This is causing a timeout.
-        logError(functionName, `Successfully queued record for ${userEmail} with Event ID: ${eventId}.`);
-        // A new user has paid, so the old cache is now invalid. We must clear it.
-        SCRIPT_CACHE.remove('paid_users_list');
-      } else {
-        logError(functionName, 'ERROR: Missing client_reference_id in completed session.');
-      }
+    switch (event.type) {
+      case 'checkout.session.completed':
+        handleCheckoutCompleted_(event);
+        break;
+      case 'customer.subscription.created':
+      case 'customer.subscription.updated':
+      case 'customer.subscription.deleted':
+        handleSubscriptionChange_(event);
+        break;
+      case 'invoice.payment_failed':
+        handleInvoicePaymentFailed_(event);
+        break;
+      case 'charge.refunded':
+        handleChargeRefunded_(event);
+        break;
+      case 'charge.dispute.created':
+      case 'charge.dispute.closed':
+        handleDisputeChange_(event);
+        break;
     }
+    recordProcessedEvent_(event);
     
     // --- Step 4: Acknowledge receipt to Stripe with a 200 OK ---
     // This response is now sent much faster because we are not waiting for flush().
-    return createStripeSuccessResponse();
+    return createStripeSuccessResponse_();
 
   } catch (error) {
-    logError(functionName, `FATAL ERROR during processing: ${error.message}`);
+    logError_(functionName, `FATAL ERROR during processing: ${error.message}`);
     // Even if our processing fails, we return a success code to Stripe to stop it from retrying.
-    return createStripeSuccessResponse();
+    return createStripeSuccessResponse_();
   }
 }
 
-// --- Helper function for idempotency check ---
-function escapeRegExp(str) {
-  // Escapes regex special characters in the input string
-  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
+/**
+ * Retrieves the canonical copy of a posted event from Stripe's events endpoint.
+ * The event is only trusted if it exists, has the same type as the posted one and its
+ * livemode matches the configured STRIPE_SECRET_KEY.
+ * Note: Stripe only returns events from the last 30 days.
+ * @returns {Object|null} The event from the Stripe API, or null if it was rejected.
+ */
+function fetchVerifiedEvent_(postedEvent) {
+  const functionName = 'fetchVerifiedEvent';
 
-function isEventProcessed(eventId, sheet) {
-    try {
-        // Limit to only filled rows for efficiency
-        const lastRow = sheet.getLastRow();
-        if (lastRow < 1) return false;
-        const eventIdRange = sheet.getRange(1, 3, lastRow, 1);
+  if (!postedEvent.id || typeof postedEvent.id !== 'string') {
+    logWarn_(functionName, 'REJECTED: Posted event has no ID.');
+    return null;
+  }
+
+  let event;
+  try {
+    event = callStripeApi_('get', `/v1/events/${encodeURIComponent(postedEvent.id)}`);
+  } catch (error) {
+    logWarn_(functionName, `REJECTED: Could not retrieve event ${postedEvent.id}. Error: ${error.message}`);
+    return null;
+  }
+
+  if (!event || event.error || event.id !== postedEvent.id) {
+    logWarn_(functionName, `REJECTED: Event ${postedEvent.id} does not exist in Stripe.`);
+    return null;
+  }
+  if (event.type !== postedEvent.type) {
+    logWarn_(functionName, `REJECTED: Event ${postedEvent.id} was posted as '${postedEvent.type}' but is '${event.type}'.`);
+    return null;
+  }
 
-        // Ensure eventId is safe for regex by escaping special characters
-        const escapedEventId = escapeRegExp(eventId);
-        const regex = new RegExp(`^${escapedEventId}$`);
+  const expectedLivemode = /^(sk|rk)_live_/.test(STRIPE_SECRET_KEY || '');
+  if (event.livemode !== expectedLivemode) {
+    logWarn_(functionName, `REJECTED: Event ${postedEvent.id} has livemode=${event.livemode}, expected ${expectedLivemode}.`);
+    return null;
+  }
 
-        const textFinder = eventIdRange
-            .createTextFinder(regex.source)
-            .useRegularExpression(true);
+  return event;
+}
 
-        const firstMatch = textFinder.findNext();
-        return firstMatch !== null;
+// --- Webhook event handlers ---
 
-    } catch (error) {
-        if (typeof logError === 'function') {
-            logError(
-                'isEventProcessed_Error',
-                `An error occurred during search: ${error.message}`
-            );
-        }
-        return false;
+function handleCheckoutCompleted_(event) {
+  const functionName = 'handleCheckoutCompleted';
+  const session = event.data.object;
+  const userEmail = session.client_reference_id;
+
+  if (!userEmail) {
+    logError_(functionName, 'ERROR: Missing client_reference_id in completed session.');
+    return;
+  }
+
+  const fields = {
+    EMAIL: userEmail,
+    EVENT_ID: event.id,
+    PAYMENT_INTENT_ID: session.payment_intent,
+    // Set by handleCreateCheckout_ when a product from the Products sheet was bought.
+    PRODUCT_ID: session.metadata && session.metadata.product_id
+  };
+  if (session.mode === 'subscription' && session.subscription) {
+    // The customer.subscription.* event may have arrived first and already created the row.
+    if (findPaymentRowBySubscriptionId_(session.subscription) !== -1) {
+      logInfo_(functionName, `Subscription ${session.subscription} is already recorded. Skipping.`);
+      return;
     }
+    // Period end is filled in by the customer.subscription.* events.
+    fields.SUBSCRIPTION_ID = session.subscription;
+    fields.SUBSCRIPTION_STATUS = 'active';
+  }
+  if (session.metadata && session.metadata.license_type) {
+    fields.LICENSE_ID = createLicense_(userEmail, session.metadata);
+    SCRIPT_CACHE.remove('licenses_data');
+  }
+  let giftKey = null;
+  if (session.metadata && session.metadata.gift === 'true') {
+    giftKey = createGiftKey_(userEmail, fields.PRODUCT_ID);
+    fields.GIFT_KEY_ID = giftKey.id;
+  }
+
+  appendPaymentRow_(fields);
+  // Sent only once the purchase is recorded, so a failed email never leaves a key without its payment.
+  if (giftKey) sendGiftKeyEmail_(userEmail, giftKey);
+  // SpreadsheetApp.flush(); // <-- REMOVED: This is causing a timeout.
+  logInfo_(functionName, `Successfully queued record for ${userEmail} with Event ID: ${event.id}.`);
 }
 
 /**
- * A highly optimized function to get the list of paid users.
- * Reads from the fast in-memory cache first, falling back to the "slow" sheet.
+ * Keeps the subscription status and period end of a Payments row in sync with Stripe.
+ * If the subscription is not recorded yet (events can arrive before checkout.session.completed),
+ * the row is created from the email stored in the subscription metadata at checkout.
  */
-function getPaidUsersFromCacheOrSheet() {
-  const cacheKey = 'paid_users_list';
-  const cachedData = SCRIPT_CACHE.get(cacheKey);
+function handleSubscriptionChange_(event) {
+  const functionName = 'handleSubscriptionChange';
+  const subscription = event.data.object;
+  const periodEnd = getSubscriptionPeriodEnd_(subscription);
+  const rowIndex = findPaymentRowBySubscriptionId_(subscription.id);
 
-  // FAST PATH: Return the list from the cache
-  if (cachedData !== null) {
-    logError('getPaidUsers', 'Returning paid users list from CACHE.');
-    return JSON.parse(cachedData);
+  if (rowIndex !== -1) {
+    updateSubscriptionRow_(rowIndex, subscription.status, periodEnd);
+  } else {
+    const userEmail = subscription.metadata && subscription.metadata.email;
+    if (!userEmail) {
+      logError_(functionName, `ERROR: Unknown subscription ${subscription.id} has no email metadata.`);
+      return;
+    }
+    appendPaymentRow_({
+      EMAIL: userEmail,
+      EVENT_ID: event.id,
+      SUBSCRIPTION_ID: subscription.id,
+      SUBSCRIPTION_STATUS: subscription.status,
+      CURRENT_PERIOD_END: periodEnd,
+      PRODUCT_ID: subscription.metadata.product_id
+    });
   }
 
-  // SLOW PATH: Read the full list from the sheet
-  logError('getPaidUsers', 'Cache miss. Reading paid users list from SHEET.');
-  const lastRow = PAYMENTS_SHEET.getLastRow();
-  // Start from row 2 to skip header, read only the first column
-  if (lastRow < 2) return []; 
+  logInfo_(functionName, `Subscription ${subscription.id} is now '${subscription.status}' (${event.type}).`);
+}
+
+function handleInvoicePaymentFailed_(event) {
+  const functionName = 'handleInvoicePaymentFailed';
+  const subscriptionId = getInvoiceSubscriptionId_(event.data.object);
+  if (!subscriptionId) return; // Not a subscription invoice.
 
-  const emailList = PAYMENTS_SHEET.getRange(2, 1, lastRow - 1, 1).getValues().flat();
-  
-  // Store the list in the cache for 1 hour (3600 seconds)
-  SCRIPT_CACHE.put(cacheKey, JSON.stringify(emailList), 3600); 
-  return emailList;
+  const rowIndex = findPaymentRowBySubscriptionId_(subscriptionId);
+  if (rowIndex === -1) {
+    logError_(functionName, `ERROR: Payment failed for unknown subscription ${subscriptionId}.`);
+    return;
+  }
+
+  // Keep the existing period end: the user stays premium until it passes plus the grace window.
+  updateSubscriptionRow_(rowIndex, 'past_due', null);
+  logWarn_(functionName, `Renewal payment failed for subscription ${subscriptionId}.`);
 }
 
-// --- Handler Implementations ---
+/**
+ * Revokes premium for the payment behind a fully refunded charge.
+ * Partial refunds leave access untouched.
+ */
+function handleChargeRefunded_(event) {
+  const functionName = 'handleChargeRefunded';
+  const charge = event.data.object;
 
-function handleVerify(userEmail) {
-  // 1. Get the list of paid users (this will be very fast).
-  const paidUsers = getPaidUsersFromCacheOrSheet();
-  // 2. Check if the user is in the list. This is a fast in-memory check.
-  if (paidUsers.includes(userEmail)) {
-  return createJsonResponse({ status: 'paid', promoData: null });
+  if (!charge.refunded) {
+    logInfo_(functionName, `Charge ${charge.id} was partially refunded. Access is kept.`);
+    return;
   }
 
-  // 3. If the user is NOT paid, THEN we check for active promotions.
-  const promoData = JSON.parse(getActivePromotion().getContent());
-  
-  if (promoData.hasPromo) {
-    if (promoData.type === 'FREE') {
-      logError('handleVerify', `Granting temporary free access to ${userEmail}.`);
-      return createJsonResponse({ status: 'free_promo', promoData: promoData });
-    } else { // It must be a DISCOUNT
-      logError('handleVerify', `User ${userEmail} is not premium, but a discount is available.`);
-      return createJsonResponse({ status: 'not_premium', promoData: promoData });
-    }
+  const rowIndex = findPaymentRowForCharge_(charge);
+  if (rowIndex === -1) {
+    logError_(functionName, `ERROR: No payment found for refunded charge ${charge.id}.`);
+    return;
   }
 
-  // 4. If not paid and no promos are active, they are a standard non-premium user.
-  // logError('handleVerify', `User ${userEmail} is NOT premium and no promos are active.`);
-  return createJsonResponse({ status: 'not_premium', promoData: null });
+  setPaymentRevocation_(rowIndex, 'refunded');
+  logInfo_(functionName, `Revoked payment in row ${rowIndex} after refund of charge ${charge.id}.`);
 }
 
-/*
- * Function for stripe procuct handling
+/**
+ * Revokes premium while a dispute is open or after it is lost, and restores it if the dispute is won.
  */
+function handleDisputeChange_(event) {
+  const functionName = 'handleDisputeChange';
+  const dispute = event.data.object;
 
-function handleCreateCheckout(userEmail) {
-  try {
-    const finalPriceId = DEFAULT_PRICE_ID;
-    const payload = {
-      'line_items[0][price]': finalPriceId,
-      'line_items[0][quantity]': '1',
-      'customer_email': userEmail,
-      'mode': 'payment',
-      'success_url': 'https://example.com/success', // Replace with your actual success URL
-      'cancel_url': 'https://example.com/cancel', // Replace with your actual cancel URL
-      'client_reference_id': userEmail
-    };
+  let rowIndex = dispute.payment_intent ? findPaymentRowForCharge_({ payment_intent: dispute.payment_intent }) : -1;
+  if (rowIndex === -1 && dispute.charge) {
+    // Subscription charges have no payment intent on record, so match them through the charge's invoice.
+    const charge = callStripeApi_('get', `/v1/charges/${encodeURIComponent(dispute.charge)}`);
+    if (charge && !charge.error) rowIndex = findPaymentRowForCharge_(charge);
+  }
+  if (rowIndex === -1) {
+    logError_(functionName, `ERROR: No payment found for dispute ${dispute.id}.`);
+    return;
+  }
 
-    // --- Check for an active discount promo ---
-    const promoData = JSON.parse(getActivePromotion().getContent());
-    if (promoData.hasPromo && promoData.type === 'DISCOUNT' && promoData.promoCodeId) {
-      logError('handleCreateCheckout', `Applying promo code ID: ${promoData.promoCodeId}`);
-      // Add the discount to the payload
-      payload['discounts[0][promotion_code]'] = promoData.promoCodeId;
-    }
+  if (event.type === 'charge.dispute.created') {
+    setPaymentRevocation_(rowIndex, 'dispute_opened');
+  } else if (dispute.status === 'won' || dispute.status === 'warning_closed') {
+    setPaymentRevocation_(rowIndex, null);
+  } else {
+    setPaymentRevocation_(rowIndex, 'dispute_lost');
+  }
+  logInfo_(functionName, `Dispute ${dispute.id} (${dispute.status}) applied to payment in row ${rowIndex}.`);
+}
 
-    const stripeUrl = 'https://api.stripe.com/v1/checkout/sessions';
-    const options = {
-      method: 'post',
-      headers: { 'Authorization': `Bearer ${STRIPE_SECRET_KEY}` },
-      payload: payload,
-      muteHttpExceptions: true,
-    };
-    
-    const response = UrlFetchApp.fetch(stripeUrl, options);
-    const data = JSON.parse(response.getContentText());
+/**
+ * Marks a Payments row as revoked with a reason and timestamp, or clears the revocation when reason is null.
+ * For a gift purchase the row of the user who redeemed the key follows the purchase.
+ */
+function setPaymentRevocation_(rowIndex, reason) {
+  const values = [reason || '', reason ? new Date() : ''];
+  STORES.payments.update(rowIndex, PAYMENT_COLUMNS.REVOKED_REASON, values);
 
-    if (data.url) {
-      return createJsonResponse({ checkoutUrl: data.url });
-    } else {
-      throw new Error('Failed to create Stripe session: ' + (data.error ? data.error.message : 'Unknown error'));
+  const giftKeyId = STORES.payments.get(rowIndex)[PAYMENT_COLUMNS.GIFT_KEY_ID - 1];
+  if (giftKeyId) {
+    const redemptionRow = findPaymentRow_(PAYMENT_COLUMNS.EVENT_ID, REDEMPTION_EVENT_PREFIX + giftKeyId);
+    if (redemptionRow !== -1) {
+      STORES.payments.update(redemptionRow, PAYMENT_COLUMNS.REVOKED_REASON, values);
+      uncachePaymentRow_(redemptionRow);
     }
-  } catch (error) {
-    logError('handleCreateCheckout_Global', error.message);
-    return createJsonResponse({ error: 'Could not create payment session.' });
   }
+  uncachePaymentRow_(rowIndex);
 }
 
-// --- Utility and Security Functions ---
+/**
+ * Finds the Payments row a charge belongs to: by payment intent for one-time payments, otherwise
+ * by the subscription of the charge's invoice. The billing email is never used, as it cannot tell
+ * a user's purchases apart. A transfer's audit row is never matched: the purchase moved with the transfer.
+ * @returns {number} The 1-based row index, or -1 if not found.
+ */
+function findPaymentRowForCharge_(charge) {
+  const isPurchaseRow = rowIndex => STORES.payments.get(rowIndex)[PAYMENT_COLUMNS.REVOKED_REASON - 1] !== 'transferred';
+  if (charge.payment_intent) {
+    const rowIndex = findPaymentRows_(PAYMENT_COLUMNS.PAYMENT_INTENT_ID, charge.payment_intent).filter(isPurchaseRow)[0];
+    if (rowIndex) return rowIndex;
+  }
 
-// --- verifyGoogleToken ---
-function verifyGoogleToken(token) {
-  try {
-    const response = UrlFetchApp.fetch(`https://www.googleapis.com/oauth2/v3/tokeninfo?access_token=${token}`);
-    return JSON.parse(response.getContentText());
-  } catch (e) {
-    // Log the actual error before returning null
-    logError('verifyGoogleToken_Error', `UrlFetchApp failed. Error: ${e.message}`);
+  const subscriptionId = getChargeSubscriptionId_(charge);
+  if (!subscriptionId) return -1;
+  return findPaymentRows_(PAYMENT_COLUMNS.SUBSCRIPTION_ID, subscriptionId).filter(isPurchaseRow)[0] || -1;
+}
+
+/**
+ * Returns the subscription a charge paid for, read from its invoice (retrieved from Stripe unless
+ * it is expanded), or null for charges without a subscription invoice.
+ */
+function getChargeSubscriptionId_(charge) {
+  if (!charge.invoice) return null;
+  const invoice = typeof charge.invoice === 'object'
+    ? charge.invoice
+    : callStripeApi_('get', `/v1/invoices/${encodeURIComponent(charge.invoice)}`);
+  if (!invoice || invoice.error) {
+    logWarn_('getChargeSubscriptionId', `Could not retrieve invoice ${charge.invoice} of charge ${charge.id}.`);
     return null;
   }
+  return getInvoiceSubscriptionId_(invoice);
 }
 
-function logError(functionName, message) {
-  LOGS_SHEET.appendRow([new Date(), functionName, message]);
+/**
+ * Returns the subscription ID of an invoice, or null if it is not a subscription invoice.
+ */
+function getInvoiceSubscriptionId_(invoice) {
+  // Newer API versions moved the subscription ID under invoice.parent.
+  return invoice.subscription ||
+    (invoice.parent && invoice.parent.subscription_details && invoice.parent.subscription_details.subscription) || null;
 }
 
-function createJsonResponse(data) {
-  return ContentService.createTextOutput(JSON.stringify(data))
-    .setMimeType(ContentService.MimeType.JSON);
+/**
+ * Builds a Payments row from values keyed by PAYMENT_COLUMNS names. PURCHASE_DATE defaults to now.
+ */
+function buildPaymentRow_(fields) {
+  const row = new Array(PAYMENT_COLUMN_COUNT).fill('');
+  row[PAYMENT_COLUMNS.PURCHASE_DATE - 1] = new Date();
+  Object.keys(fields).forEach(name => {
+    if (fields[name] !== undefined && fields[name] !== null) row[PAYMENT_COLUMNS[name] - 1] = fields[name];
+  });
+  return row;
+}
+
+function updateSubscriptionRow_(rowIndex, status, periodEnd) {
+  STORES.payments.update(rowIndex, PAYMENT_COLUMNS.SUBSCRIPTION_STATUS, [status]);
+  if (periodEnd) {
+    STORES.payments.update(rowIndex, PAYMENT_COLUMNS.CURRENT_PERIOD_END, [periodEnd]);
+  }
+  uncachePaymentRow_(rowIndex);
 }
 
 /**
- * Creates a simple HTML 200 OK response specifically for Stripe.
- * This is used as a workaround for the ContentService 302 redirect issue.
+ * Returns the end of the current billing period as a Date, or null if unknown.
+ * Newer API versions report the period on the subscription items instead of the subscription.
  */
-function createStripeSuccessResponse() {
-  // We return a minimal HTML output. When returned from doPost,
-  // this generates a 200 OK status code that Stripe accepts.
-  return HtmlService.createHtmlOutput("<p>OK</p>");
+function getSubscriptionPeriodEnd_(subscription) {
+  let seconds = subscription.current_period_end;
+  if (!seconds && subscription.items && subscription.items.data && subscription.items.data.length) {
+    seconds = subscription.items.data[0].current_period_end;
+  }
+  return seconds ? new Date(seconds * 1000) : null;
 }
 
 /**
- * ADMIN FUNCTIONS: Run from google script
+ * Finds the Payments row recording the given subscription.
+ * @returns {number} The 1-based row index, or -1 if not found.
  */
+function findPaymentRowBySubscriptionId_(subscriptionId) {
+  return findPaymentRow_(PAYMENT_COLUMNS.SUBSCRIPTION_ID, subscriptionId);
+}
 
 /**
- * ADMIN FUNCTION: Manually clears the promotion cache.
- * To use this, simply select "flushPromotionCache" from the function
- * dropdown in the Apps Script editor and click "Run".
+ * Finds a Payments row whose cell in the given column exactly matches value.
+ * @param {number} column The 1-based column from PAYMENT_COLUMNS.
+ * @param {string} value The exact cell value to look for.
+ * @param {boolean} [last] Return the last match instead of the first.
+ * @returns {number} The 1-based row index, or -1 if not found.
  */
-function flushPromotionCache() {
-  try {
-    SCRIPT_CACHE.remove('active_promotion_data');
-    // Logger.log is used here so the confirmation message appears in the execution logs.
-    Logger.log("SUCCESS: The promotion cache has been manually flushed.");
-    // You can also add a browser alert for immediate feedback if you're running it interactively.
-    Browser.msgBox("Success", "The promotion cache has been flushed.", Browser.Buttons.OK);
-  } catch (error) {
-    Logger.log(`ERROR: Failed to flush the cache. Reason: ${error.message}`);
-    Browser.msgBox("Error", `Failed to flush the cache: ${error.message}`, Browser.Buttons.OK);
-  }
+function findPaymentRow_(column, value, last) {
+  const rows = findPaymentRows_(column, value);
+  if (!rows.length) return -1;
+  return last ? rows[rows.length - 1] : rows[0];
 }
 
 /**
- * ADMIN FUNCTION: Manually clears the users cache.
- * To use this, simply select "flushUserCache" from the function
- * dropdown in the Apps Script editor and click "Run".
+ * Finds every Payments row whose cell in the given column matches value (ignoring case).
+ * @returns {Array<number>} The 1-based row indexes, in sheet order.
  */
-function flushUserCache() {
-  try {
-    SCRIPT_CACHE.remove('paid_users_list');
-    Logger.log("SUCCESS: The paid users cache has been manually flushed.");
-    Browser.msgBox("Success", "The paid users cache has been flushed.", Browser.Buttons.OK);
-  } catch (error) {
-    Logger.log(`ERROR: Failed to flush the user cache. Reason: ${error.message}`);
-    Browser.msgBox("Error", `Failed to flush the user cache: ${error.message}`, Browser.Buttons.OK);
-  }
+function findPaymentRows_(column, value) {
+  return STORES.payments.find(column, value);
+}
+
+// --- Helper function for idempotency check ---
+function escapeRegExp_(str) {
+  // Escapes regex special characters in the input string
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
 /**
- * ADMIN FUNCTION: Force the correct permission prompt
+ * Checks whether a webhook event was already handled: recorded in the Events store, or (for
+ * events from before it existed, and deployments without an Events sheet) in the Payments EventID column.
  */
-function testExternalFetch() {
-  try {
-    UrlFetchApp.fetch("https://www.google.com/");
-    Logger.log("Success! The script has permission to connect to external services.");
-  } catch (e) {
-    Logger.log("Failed to fetch. This is expected if you haven't authorized yet. Error: " + e.message);
-  }
+function isEventProcessed_(eventId) {
+    try {
+        return STORES.events.find(1, eventId).length > 0 ||
+            STORES.payments.find(PAYMENT_COLUMNS.EVENT_ID, eventId).length > 0;
+    } catch (error) {
+        if (typeof logError_ === 'function') {
+            logError_(
+                'isEventProcessed_Error',
+                `An error occurred during search: ${error.message}`
+            );
+        }
+        return false;
+    }
+}
+
+/**
+ * Records a handled webhook event in the Events store, if there is one, and drops the oldest
+ * events beyond EVENTS_MAX_ROWS. Without it only events that add a Payments row are deduplicated.
+ */
+function recordProcessedEvent_(event) {
+  if (!STORES.events.exists() || !event.id) return;
+  STORES.events.append([event.id, event.type || '', new Date()]);
+  const excess = STORES.events.count() - EVENTS_MAX_ROWS;
+  if (excess > 0) STORES.events.removeFirst(excess);
+}
+
+// --- Paid-user lookup ---
+// Each user's payment records are cached under their own key, so no cache value grows with the
+// number of customers (CacheService values are capped at 100KB). A miss reads only the user's rows,
+// found with a TextFinder on the Email column. Appended rows are added to the cached records;
+// rows that change drop their user's entry. Bumping the version in Script Properties flushes all entries.
+
+const PAYMENT_CACHE_SECONDS = 3600;
+
+/**
+ * Returns a user's payment records, from the cache or their Payments rows.
+ * @param {string} userEmail The user's email.
+ * @returns {Array<{email: string, subscriptionId: string, status: string, periodEnd: number|null, revokedReason: string,
+ *   productId: string, licenseId: string, giftKeyId: string}>}
+ */
+function getUserPaymentRecords_(userEmail) {
+  const cacheKey = getPaymentCacheKey_(userEmail);
+  const cachedData = SCRIPT_CACHE.get(cacheKey);
+
+  // FAST PATH: Return the records from the cache
+  if (cachedData !== null) {
+    logDebug_('getUserPaymentRecords', 'Returning payment records from CACHE.');
+    return JSON.parse(cachedData);
+  }
+
+  // SLOW PATH: Read only this user's rows. Users without payments are cached too, as most verifies are theirs.
+  logDebug_('getUserPaymentRecords', 'Cache miss. Reading payment records from SHEET.');
+  const records = findPaymentRows_(PAYMENT_COLUMNS.EMAIL, userEmail)
+    .map(rowIndex => toPaymentRecord_(STORES.payments.get(rowIndex)))
+    .filter(record => record.email === userEmail);
+  SCRIPT_CACHE.put(cacheKey, JSON.stringify(records), PAYMENT_CACHE_SECONDS);
+  return records;
+}
+
+/**
+ * Converts a Payments row to the record cached by getUserPaymentRecords_.
+ */
+function toPaymentRecord_(row) {
+  const periodEnd = row[PAYMENT_COLUMNS.CURRENT_PERIOD_END - 1];
+  return {
+    email: row[PAYMENT_COLUMNS.EMAIL - 1],
+    subscriptionId: row[PAYMENT_COLUMNS.SUBSCRIPTION_ID - 1],
+    status: row[PAYMENT_COLUMNS.SUBSCRIPTION_STATUS - 1],
+    // Stored as epoch milliseconds so the record survives the JSON round trip through the cache.
+    periodEnd: periodEnd ? new Date(periodEnd).getTime() : null,
+    revokedReason: row[PAYMENT_COLUMNS.REVOKED_REASON - 1],
+    productId: row[PAYMENT_COLUMNS.PRODUCT_ID - 1],
+    licenseId: row[PAYMENT_COLUMNS.LICENSE_ID - 1],
+    giftKeyId: row[PAYMENT_COLUMNS.GIFT_KEY_ID - 1]
+  };
+}
+
+/**
+ * Appends a Payments row built from fields (see buildPaymentRow_) and adds it to the user's
+ * cached records, if they are cached. Otherwise the next lookup reads it from the sheet.
+ */
+function appendPaymentRow_(fields) {
+  const row = buildPaymentRow_(fields);
+  STORES.payments.append(row);
+
+  const cacheKey = getPaymentCacheKey_(fields.EMAIL);
+  const cachedData = SCRIPT_CACHE.get(cacheKey);
+  if (cachedData !== null) {
+    const records = JSON.parse(cachedData);
+    records.push(toPaymentRecord_(row));
+    SCRIPT_CACHE.put(cacheKey, JSON.stringify(records), PAYMENT_CACHE_SECONDS);
+  }
+}
+
+/**
+ * Drops the cached records of the user a Payments row belongs to, after the row was changed.
+ */
+function uncachePaymentRow_(rowIndex) {
+  SCRIPT_CACHE.remove(getPaymentCacheKey_(STORES.payments.get(rowIndex)[PAYMENT_COLUMNS.EMAIL - 1]));
+}
+
+/**
+ * Drops every user's cached records, e.g. after the Payments sheet was edited by hand.
+ */
+function flushPaymentCache_() {
+  scriptProperties.setProperty('PAYMENT_CACHE_VERSION', String(Date.now()));
+}
+
+function getPaymentCacheKey_(userEmail) {
+  const version = scriptProperties.getProperty('PAYMENT_CACHE_VERSION') || '0';
+  return `payments_${version}_${sha256Hex_(String(userEmail))}`;
+}
+
+/**
+ * Decides whether a payment record currently grants premium access.
+ * One-time payments never expire. Subscriptions count while they are active, trialing or
+ * past due, until the current period end plus SUBSCRIPTION_GRACE_DAYS. Revoked payments never count.
+ */
+function isPaymentRecordActive_(record, now) {
+  if (record.revokedReason) return false;
+  if (!record.subscriptionId) return true;
+  if (['active', 'trialing', 'past_due'].indexOf(record.status) === -1) return false;
+  // The period end is unknown until the first customer.subscription.* event arrives.
+  if (!record.periodEnd) return true;
+
+  const graceMs = SUBSCRIPTION_GRACE_DAYS * 24 * 60 * 60 * 1000;
+  return now.getTime() <= record.periodEnd + graceMs;
+}
+
+/**
+ * Reads the Products sheet (ProductID, StripePriceID, Entitlements, Name, Mode) from cache or sheet.
+ * Entitlements is a comma-separated list. Mode is 'payment' (default) or 'subscription'.
+ * @returns {Object<string, {priceId: string, entitlements: string[], name: string, mode: string}>} Products by ID.
+ */
+function getProducts_() {
+  const cacheKey = 'products_data';
+  const cachedData = SCRIPT_CACHE.get(cacheKey);
+  if (cachedData !== null) return JSON.parse(cachedData);
+
+  const products = {};
+  if (PRODUCTS_SHEET) {
+    const data = PRODUCTS_SHEET.getDataRange().getValues();
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      const productId = String(row[0]).trim();
+      if (!productId || !row[1]) continue;
+      products[productId] = {
+        priceId: String(row[1]).trim(),
+        entitlements: String(row[2]).split(',').map(name => name.trim()).filter(Boolean),
+        name: row[3] || productId,
+        mode: row[4] === 'subscription' ? 'subscription' : 'payment'
+      };
+    }
+  }
+
+  // Cache for 10 minutes, like the promotions.
+  SCRIPT_CACHE.put(cacheKey, JSON.stringify(products), 600);
+  return products;
+}
+
+/**
+ * Returns the entitlements a payment record grants. Records without a product are for the
+ * default product or a subscription plan. Products removed from the sheet grant nothing.
+ */
+function getRecordEntitlements_(record, products) {
+  if (!record.productId) return [DEFAULT_ENTITLEMENT];
+  const product = products[record.productId];
+  if (!product) {
+    logWarn_('getRecordEntitlements', `Payment references unknown product: ${record.productId}`);
+    return [];
+  }
+  return product.entitlements;
+}
+
+/**
+ * Returns the end of the user's free trial, starting a TRIAL_DAYS trial if they never had one.
+ * The Trials sheet (Email, TrialStart, TrialEnd) keeps one row per email, so a trial can never restart.
+ * With preview set, a user without a trial gets the end date it would have, but it is not started.
+ * @returns {Date|null} The trial end (possibly in the past), or null if trials are off.
+ */
+function getOrStartTrial_(userEmail, preview) {
+  if (!TRIAL_DAYS || !TRIALS_SHEET) return null;
+
+  const cacheKey = `trial_end_${userEmail}`;
+  const cachedData = SCRIPT_CACHE.get(cacheKey);
+  if (cachedData !== null) return new Date(Number(cachedData));
+
+  let trialEnd;
+  const lastRow = TRIALS_SHEET.getLastRow();
+  const match = lastRow < 1 ? null : TRIALS_SHEET.getRange(1, 1, lastRow, 1)
+    .createTextFinder(`^${escapeRegExp_(userEmail)}$`)
+    .useRegularExpression(true)
+    .findNext();
+  if (match) {
+    trialEnd = parseSheetDate_(TRIALS_SHEET.getRange(match.getRow(), 3).getValue()) || new Date(0);
+  } else if (preview) {
+    return new Date(Date.now() + TRIAL_DAYS * 24 * 60 * 60 * 1000);
+  } else {
+    const trialStart = new Date();
+    trialEnd = new Date(trialStart.getTime() + TRIAL_DAYS * 24 * 60 * 60 * 1000);
+    TRIALS_SHEET.appendRow([userEmail, trialStart, trialEnd]);
+    logInfo_('getOrStartTrial', `Started a ${TRIAL_DAYS}-day trial for ${userEmail}.`);
+  }
+
+  // Trial rows never change once written, so the end date can be cached for the maximum 6 hours.
+  SCRIPT_CACHE.put(cacheKey, String(trialEnd.getTime()), 21600);
+  return trialEnd;
+}
+
+// --- Handler Implementations ---
+
+/**
+ * Returns the user's status. Users who can still buy premium also get its price in their currency.
+ * @param {string} userEmail The verified email.
+ * @param {Object} options The request payload: optional locale and currency.
+ */
+function handleVerify_(userEmail, options) {
+  const pricing = getPricingPreferences_(options);
+  const { data, accessEndsAt } = computeUserStatus_(userEmail, false, pricing);
+  if (data.status !== 'paid' || data.entitlements.indexOf(DEFAULT_ENTITLEMENT) === -1) {
+    const displayPricing = getDisplayPricing_(pricing);
+    if (displayPricing) data.pricing = displayPricing;
+  }
+  // Statuses that grant something carry a signed token the extension can trust offline.
+  const token = data.entitlements.length ? createEntitlementToken_(userEmail, data, accessEndsAt) : null;
+  if (token) data.entitlementToken = token;
+  return createJsonResponse_(data);
+}
+
+/**
+ * Computes a user's status as returned by verify. The admin dashboard shows the same result.
+ * @param {string} userEmail The user's email.
+ * @param {boolean} [preview] Leave no trace: do not record the first visit or start a trial.
+ * @param {Object} [preferences] The user's locale and currency (see getPricingPreferences_), for the
+ *   promotion's language and prices.
+ * @returns {{data: Object, accessEndsAt: Date|undefined}} The verify response without its token,
+ *   and when the granted access ends for trials and free promotions.
+ */
+function computeUserStatus_(userEmail, preview, preferences) {
+  // 1. Get the user's payment records (from the cache after the first verify).
+  const userRecords = getUserPaymentRecords_(userEmail);
+  // 2. Check if the user has a record that is still valid. This is a fast in-memory check.
+  const now = new Date();
+  // License and gift purchases grant premium to the seat holders or the key's redeemer, not to the buyer.
+  const ownRecords = userRecords.filter(record => !record.licenseId && !record.giftKeyId);
+  // Recorded on every verify so the first-seen date is accurate when a promotion targets it.
+  getFirstSeenDate_(userEmail, preview);
+
+  // License owners get a flag on every status so the popup can offer seat management.
+  const licenses = getLicensesFromCacheOrSheet_();
+  const isLicenseOwner = licenses.licenses.some(license => isLicenseOwner_(license, userEmail));
+  const respond = (data, accessEndsAt) => {
+    if (isLicenseOwner) data.isLicenseOwner = true;
+    return { data: data, accessEndsAt: accessEndsAt };
+  };
+
+  const activeRecords = ownRecords.filter(record => isPaymentRecordActive_(record, now));
+  if (activeRecords.length) {
+    // The user's entitlements are the union of everything their valid payments grant.
+    const products = getProducts_();
+    const entitlements = [];
+    activeRecords.forEach(record => getRecordEntitlements_(record, products).forEach(name => {
+      if (entitlements.indexOf(name) === -1) entitlements.push(name);
+    }));
+    return respond({ status: 'paid', entitlements: entitlements, promoData: null });
+  }
+
+  // 2a. Seat holders and users on a licensed domain are paid through their team's license.
+  const license = findActiveLicenseForUser_(userEmail, licenses, now);
+  if (license) {
+    return respond({ status: 'paid', entitlements: [DEFAULT_ENTITLEMENT], license: { id: license.id, owner: license.owner }, promoData: null });
+  }
+
+  // 2b. A user whose only payments were refunded or disputed gets a distinct status so the popup can explain why.
+  const revokedRecord = ownRecords.filter(record => record.revokedReason).pop();
+  if (revokedRecord) {
+    return respond({ status: 'revoked', reason: revokedRecord.revokedReason, entitlements: [], promoData: null });
+  }
+
+  // 2c. Users who never paid get one free trial, started by their first verify.
+  const trialEnd = userRecords.length ? null : getOrStartTrial_(userEmail, preview);
+  if (trialEnd && trialEnd > now) {
+    const daysLeft = Math.ceil((trialEnd.getTime() - now.getTime()) / (1000 * 60 * 60 * 24));
+    return respond({
+      status: 'trial', daysLeft: daysLeft, trialEndsAt: trialEnd.toISOString(),
+      entitlements: [DEFAULT_ENTITLEMENT], promoData: null
+    }, trialEnd);
+  }
+
+  // 3. If the user is NOT paid, THEN we check for the promotions targeting them.
+  const locale = preferences ? preferences.locale : undefined;
+  const promoData = JSON.parse(getActivePromotion_(getPromotionAudience_(userEmail, userRecords, preview), locale).getContent());
+  
+  if (promoData.hasPromo) {
+    if (promoData.type === 'FREE') {
+      logDebug_('handleVerify', `Granting temporary free access to ${userEmail}.`);
+      const promoEndsAt = new Date(now.getTime() + promoData.daysLeft * 24 * 60 * 60 * 1000);
+      return respond({ status: 'free_promo', entitlements: [DEFAULT_ENTITLEMENT], promoData: promoData }, promoEndsAt);
+    } else { // It must be a DISCOUNT
+      logDebug_('handleVerify', `User ${userEmail} is not premium, but a discount is available.`);
+      return respond({ status: 'not_premium', entitlements: [], promoData: preferences ? localizePromotionPrices_(promoData, preferences) : promoData });
+    }
+  }
+
+  // 4. If not paid and no promos are active, they are a standard non-premium user.
+  // logError_('handleVerify', `User ${userEmail} is NOT premium and no promos are active.`);
+  return respond({ status: 'not_premium', entitlements: [], promoData: null });
+}
+
+/*
+ * Function for stripe procuct handling
+ */
+
+/**
+ * Resolves what a checkout request is buying: the default product, a subscription plan, a
+ * product from the Products sheet, or a team license ({ seats } or { licenseDomain }).
+ * With { gift: true } a one-time purchase is bought as a license key for someone else.
+ * The price is picked in the buyer's currency or region (see findLocalPriceId_); licenses have one price.
+ * @param {string} userEmail The verified email of the buyer.
+ * @param {Object} options The request payload.
+ * @returns {{priceId: string, quantity: number, isSubscription: boolean, product: Object|null,
+ *   license: {type: string, seats: number, domain: string}|null, gift: boolean}|{error: string}}
+ */
+function resolveCheckoutItem_(userEmail, options) {
+  const { plan, productId, seats, licenseDomain, gift } = options;
+  const isLicense = (seats !== undefined && seats !== null) || Boolean(licenseDomain);
+  if (isLicense && (!LICENSES_SHEET || !SEATS_SHEET)) return { error: 'Team licenses are not available.' };
+  if (gift) {
+    if (!KEYS_SHEET) return { error: 'Gift purchases are not available.' };
+    // A key grants a one-time purchase. Subscriptions and licenses stay tied to the buyer's account.
+    if (isLicense || plan) return { error: 'Only one-time purchases can be bought as a gift.' };
+  }
+
+  if (seats !== undefined && seats !== null) {
+    const seatCount = Number(seats);
+    if (!Number.isInteger(seatCount) || seatCount < 1 || seatCount > MAX_LICENSE_SEATS) {
+      return { error: `Seats must be a whole number between 1 and ${MAX_LICENSE_SEATS}.` };
+    }
+    return {
+      priceId: LICENSE_SEAT_PRICE_ID, quantity: seatCount, isSubscription: false, product: null,
+      license: { type: 'seats', seats: seatCount, domain: '' }, gift: false
+    };
+  }
+
+  if (licenseDomain) {
+    const domain = String(licenseDomain).trim().toLowerCase();
+    if (!DOMAIN_LICENSE_PRICE_ID) return { error: 'Domain licenses are not available.' };
+    // Only someone with an account on the domain may buy it, and never for consumer Google accounts.
+    if (!userEmail.toLowerCase().endsWith(`@${domain}`) || CONSUMER_EMAIL_DOMAINS.indexOf(domain) !== -1) {
+      logWarn_('resolveCheckoutItem', `Rejected domain license for ${domain} requested by ${userEmail}`);
+      return { error: 'You can only buy a domain license for your own organization\'s domain.' };
+    }
+    return {
+      priceId: DOMAIN_LICENSE_PRICE_ID, quantity: 1, isSubscription: false, product: null,
+      license: { type: 'domain', seats: 0, domain: domain }, gift: false
+    };
+  }
+
+  if (plan && !SUBSCRIPTION_PLANS[plan]) {
+    logWarn_('resolveCheckoutItem', `Rejected unknown or unconfigured plan: ${plan}`);
+    return { error: 'Invalid subscription plan.' };
+  }
+
+  const product = productId ? getProducts_()[productId] : null;
+  if (productId && !product) {
+    logWarn_('resolveCheckoutItem', `Rejected unknown product: ${productId}`);
+    return { error: 'Invalid product.' };
+  }
+
+  let priceId = DEFAULT_PRICE_ID;
+  if (product) priceId = product.priceId;
+  else if (plan) priceId = SUBSCRIPTION_PLANS[plan];
+  // The Prices sheet may list the same product in other currencies.
+  priceId = findLocalPriceId_(productId || plan || 'default', priceId, getPricingPreferences_(options));
+
+  const isSubscription = product ? product.mode === 'subscription' : Boolean(plan);
+  if (gift && isSubscription) return { error: 'Only one-time purchases can be bought as a gift.' };
+
+  return {
+    priceId: priceId,
+    quantity: 1,
+    isSubscription: isSubscription,
+    product: product,
+    license: null,
+    gift: Boolean(gift)
+  };
+}
+
+/**
+ * Creates a Stripe Checkout Session.
+ * @param {string} userEmail The verified email of the buyer.
+ * @param {Object} options The request payload: optional plan, productId, seats, licenseDomain, gift, couponCode,
+ *   locale and currency.
+ */
+function handleCreateCheckout_(userEmail, options) {
+  const { productId, plan, couponCode } = options;
+  try {
+    const item = resolveCheckoutItem_(userEmail, options);
+    if (item.error) return createJsonResponse_({ error: item.error });
+
+    const { product, isSubscription, license } = item;
+    const finalPriceId = item.priceId;
+
+    const returnUrls = getCheckoutReturnUrls_();
+    const payload = {
+      'line_items[0][price]': finalPriceId,
+      'line_items[0][quantity]': String(item.quantity),
+      'customer_email': userEmail,
+      'mode': isSubscription ? 'subscription' : 'payment',
+      'success_url': returnUrls.successUrl,
+      'cancel_url': returnUrls.cancelUrl,
+      'client_reference_id': userEmail
+    };
+
+    if (isSubscription) {
+      // Lets the customer.subscription.* webhooks identify the user without the Checkout Session.
+      payload['subscription_data[metadata][email]'] = userEmail;
+    }
+
+    if (product) {
+      // Read back by the webhook to record which product was bought.
+      payload['metadata[product_id]'] = productId;
+      if (isSubscription) payload['subscription_data[metadata][product_id]'] = productId;
+    }
+
+    if (license) {
+      // Read back by the webhook to create the license (see createLicense_).
+      payload['metadata[license_type]'] = license.type;
+      payload['metadata[license_seats]'] = String(license.seats);
+      payload['metadata[license_domain]'] = license.domain;
+    }
+
+    if (item.gift) {
+      // Read back by the webhook to issue a license key instead of granting premium to the buyer.
+      payload['metadata[gift]'] = 'true';
+    }
+
+    // --- A user-entered coupon replaces the sheet promotion (Stripe accepts one discount) ---
+    // The code is validated again here: the client's earlier validateCoupon result is not trusted.
+    if (couponCode) {
+      const coupon = validatePromotionCode_(couponCode, finalPriceId);
+      if (!coupon.valid) {
+        logInfo_('handleCreateCheckout', `Rejected coupon '${couponCode}': ${coupon.reason}`);
+        return createJsonResponse_({ error: coupon.reason });
+      }
+      logInfo_('handleCreateCheckout', `Applying coupon '${couponCode}' (${coupon.promotionCodeId})`);
+      payload['discounts[0][promotion_code]'] = coupon.promotionCodeId;
+    }
+
+    // --- Check for an active discount promo ---
+    // Promotions are for the default product, so subscription plans, add-on packs and licenses are sold at their normal price.
+    const promoData = plan || product || license || couponCode ? { hasPromo: false } : JSON.parse(getActivePromotion_(getPromotionAudience_(userEmail)).getContent());
+    if (promoData.hasPromo && promoData.type === 'DISCOUNT' && promoData.promoCodeId) {
+      // Stripe rejects the whole session if a fixed-amount coupon has no amount in the price's currency.
+      if (promotionAppliesToPrice_(promoData.promoCodeId, finalPriceId)) {
+        logInfo_('handleCreateCheckout', `Applying promo code ID: ${promoData.promoCodeId}`);
+        // Add the discount to the payload
+        payload['discounts[0][promotion_code]'] = promoData.promoCodeId;
+      } else {
+        logInfo_('handleCreateCheckout', `Skipping promo code ID ${promoData.promoCodeId}: it does not apply to ${finalPriceId}.`);
+      }
+    }
+
+    const data = callStripeApi_('post', '/v1/checkout/sessions', payload);
+
+    if (data.url) {
+      return createJsonResponse_({ checkoutUrl: data.url });
+    } else {
+      throw new Error('Failed to create Stripe session: ' + (data.error ? data.error.message : 'Unknown error'));
+    }
+  } catch (error) {
+    logError_('handleCreateCheckout_Global', error.message);
+    return createJsonResponse_({ error: 'Could not create payment session.' });
+  }
+}
+
+/**
+ * Checks a user-entered coupon code and returns the price it would give, so the popup can
+ * show the discount before checkout.
+ * @param {string} userEmail The verified email of the user.
+ * @param {Object} options The request payload: couponCode, plus what is being bought (see resolveCheckoutItem_).
+ */
+function handleValidateCoupon_(userEmail, options) {
+  const { couponCode } = options;
+  try {
+    if (!couponCode || typeof couponCode !== 'string') {
+      return createJsonResponse_({ valid: false, reason: 'Please enter a coupon code.' });
+    }
+
+    const item = resolveCheckoutItem_(userEmail, options);
+    if (item.error) return createJsonResponse_({ error: item.error });
+
+    const result = validatePromotionCode_(couponCode, item.priceId, getPricingPreferences_(options).locale);
+    logInfo_('handleValidateCoupon', `Coupon '${couponCode}' for ${userEmail}: ${result.valid ? 'valid' : result.reason}`);
+    return createJsonResponse_(result);
+  } catch (error) {
+    logError_('handleValidateCoupon_Global', error.message);
+    return createJsonResponse_({ error: 'Could not validate the coupon.' });
+  }
+}
+
+/**
+ * Resolves a customer-facing code against Stripe promotion codes and checks that it can be
+ * redeemed: active, not expired, under its redemption limit, and its coupon still valid.
+ * @param {string} code The code the user typed.
+ * @param {string} priceId The price the code would be applied to.
+ * @param {string} [locale] Formats the prices for this locale.
+ * @returns {{valid: true, code: string, promotionCodeId: string, description: string,
+ *   originalPrice: string, discountedPrice: string}|{valid: false, reason: string}}
+ */
+function validatePromotionCode_(code, priceId, locale) {
+  const normalizedCode = code.trim();
+  const list = callStripeApi_('get', `/v1/promotion_codes?code=${encodeURIComponent(normalizedCode)}&limit=10`);
+  if (list.error) throw new Error(`Stripe promotion code lookup failed: ${list.error.message}`);
+
+  // Codes are unique among active promotion codes, but inactive ones may share the code.
+  const matches = list.data || [];
+  const promotionCode = matches.filter(match => match.active)[0] || matches[0];
+  if (!promotionCode) return { valid: false, reason: 'This coupon code does not exist.' };
+
+  // Newer API versions nest the coupon under promotion.coupon and may return only its ID.
+  let coupon = promotionCode.coupon || (promotionCode.promotion && promotionCode.promotion.coupon);
+  if (typeof coupon === 'string') coupon = callStripeApi_('get', `/v1/coupons/${encodeURIComponent(coupon)}`);
+
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  if (!promotionCode.active) return { valid: false, reason: 'This coupon code is no longer active.' };
+  if (promotionCode.expires_at && promotionCode.expires_at <= nowSeconds) {
+    return { valid: false, reason: 'This coupon code has expired.' };
+  }
+  if (promotionCode.max_redemptions && promotionCode.times_redeemed >= promotionCode.max_redemptions) {
+    return { valid: false, reason: 'This coupon code has reached its redemption limit.' };
+  }
+  if (!coupon || coupon.error || !coupon.valid) {
+    return { valid: false, reason: 'This coupon code is no longer valid.' };
+  }
+
+  const price = getStripePrice_(priceId);
+  if (price.error) throw new Error(`Stripe price lookup failed: ${price.error.message}`);
+
+  const restrictions = promotionCode.restrictions || {};
+  if (restrictions.minimum_amount && price.unit_amount < restrictions.minimum_amount) {
+    return { valid: false, reason: 'This coupon code does not apply to this purchase.' };
+  }
+  const discount = applyCoupon_(coupon, price);
+  if (!discount) {
+    return { valid: false, reason: 'This coupon code does not apply to this currency.' };
+  }
+
+  return {
+    valid: true,
+    code: promotionCode.code,
+    promotionCodeId: promotionCode.id,
+    description: discount.description,
+    originalPrice: formatPrice_(price.unit_amount, price.currency, locale),
+    discountedPrice: formatPrice_(discount.amount, price.currency, locale)
+  };
+}
+
+// --- Localized Prices ---
+
+/**
+ * Reads the user's pricing preferences from a checkout, coupon or verify request. Both fields are
+ * optional and only used to pick prices, format them and translate promotions, so malformed values
+ * are ignored.
+ * @param {Object} options The request payload: locale (e.g. 'de-DE') and currency (e.g. 'eur').
+ * @returns {{locale: string, currency: string|null, region: string|null}}
+ */
+function getPricingPreferences_(options) {
+  // RegExp#test converts its argument to a string, so ['de-DE'] would pass without the type checks.
+  const locale = typeof options.locale === 'string' && /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/i.test(options.locale) ? options.locale : 'en-US';
+  const regionTag = locale.split('-').slice(1).filter(tag => /^[A-Za-z]{2}$/.test(tag))[0];
+  const currency = typeof options.currency === 'string' && /^[a-z]{3}$/i.test(options.currency) ? options.currency.toLowerCase() : null;
+  return { locale: locale, currency: currency, region: regionTag ? regionTag.toUpperCase() : null };
+}
+
+/**
+ * Reads the Prices sheet (ProductID, Currency, Regions, StripePriceID) from cache or sheet.
+ * ProductID is 'default', a subscription plan ('monthly', 'yearly') or a Products sheet ID.
+ * Regions is a comma-separated list of country codes, e.g. 'DE,FR,AT'.
+ * @returns {Array<{productId: string, currency: string, regions: string[], priceId: string}>}
+ */
+function getLocalPrices_() {
+  if (!PRICES_SHEET) return [];
+  const cacheKey = 'prices_data';
+  const cachedData = SCRIPT_CACHE.get(cacheKey);
+  if (cachedData !== null) return JSON.parse(cachedData);
+
+  const prices = PRICES_SHEET.getDataRange().getValues().slice(1)
+    .filter(row => row[0] && row[3])
+    .map(row => ({
+      productId: String(row[0]).trim(),
+      currency: String(row[1]).trim().toLowerCase(),
+      regions: String(row[2]).split(',').map(region => region.trim().toUpperCase()).filter(Boolean),
+      priceId: String(row[3]).trim()
+    }));
+
+  // Cache for 10 minutes, like the products.
+  SCRIPT_CACHE.put(cacheKey, JSON.stringify(prices), 600);
+  return prices;
+}
+
+/**
+ * Picks the Stripe price for a product in the user's currency. An explicitly chosen currency wins
+ * over the region of the user's locale; without a matching row the product's own price is used.
+ * @param {string} priceKey The Prices sheet ProductID: 'default', a plan name or a product ID.
+ * @param {string} basePriceId The price used when no row matches.
+ * @param {{currency: string|null, region: string|null}} pricing From getPricingPreferences_.
+ * @returns {string} The Stripe price ID.
+ */
+function findLocalPriceId_(priceKey, basePriceId, pricing) {
+  const rows = getLocalPrices_().filter(row => row.productId === priceKey);
+  const match = (pricing.currency && rows.filter(row => row.currency === pricing.currency)[0]) ||
+    (pricing.region && rows.filter(row => row.regions.indexOf(pricing.region) !== -1)[0]);
+  return match ? match.priceId : basePriceId;
+}
+
+/**
+ * Retrieves a Stripe price, cached for an hour. Prices are immutable in Stripe, except for their
+ * active flag, which checkout checks anyway.
+ * @param {string} priceId The Stripe price ID.
+ * @returns {Object} The price, or { error } from callStripeApi_.
+ */
+function getStripePrice_(priceId) {
+  const cacheKey = `stripe_price_${priceId}`;
+  const cachedPrice = SCRIPT_CACHE.get(cacheKey);
+  if (cachedPrice !== null) return JSON.parse(cachedPrice);
+
+  const price = callStripeApi_('get', `/v1/prices/${encodeURIComponent(priceId)}`);
+  if (!price.error) SCRIPT_CACHE.put(cacheKey, JSON.stringify(price), 3600);
+  return price;
+}
+
+/**
+ * Retrieves the coupon behind a promotion code, cached for an hour like the prices. Coupon amounts
+ * cannot change in Stripe; a deactivated code is still refused by checkout.
+ * @param {string} promotionCodeId The Stripe promotion code ID.
+ * @returns {Object} The coupon, or { error }.
+ */
+function getPromotionCodeCoupon_(promotionCodeId) {
+  const cacheKey = `stripe_promotion_coupon_${promotionCodeId}`;
+  const cachedCoupon = SCRIPT_CACHE.get(cacheKey);
+  if (cachedCoupon !== null) return JSON.parse(cachedCoupon);
+
+  const promotionCode = callStripeApi_('get', `/v1/promotion_codes/${encodeURIComponent(promotionCodeId)}`);
+  if (promotionCode.error) return promotionCode;
+  let coupon = promotionCode.coupon || (promotionCode.promotion && promotionCode.promotion.coupon);
+  if (typeof coupon === 'string') coupon = callStripeApi_('get', `/v1/coupons/${encodeURIComponent(coupon)}`);
+  if (!coupon) return { error: { message: `Promotion code ${promotionCodeId} has no coupon.` } };
+  if (!coupon.error) SCRIPT_CACHE.put(cacheKey, JSON.stringify(coupon), 3600);
+  return coupon;
+}
+
+/**
+ * Checks whether a promotion code's coupon can discount a price (see applyCoupon_). When Stripe
+ * cannot be reached the code is assumed to apply, as before prices were localized.
+ */
+function promotionAppliesToPrice_(promotionCodeId, priceId) {
+  const price = getStripePrice_(priceId);
+  const coupon = getPromotionCodeCoupon_(promotionCodeId);
+  if (price.error || coupon.error) {
+    logWarn_('promotionAppliesToPrice', `Could not check ${promotionCodeId} against ${priceId}.`);
+    return true;
+  }
+  return Boolean(applyCoupon_(coupon, price));
+}
+
+/**
+ * Computes what a coupon takes off a price. Fixed-amount coupons apply in their own currency or in
+ * one of their currency_options.
+ * @param {Object} coupon The Stripe coupon.
+ * @param {Object} price The Stripe price.
+ * @returns {{amount: number, description: string}|null} The discounted amount, or null if the
+ *   coupon does not apply to the price's currency.
+ */
+function applyCoupon_(coupon, price) {
+  if (coupon.percent_off) {
+    return {
+      amount: Math.round(price.unit_amount * (1 - coupon.percent_off / 100)),
+      description: `${coupon.percent_off}% off`
+    };
+  }
+  const currencyOption = coupon.currency_options && coupon.currency_options[price.currency];
+  const amountOff = coupon.currency === price.currency ? coupon.amount_off : currencyOption && currencyOption.amount_off;
+  if (!amountOff) return null;
+  return {
+    amount: Math.max(0, price.unit_amount - amountOff),
+    description: `${formatPrice_(amountOff, price.currency)} off`
+  };
+}
+
+/**
+ * Returns the default product's price in the user's currency for the payment screen, plus the
+ * currencies they can switch to. Only offered when the Prices sheet exists, so verify makes no
+ * Stripe calls otherwise.
+ * @param {{locale: string, currency: string|null, region: string|null}} pricing From getPricingPreferences_.
+ * @returns {{currency: string, price: string, currencies: string[]}|null} Null if Stripe could not be reached.
+ */
+function getDisplayPricing_(pricing) {
+  if (!PRICES_SHEET) return null;
+  const price = getStripePrice_(findLocalPriceId_('default', DEFAULT_PRICE_ID, pricing));
+  const basePrice = getStripePrice_(DEFAULT_PRICE_ID);
+  if (price.error || basePrice.error) {
+    logWarn_('getDisplayPricing', `Could not retrieve prices: ${(price.error || basePrice.error).message}`);
+    return null;
+  }
+  const currencies = [basePrice.currency];
+  getLocalPrices_().forEach(row => {
+    if (row.productId === 'default' && row.currency && currencies.indexOf(row.currency) === -1) currencies.push(row.currency);
+  });
+  return { currency: price.currency, price: formatPrice_(price.unit_amount, price.currency, pricing.locale), currencies: currencies };
+}
+
+/**
+ * Replaces a DISCOUNT promotion's OriginalPriceText and SalePriceText with the amounts Stripe
+ * charges in the user's currency. The sheet's texts are kept when the Prices sheet does not exist,
+ * the promotion has no code, or its coupon does not apply to that currency.
+ * @param {Object} promoData The promotion from getActivePromotion_.
+ * @param {{locale: string, currency: string|null, region: string|null}} pricing From getPricingPreferences_.
+ * @returns {Object} The promotion with localized prices.
+ */
+function localizePromotionPrices_(promoData, pricing) {
+  if (!PRICES_SHEET || !promoData.promoCodeId) return promoData;
+  const price = getStripePrice_(findLocalPriceId_('default', DEFAULT_PRICE_ID, pricing));
+  const coupon = getPromotionCodeCoupon_(promoData.promoCodeId);
+  if (price.error || coupon.error) {
+    logWarn_('localizePromotionPrices', `Could not localize the prices of ${promoData.promoCodeId}.`);
+    return promoData;
+  }
+
+  const discount = applyCoupon_(coupon, price);
+  if (!discount) {
+    logWarn_('localizePromotionPrices', `Promotion ${promoData.promoCodeId} does not apply to ${price.currency}.`);
+    return promoData;
+  }
+  return Object.assign({}, promoData, {
+    originalPrice: formatPrice_(price.unit_amount, price.currency, pricing.locale),
+    salePriceText: formatPrice_(discount.amount, price.currency, pricing.locale)
+  });
+}
+
+// --- Team and Domain Licenses ---
+
+/**
+ * Records a license bought through checkout in the Licenses sheet
+ * (LicenseID, OwnerEmail, Seats, Domain, CreatedAt).
+ * @param {string} ownerEmail The buyer, who manages the seats.
+ * @param {Object} metadata The session metadata written by handleCreateCheckout_.
+ * @returns {string} The new license ID.
+ */
+function createLicense_(ownerEmail, metadata) {
+  const licenseId = `lic_${Utilities.getUuid()}`;
+  const seats = metadata.license_type === 'seats' ? Number(metadata.license_seats) : '';
+  const domain = metadata.license_type === 'domain' ? metadata.license_domain : '';
+  LICENSES_SHEET.appendRow([licenseId, ownerEmail, seats, domain, new Date()]);
+  logInfo_('createLicense', `Created ${metadata.license_type} license ${licenseId} for ${ownerEmail}.`);
+  return licenseId;
+}
+
+/**
+ * Reads the Licenses and Seats sheets (Seats: LicenseID, Email, AddedAt), from the cache when possible.
+ * @returns {{licenses: Array<{id: string, owner: string, seats: number, domain: string}>,
+ *   seats: Array<{licenseId: string, email: string}>}}
+ */
+function getLicensesFromCacheOrSheet_() {
+  const cacheKey = 'licenses_data';
+  const cachedData = SCRIPT_CACHE.get(cacheKey);
+  if (cachedData !== null) return JSON.parse(cachedData);
+
+  const data = { licenses: [], seats: [] };
+  if (LICENSES_SHEET && LICENSES_SHEET.getLastRow() > 1) {
+    data.licenses = LICENSES_SHEET.getRange(2, 1, LICENSES_SHEET.getLastRow() - 1, 4).getValues()
+      .filter(row => row[0])
+      .map(row => ({ id: row[0], owner: row[1], seats: Number(row[2]) || 0, domain: String(row[3] || '').toLowerCase() }));
+  }
+  if (SEATS_SHEET && SEATS_SHEET.getLastRow() > 1) {
+    data.seats = SEATS_SHEET.getRange(2, 1, SEATS_SHEET.getLastRow() - 1, 2).getValues()
+      .filter(row => row[0])
+      .map(row => ({ licenseId: row[0], email: row[1] }));
+  }
+
+  SCRIPT_CACHE.put(cacheKey, JSON.stringify(data), 3600);
+  return data;
+}
+
+/**
+ * Finds a license that covers the user through a seat or a domain rule. A license only counts
+ * while the payment that bought it is valid (not refunded or disputed).
+ * @returns {Object|null} The license, or null.
+ */
+function findActiveLicenseForUser_(userEmail, licenses, now) {
+  const email = userEmail.toLowerCase();
+  const seatLicenseIds = licenses.seats.filter(seat => seat.email === email).map(seat => seat.licenseId);
+
+  const covering = licenses.licenses.filter(license =>
+    seatLicenseIds.indexOf(license.id) !== -1 || (license.domain && email.endsWith(`@${license.domain}`))
+  );
+  for (let i = 0; i < covering.length; i++) {
+    // The license was bought by its owner, so its payment is among the owner's records.
+    const paid = getUserPaymentRecords_(covering[i].owner)
+      .some(record => record.licenseId === covering[i].id && isPaymentRecordActive_(record, now));
+    if (paid) return covering[i];
+  }
+  return null;
+}
+
+/**
+ * Lists the licenses the user owns, with their seat holders.
+ */
+function handleGetLicenses_(userEmail) {
+  const licenses = getLicensesFromCacheOrSheet_();
+  const owned = licenses.licenses
+    .filter(license => isLicenseOwner_(license, userEmail))
+    .map(license => ({
+      id: license.id,
+      seats: license.seats,
+      domain: license.domain,
+      seatEmails: licenses.seats.filter(seat => seat.licenseId === license.id).map(seat => seat.email)
+    }));
+  return createJsonResponse_({ licenses: owned });
+}
+
+/**
+ * Adds a seat holder to a seat license owned by the user.
+ * @param {Object} options The request payload: licenseId and seatEmail.
+ */
+function handleAddSeat_(userEmail, options) {
+  const seatEmail = String(options.seatEmail || '').trim().toLowerCase();
+  const license = getOwnedLicense_(userEmail, options.licenseId);
+  if (!license) return createJsonResponse_({ error: 'License not found.' });
+  if (license.domain) return createJsonResponse_({ error: 'Domain licenses cover every account on the domain.' });
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(seatEmail)) return createJsonResponse_({ error: 'Please enter a valid email address.' });
+
+  const seatEmails = getLicensesFromCacheOrSheet_().seats
+    .filter(seat => seat.licenseId === license.id)
+    .map(seat => seat.email);
+  if (seatEmails.indexOf(seatEmail) !== -1) return createJsonResponse_({ error: 'This email already has a seat.' });
+  if (seatEmails.length >= license.seats) return createJsonResponse_({ error: 'All seats are in use.' });
+
+  SEATS_SHEET.appendRow([license.id, seatEmail, new Date()]);
+  SCRIPT_CACHE.remove('licenses_data');
+  logInfo_('handleAddSeat', `${userEmail} gave ${seatEmail} a seat on ${license.id}.`);
+  return handleGetLicenses_(userEmail);
+}
+
+/**
+ * Removes a seat holder from a license owned by the user.
+ * @param {Object} options The request payload: licenseId and seatEmail.
+ */
+function handleRemoveSeat_(userEmail, options) {
+  const seatEmail = String(options.seatEmail || '').trim().toLowerCase();
+  const license = getOwnedLicense_(userEmail, options.licenseId);
+  if (!license) return createJsonResponse_({ error: 'License not found.' });
+
+  const lastRow = SEATS_SHEET.getLastRow();
+  const matches = lastRow < 1 ? [] : SEATS_SHEET.getRange(1, 2, lastRow, 1)
+    .createTextFinder(`^${escapeRegExp_(seatEmail)}$`)
+    .useRegularExpression(true)
+    .findAll();
+  const match = matches.filter(cell => SEATS_SHEET.getRange(cell.getRow(), 1).getValue() === license.id)[0];
+  if (!match) return createJsonResponse_({ error: 'This email does not have a seat.' });
+
+  SEATS_SHEET.deleteRow(match.getRow());
+  SCRIPT_CACHE.remove('licenses_data');
+  logInfo_('handleRemoveSeat', `${userEmail} removed ${seatEmail} from ${license.id}.`);
+  return handleGetLicenses_(userEmail);
+}
+
+function getOwnedLicense_(userEmail, licenseId) {
+  if (!LICENSES_SHEET || !SEATS_SHEET) return null;
+  return getLicensesFromCacheOrSheet_().licenses
+    .filter(license => license.id === licenseId && isLicenseOwner_(license, userEmail))[0] || null;
+}
+
+/**
+ * Compares emails case-insensitively, like the seat checks: the Licenses row and the user's
+ * Google account may differ in case.
+ */
+function isLicenseOwner_(license, userEmail) {
+  return String(license.owner || '').toLowerCase() === String(userEmail || '').toLowerCase();
+}
+
+// --- Gift Purchases and License Keys ---
+
+/**
+ * Returns random uppercase hex characters taken from UUIDv4s. The version and variant
+ * characters of each UUID are dropped, leaving 30 fully random characters per UUID.
+ * @param {number} length The number of characters.
+ * @returns {string} The characters.
+ */
+function getRandomHex_(length) {
+  let hex = '';
+  while (hex.length < length) {
+    const uuid = Utilities.getUuid().replace(/-/g, '').toUpperCase();
+    hex += uuid.slice(0, 12) + uuid.slice(13, 16) + uuid.slice(17);
+  }
+  return hex.slice(0, length);
+}
+
+/**
+ * Issues the license key for a gift purchase and records its hash in the Keys sheet
+ * (KeyHash, KeyID, PurchaserEmail, ProductID, CreatedAt, RedeemedBy, RedeemedAt).
+ * The key itself is never stored: it is only returned here to be emailed to the buyer.
+ * @param {string} purchaserEmail The buyer's email.
+ * @param {string} [productId] The Products sheet ID, empty for the default product.
+ * @returns {{id: string, key: string}} The key ID and the plain key.
+ */
+function createGiftKey_(purchaserEmail, productId) {
+  const keyId = `key_${Utilities.getUuid()}`;
+  // 20 random hex characters (80 bits) in groups of four: XXXX-XXXX-XXXX-XXXX-XXXX.
+  const key = getRandomHex_(20).match(/.{4}/g).join('-');
+  KEYS_SHEET.appendRow([hashLicenseKey_(key), keyId, purchaserEmail, productId || '', new Date(), '', '']);
+  logInfo_('createGiftKey', `Created gift key ${keyId} for ${purchaserEmail}.`);
+  return { id: keyId, key: key };
+}
+
+/**
+ * Emails a gift purchase's license key to the buyer. A failure is logged with the key ID rather
+ * than thrown, because the purchase is already recorded and Stripe must not retry the webhook.
+ */
+function sendGiftKeyEmail_(purchaserEmail, giftKey) {
+  try {
+    MailApp.sendEmail(
+      purchaserEmail,
+      'Your gift license key',
+      `Thank you for your purchase!\n\n` +
+      `Your license key is: ${giftKey.key}\n\n` +
+      `Give it to the person you are gifting premium to. They can redeem it once, from the extension's ` +
+      `payment screen under "Have a key?".`
+    );
+  } catch (error) {
+    logError_('sendGiftKeyEmail', `ERROR: Could not email gift key ${giftKey.id} to ${purchaserEmail}: ${error.message}`);
+  }
+}
+
+/**
+ * Hashes a license key for storage and lookup. Case, spaces and dashes are ignored so a key
+ * typed by hand still matches.
+ * @returns {string} The hex-encoded SHA-256 digest.
+ */
+function hashLicenseKey_(key) {
+  return sha256Hex_(String(key).toUpperCase().replace(/[\s-]/g, ''));
+}
+
+/**
+ * Redeems a gift license key for the signed-in user. A key can only be redeemed once; the
+ * redemption is recorded as a Payments row for the user, so it is revoked along with the
+ * gift purchase on a refund or dispute.
+ * @param {string} userEmail The verified email of the user.
+ * @param {Object} options The request payload: key.
+ */
+function handleRedeemKey_(userEmail, options) {
+  const functionName = 'handleRedeemKey';
+  if (!KEYS_SHEET) return createJsonResponse_({ error: 'License keys are not available.' });
+  if (!options.key || typeof options.key !== 'string') return createJsonResponse_({ error: 'Please enter a license key.' });
+
+  // Two requests with the same key must not both find it unredeemed.
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    const lastRow = KEYS_SHEET.getLastRow();
+    const cell = lastRow < 2 ? null : KEYS_SHEET.getRange(2, 1, lastRow - 1, 1)
+      .createTextFinder(hashLicenseKey_(options.key))
+      .matchEntireCell(true)
+      .findNext();
+    if (!cell) {
+      logWarn_(functionName, `Rejected unknown key from ${userEmail}.`);
+      return createJsonResponse_({ error: 'This license key is not valid.' });
+    }
+
+    const rowIndex = cell.getRow();
+    const [, keyId, , productId, , redeemedBy] = KEYS_SHEET.getRange(rowIndex, 1, 1, 7).getValues()[0];
+    if (redeemedBy) {
+      logWarn_(functionName, `Rejected key ${keyId} from ${userEmail}: already redeemed by ${redeemedBy}.`);
+      return createJsonResponse_({ error: 'This license key has already been redeemed.' });
+    }
+
+    // A refunded or disputed gift no longer grants anything.
+    const purchaseRow = findPaymentRow_(PAYMENT_COLUMNS.GIFT_KEY_ID, keyId);
+    if (purchaseRow === -1 || STORES.payments.get(purchaseRow)[PAYMENT_COLUMNS.REVOKED_REASON - 1]) {
+      logWarn_(functionName, `Rejected key ${keyId} from ${userEmail}: the gift purchase is missing or revoked.`);
+      return createJsonResponse_({ error: 'This license key is no longer valid.' });
+    }
+
+    KEYS_SHEET.getRange(rowIndex, 6, 1, 2).setValues([[userEmail, new Date()]]);
+    appendPaymentRow_({
+      EMAIL: userEmail,
+      EVENT_ID: REDEMPTION_EVENT_PREFIX + keyId,
+      PRODUCT_ID: productId
+    });
+    logInfo_(functionName, `Key ${keyId} redeemed by ${userEmail}.`);
+
+    const products = getProducts_();
+    return createJsonResponse_({ redeemed: true, entitlements: getRecordEntitlements_({ productId: productId }, products) });
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// --- Purchase Transfers ---
+// A user who bought with one Google account can move their purchases to the account they use
+// Chrome with. createTransferCode gives the paid account a single-use code; transferLicense, called
+// from the other account, moves the purchases' Payments rows to it. Each moved row counts its
+// transfers, and the old account gets a revoked 'transferred' row as the audit record.
+
+/**
+ * Creates a transfer code for the user's purchases. Only a hash of the code is kept, in the cache,
+ * so it expires by itself after TRANSFER_CODE_MINUTES.
+ * @param {string} userEmail The verified email of the paid account.
+ * @returns {GoogleAppsScript.Content.TextOutput} { code, expiresAt, purchases } or { error }.
+ */
+function handleCreateTransferCode_(userEmail) {
+  const transferable = findTransferablePaymentRows_(userEmail);
+  if (!transferable.rowIndexes.length) {
+    return createJsonResponse_({
+      error: transferable.limitReached
+        ? `Your purchases were already transferred ${TRANSFER_LIMIT} times, the most allowed.`
+        : 'There is no purchase on this account that can be transferred.'
+    });
+  }
+
+  // 12 random hex characters (48 bits) in groups of four: XXXX-XXXX-XXXX.
+  const code = getRandomHex_(12).match(/.{4}/g).join('-');
+  SCRIPT_CACHE.put(getTransferCodeCacheKey_(code), userEmail, TRANSFER_CODE_MINUTES * 60);
+  logInfo_('handleCreateTransferCode', `Created a transfer code for ${transferable.rowIndexes.length} purchase(s) of ${userEmail}.`);
+  return createJsonResponse_({
+    code: code,
+    expiresAt: new Date(Date.now() + TRANSFER_CODE_MINUTES * 60 * 1000).toISOString(),
+    purchases: transferable.rowIndexes.length
+  });
+}
+
+/**
+ * Redeems a transfer code for the signed-in user: the code's account's transferable purchases
+ * become theirs. The purchases are looked up again here, so anything refunded or transferred since
+ * the code was created stays behind. Both accounts' cached payments are dropped.
+ * @param {string} userEmail The verified email of the account receiving the purchases.
+ * @param {Object} options The request payload: code.
+ */
+function handleTransferLicense_(userEmail, options) {
+  const functionName = 'handleTransferLicense';
+  if (!options.code || typeof options.code !== 'string') return createJsonResponse_({ error: 'Please enter a transfer code.' });
+
+  // Two requests with the same code must not both move the purchases.
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    const cacheKey = getTransferCodeCacheKey_(options.code);
+    const sourceEmail = SCRIPT_CACHE.get(cacheKey);
+    if (!sourceEmail) {
+      logWarn_(functionName, `Rejected an unknown or expired transfer code from ${userEmail}.`);
+      return createJsonResponse_({ error: 'This transfer code is not valid or has expired.' });
+    }
+    if (sourceEmail.toLowerCase() === userEmail.toLowerCase()) {
+      return createJsonResponse_({ error: 'Sign in with the account you want to move your purchases to, then enter the code.' });
+    }
+
+    SCRIPT_CACHE.remove(cacheKey);
+    const transferable = findTransferablePaymentRows_(sourceEmail);
+    if (!transferable.rowIndexes.length) {
+      logWarn_(functionName, `Transfer from ${sourceEmail} to ${userEmail} found nothing left to transfer.`);
+      return createJsonResponse_({ error: 'There is no purchase left to transfer.' });
+    }
+
+    const products = getProducts_();
+    const entitlements = [];
+    transferable.rowIndexes.forEach(rowIndex => {
+      const row = STORES.payments.get(rowIndex);
+      const transfers = (Number(row[PAYMENT_COLUMNS.TRANSFERS - 1]) || 0) + 1;
+      STORES.payments.update(rowIndex, PAYMENT_COLUMNS.EMAIL, [userEmail]);
+      STORES.payments.update(rowIndex, PAYMENT_COLUMNS.TRANSFERS, [transfers]);
+      appendPaymentRow_({
+        EMAIL: sourceEmail,
+        EVENT_ID: `${TRANSFER_EVENT_PREFIX}${transfers}_${row[PAYMENT_COLUMNS.EVENT_ID - 1]}`,
+        REVOKED_REASON: 'transferred',
+        REVOKED_AT: new Date(),
+        TRANSFERRED_TO: userEmail
+      });
+      getRecordEntitlements_(toPaymentRecord_(row), products).forEach(name => {
+        if (entitlements.indexOf(name) === -1) entitlements.push(name);
+      });
+    });
+    SCRIPT_CACHE.removeAll([getPaymentCacheKey_(sourceEmail), getPaymentCacheKey_(userEmail)]);
+    logInfo_(functionName, `Transferred ${transferable.rowIndexes.length} purchase(s) from ${sourceEmail} to ${userEmail}.`);
+
+    return createJsonResponse_({ transferred: transferable.rowIndexes.length, entitlements: entitlements });
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Finds the user's Payments rows that can be transferred: their own purchases that currently grant
+ * access and were moved fewer than TRANSFER_LIMIT times. License and gift purchases belong to the
+ * seats and the key's redeemer, so they stay with the buyer.
+ * @returns {{rowIndexes: Array<number>, limitReached: boolean}} The rows, and whether any were left
+ *   out only because of the limit.
+ */
+function findTransferablePaymentRows_(userEmail) {
+  const now = new Date();
+  const rowIndexes = [];
+  let limitReached = false;
+  findPaymentRows_(PAYMENT_COLUMNS.EMAIL, userEmail).forEach(rowIndex => {
+    const row = STORES.payments.get(rowIndex);
+    const record = toPaymentRecord_(row);
+    if (record.email !== userEmail || record.licenseId || record.giftKeyId || !isPaymentRecordActive_(record, now)) return;
+    if ((Number(row[PAYMENT_COLUMNS.TRANSFERS - 1]) || 0) >= TRANSFER_LIMIT) {
+      limitReached = true;
+      return;
+    }
+    rowIndexes.push(rowIndex);
+  });
+  return { rowIndexes: rowIndexes, limitReached: limitReached };
+}
+
+function getTransferCodeCacheKey_(code) {
+  // Codes are compared like license keys, so case and dashes do not matter.
+  return `transfer_code_${hashLicenseKey_(code)}`;
+}
+
+// --- Billing Portal and Purchase History ---
+
+/**
+ * Opens the Stripe Customer Portal, where the user can download invoices, update their card and
+ * cancel subscriptions. The portal itself is configured in the Stripe Dashboard.
+ * @param {string} userEmail The verified email.
+ * @returns {GoogleAppsScript.Content.TextOutput} { portalUrl } or { error }.
+ */
+function handleCreatePortalSession_(userEmail) {
+  const functionName = 'handleCreatePortalSession';
+  const customer = findSubscriptionCustomer_(userEmail);
+  if (customer.error) return createJsonResponse_({ error: customer.error });
+
+  const session = callStripeApi_('post', '/v1/billing_portal/sessions', {
+    'customer': customer.customerId,
+    'return_url': `${ScriptApp.getService().getUrl()}?page=billing`
+  });
+  if (!session || session.error) {
+    logError_(functionName, `ERROR: Could not create a portal session for ${userEmail}: ${session && session.error ? session.error.message : 'no response'}`);
+    return createJsonResponse_({ error: 'Could not open the billing portal. Please try again later.' });
+  }
+  logInfo_(functionName, `Opened the billing portal for ${userEmail}.`);
+  return createJsonResponse_({ portalUrl: session.url });
+}
+
+/**
+ * Finds the Stripe customer of the user's newest subscription. Subscription checkouts create the
+ * customer, and a transfer moves the subscription's rows, so the portal follows the subscription
+ * rather than the user's email. No customer is ever created: one-time purchases and manual grants
+ * have nothing to manage in the portal.
+ * @param {string} userEmail The verified email.
+ * @returns {{customerId: string}|{error: string}} The customer ID, or the error to show.
+ */
+function findSubscriptionCustomer_(userEmail) {
+  const functionName = 'findSubscriptionCustomer';
+  const subscriptionIds = findPaymentRows_(PAYMENT_COLUMNS.EMAIL, userEmail)
+    .map(rowIndex => STORES.payments.get(rowIndex))
+    .filter(row => row[PAYMENT_COLUMNS.EMAIL - 1] === userEmail && row[PAYMENT_COLUMNS.SUBSCRIPTION_ID - 1] &&
+      row[PAYMENT_COLUMNS.REVOKED_REASON - 1] !== 'transferred')
+    .map(row => row[PAYMENT_COLUMNS.SUBSCRIPTION_ID - 1]);
+  if (!subscriptionIds.length) return { error: 'There is no subscription to manage for this account.' };
+
+  const subscriptionId = subscriptionIds[subscriptionIds.length - 1];
+  // A subscription never changes customer.
+  const cacheKey = `stripe_subscription_customer_${subscriptionId}`;
+  const cachedId = SCRIPT_CACHE.get(cacheKey);
+  if (cachedId !== null) return { customerId: cachedId };
+
+  const subscription = callStripeApi_('get', `/v1/subscriptions/${encodeURIComponent(subscriptionId)}`);
+  const customerId = subscription && !subscription.error && subscription.customer
+    ? (typeof subscription.customer === 'string' ? subscription.customer : subscription.customer.id)
+    : null;
+  if (!customerId) {
+    logError_(functionName, `ERROR: Could not find the customer of ${subscriptionId} for ${userEmail}: ${subscription && subscription.error ? subscription.error.message : 'no customer'}`);
+    return { error: 'Could not open the billing portal. Please try again later.' };
+  }
+  SCRIPT_CACHE.put(cacheKey, customerId, 21600);
+  return { customerId: customerId };
+}
+
+/**
+ * Lists what the user has bought, newest first, with the amounts and receipts from Stripe.
+ * One-time payments are read from their PaymentIntent, subscriptions from their invoices. Manual
+ * grants and redeemed keys were never charged, so they are not listed.
+ * @param {string} userEmail The verified email.
+ * @returns {GoogleAppsScript.Content.TextOutput} { purchases: [{ date, description, amount, status, receiptUrl }] }.
+ */
+function handleGetPurchases_(userEmail) {
+  const products = getProducts_();
+  const purchases = [];
+
+  findPaymentRows_(PAYMENT_COLUMNS.EMAIL, userEmail).forEach(rowIndex => {
+    const row = STORES.payments.get(rowIndex);
+    if (row[PAYMENT_COLUMNS.EMAIL - 1] !== userEmail) return;
+    const description = describePurchase_(row, products);
+    const revokedReason = row[PAYMENT_COLUMNS.REVOKED_REASON - 1];
+    const subscriptionId = row[PAYMENT_COLUMNS.SUBSCRIPTION_ID - 1];
+    const paymentIntentId = row[PAYMENT_COLUMNS.PAYMENT_INTENT_ID - 1];
+
+    if (subscriptionId) {
+      const invoices = callStripeApi_('get', `/v1/invoices?subscription=${encodeURIComponent(subscriptionId)}&status=paid&limit=24`);
+      if (!invoices || invoices.error) {
+        logWarn_('handleGetPurchases', `Could not list invoices of ${subscriptionId}: ${invoices && invoices.error ? invoices.error.message : 'no response'}`);
+        return;
+      }
+      invoices.data.forEach(invoice => purchases.push({
+        date: new Date(invoice.created * 1000).toISOString(),
+        description: description,
+        amount: formatPrice_(invoice.amount_paid, invoice.currency),
+        status: revokedReason || 'paid',
+        receiptUrl: invoice.hosted_invoice_url || null
+      }));
+    } else if (paymentIntentId) {
+      const paymentIntent = callStripeApi_('get', `/v1/payment_intents/${encodeURIComponent(paymentIntentId)}?expand[]=latest_charge`);
+      if (!paymentIntent || paymentIntent.error) {
+        logWarn_('handleGetPurchases', `Could not retrieve ${paymentIntentId}: ${paymentIntent && paymentIntent.error ? paymentIntent.error.message : 'no response'}`);
+        return;
+      }
+      const charge = paymentIntent.latest_charge || {};
+      purchases.push({
+        date: new Date(paymentIntent.created * 1000).toISOString(),
+        description: description,
+        amount: formatPrice_(paymentIntent.amount_received || paymentIntent.amount, paymentIntent.currency),
+        status: revokedReason || 'paid',
+        receiptUrl: charge.receipt_url || null
+      });
+    }
+  });
+
+  purchases.sort((a, b) => (a.date < b.date ? 1 : -1));
+  return createJsonResponse_({ purchases: purchases });
+}
+
+/**
+ * Names a Payments row for the purchase history.
+ */
+function describePurchase_(row, products) {
+  const productId = row[PAYMENT_COLUMNS.PRODUCT_ID - 1];
+  const name = productId && products[productId] ? products[productId].name || productId : 'Premium';
+  if (row[PAYMENT_COLUMNS.GIFT_KEY_ID - 1]) return `${name} (gift)`;
+  if (row[PAYMENT_COLUMNS.LICENSE_ID - 1]) return `${name} (team license)`;
+  if (row[PAYMENT_COLUMNS.SUBSCRIPTION_ID - 1]) return `${name} subscription`;
+  return name;
+}
+
+// --- Utility and Security Functions ---
+
+/**
+ * Signs an entitlement token for a verify response: a JWT (RS256) carrying the email, status,
+ * entitlements and expiry. The extension checks it with the public key of ENTITLEMENT_SIGNING_KEY
+ * and honours it while offline, so it never outlives ENTITLEMENT_TOKEN_HOURS or the access itself.
+ * @param {string} userEmail The verified email of the user.
+ * @param {Object} data The verify response.
+ * @param {Date} [accessEndsAt] When the granted access ends, for trials and free promotions.
+ * @returns {string|null} The token, or null when no signing key is configured or signing fails.
+ */
+function createEntitlementToken_(userEmail, data, accessEndsAt) {
+  if (!ENTITLEMENT_SIGNING_KEY) return null;
+
+  const issuedAt = Math.floor(Date.now() / 1000);
+  let expiresAt = issuedAt + ENTITLEMENT_TOKEN_HOURS * 60 * 60;
+  if (accessEndsAt) expiresAt = Math.min(expiresAt, Math.floor(accessEndsAt.getTime() / 1000));
+
+  const claims = {
+    sub: userEmail,
+    status: data.status,
+    entitlements: data.entitlements,
+    isLicenseOwner: Boolean(data.isLicenseOwner),
+    iat: issuedAt,
+    exp: expiresAt
+  };
+  const encode = value => Utilities.base64EncodeWebSafe(value).replace(/=+$/, '');
+  const signingInput = `${encode(JSON.stringify({ alg: 'RS256', typ: 'JWT' }))}.${encode(JSON.stringify(claims))}`;
+  try {
+    return `${signingInput}.${encode(Utilities.computeRsaSha256Signature(signingInput, ENTITLEMENT_SIGNING_KEY))}`;
+  } catch (error) {
+    logError_('createEntitlementToken', `ERROR: Could not sign entitlement token: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * @returns {string} The hex-encoded SHA-256 digest of a string.
+ */
+function sha256Hex_(text) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, text, Utilities.Charset.UTF_8);
+  return digest.map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Counts a request against the action's RATE_LIMITS entry, in a fixed window kept in CacheService.
+ * The count is read and written without a lock, so a burst of parallel requests can slip a few
+ * past the limit; that is fine for throttling and keeps the lock free for the webhook.
+ * @param {string} scope 'token' or 'email'.
+ * @param {string} value The token or email. Only its hash is used in the cache key.
+ * @param {string} action The requested action.
+ * @returns {number} 0 if the request is allowed, otherwise the seconds until the window resets.
+ */
+function checkRateLimit_(scope, value, action) {
+  const limitName = RATE_LIMITS.hasOwnProperty(action) && action !== 'other' ? action : 'other';
+  const { limit, windowSeconds } = RATE_LIMITS[limitName];
+  const now = Math.floor(Date.now() / 1000);
+  const windowStart = now - (now % windowSeconds);
+  const secondsLeft = windowStart + windowSeconds - now;
+  const cacheKey = `rate_${scope}_${limitName}_${sha256Hex_(String(value))}_${windowStart}`;
+
+  const count = Number(SCRIPT_CACHE.get(cacheKey)) || 0;
+  if (count >= limit) return secondsLeft;
+  SCRIPT_CACHE.put(cacheKey, String(count + 1), secondsLeft);
+  return 0;
+}
+
+/**
+ * The response for a throttled request. The extension waits retryAfter seconds before trying again.
+ */
+function createRateLimitedResponse_(scope, action, retryAfter, userEmail) {
+  logWarn_('doPost', `Rate limited ${action} by ${scope}.`, { action: action, user: userEmail, retryAfter: retryAfter });
+  const wait = retryAfter < 60 ? `${retryAfter} seconds` : `${Math.ceil(retryAfter / 60)} minutes`;
+  return createJsonResponse_({
+    error: `Too many requests. Please try again in ${wait}.`,
+    code: 'rate_limited',
+    retryAfter: retryAfter
+  });
+}
+
+/**
+ * Formats a Stripe amount (in the currency's smallest unit) for display, e.g. 1000 usd -> "$10.00".
+ * With a locale the amount is formatted the way its users write it, e.g. 1000 eur in de-DE -> "10,00 €".
+ */
+function formatPrice_(amount, currency, locale) {
+  const isZeroDecimal = ZERO_DECIMAL_CURRENCIES.indexOf(currency.toLowerCase()) !== -1;
+  const value = isZeroDecimal ? amount : amount / 100;
+  const format = { style: 'currency', currency: currency.toUpperCase() };
+  try {
+    return new Intl.NumberFormat(locale || 'en-US', format).format(value);
+  } catch (error) {
+    // A locale the runtime does not know.
+    return new Intl.NumberFormat('en-US', format).format(value);
+  }
+}
+
+/**
+ * Calls the Stripe REST API with the secret key and returns the parsed JSON body.
+ * Stripe errors are returned as { error: {...} } rather than thrown.
+ */
+function callStripeApi_(method, path, payload) {
+  const options = {
+    method: method,
+    headers: { 'Authorization': `Bearer ${STRIPE_SECRET_KEY}` },
+    muteHttpExceptions: true,
+  };
+  if (payload) options.payload = payload;
+
+  const response = UrlFetchApp.fetch(`https://api.stripe.com${path}`, options);
+  return JSON.parse(response.getContentText());
+}
+
+// --- verifyGoogleToken_ ---
+
+/**
+ * Checks a Google access token with the tokeninfo endpoint. The token must have been issued to one
+ * of GOOGLE_CLIENT_IDS (any app can get a token with the email scope) and must not have expired.
+ * Accepted tokens are cached under their hash until they expire, for at most TOKEN_CACHE_SECONDS,
+ * so repeated requests with the same token skip the network call.
+ * @param {string} token The access token sent by the extension.
+ * @returns {Object|null} The tokeninfo response, or null if the token is not accepted.
+ */
+function verifyGoogleToken_(token) {
+  const cacheKey = `tokeninfo_${sha256Hex_(String(token))}`;
+  const cachedInfo = SCRIPT_CACHE.get(cacheKey);
+  if (cachedInfo !== null) {
+    const info = JSON.parse(cachedInfo);
+    // The cache entry can outlive the token by up to a second.
+    if (Number(info.exp) > Date.now() / 1000) return info;
+  }
+
+  let info;
+  try {
+    const response = UrlFetchApp.fetch(`https://www.googleapis.com/oauth2/v3/tokeninfo?access_token=${encodeURIComponent(token)}`);
+    info = JSON.parse(response.getContentText());
+  } catch (e) {
+    // Log the actual error before returning null
+    logWarn_('verifyGoogleToken_Error', `UrlFetchApp failed. Error: ${e.message}`);
+    return null;
+  }
+
+  if (!GOOGLE_CLIENT_IDS.length) {
+    logError_('verifyGoogleToken', 'GOOGLE_CLIENT_IDS is not set, so no token can be accepted.');
+    return null;
+  }
+  if (GOOGLE_CLIENT_IDS.indexOf(info.aud) === -1 && GOOGLE_CLIENT_IDS.indexOf(info.azp) === -1) {
+    logWarn_('verifyGoogleToken', 'Rejected a token issued to another client.', { aud: info.aud, azp: info.azp, user: info.email });
+    return null;
+  }
+  const secondsLeft = Math.floor(Number(info.exp) - Date.now() / 1000);
+  if (!(secondsLeft > 0)) {
+    logWarn_('verifyGoogleToken', 'Rejected an expired token.', { user: info.email });
+    return null;
+  }
+
+  SCRIPT_CACHE.put(cacheKey, JSON.stringify(info), Math.min(secondsLeft, TOKEN_CACHE_SECONDS));
+  return info;
+}
+
+// --- Storage ---
+// Payments, promotions, logs and processed webhook events live in tables (see STORES). A table holds
+// rows in the Sheets column layout, and rows are addressed by 1-based IDs counted the way sheet rows
+// are: the header is row 1, so the first data row is 2. Every backend implements the same methods:
+//   exists()                   false for an optional sheet tab that is missing
+//   header()                   the header row
+//   rows()                     every data row
+//   get(id)                    one row, or null if there is no such row
+//   find(column, value)        IDs of the rows whose cell in the 1-based column equals value, ignoring case
+//   count()                    the number of data rows
+//   append(row)                adds a row and returns its ID
+//   appendRows(rows)           adds several rows in one write
+//   update(id, column, values) overwrites the cells of a row from the 1-based column on
+//   removeFirst(count)         deletes the oldest rows and returns them
+//   setHeader(header)          replaces the header row
+// Reads of a missing tab return nothing; writes to it throw.
+
+/**
+ * Creates the tables of a storage backend.
+ * - 'sheets': tabs of the bound spreadsheet (the default)
+ * - 'properties': JSON in the Script Properties. Apps Script caps the properties at
+ *   about 500KB in total, so it suits small deployments. Rotated logs are discarded.
+ * - 'memory': JSON held for a single execution, for tests
+ * @param {string} backend One of the names above.
+ * @returns {{payments: Object, promotions: Object, logs: Object, logArchive: Object|null, events: Object}}
+ */
+function createStores_(backend) {
+  if (backend === 'sheets') {
+    return {
+      payments: createSheetTable_('Payments', PAYMENT_COLUMN_COUNT),
+      promotions: createSheetTable_('Promotions'),
+      logs: createSheetTable_('Error Logs', LOG_COLUMN_COUNT),
+      logArchive: createSheetTable_('Error Logs Archive', LOG_COLUMN_COUNT),
+      events: createSheetTable_('Events', EVENT_HEADER.length)
+    };
+  }
+  if (backend !== 'properties' && backend !== 'memory') {
+    throw new Error(`Unknown STORAGE_BACKEND '${backend}'. Use sheets, properties or memory.`);
+  }
+  const storage = backend === 'properties' ? scriptProperties : createMemoryStorage_();
+  return {
+    payments: createJsonTable_(storage, 'store_payments', PAYMENTS_HEADER),
+    promotions: createJsonTable_(storage, 'store_promotions', PROMOTIONS_HEADER),
+    logs: createJsonTable_(storage, 'store_logs', LOGS_HEADER),
+    logArchive: null,
+    events: createJsonTable_(storage, 'store_events', EVENT_HEADER)
+  };
+}
+
+/**
+ * A table backed by a tab of the bound spreadsheet. The tab is looked up on first use, so a
+ * missing tab only fails the requests that write to it.
+ * @param {string} sheetName The tab's name.
+ * @param {number} [columnCount] Columns to read. Defaults to every column of the tab.
+ */
+function createSheetTable_(sheetName, columnCount) {
+  let sheet;
+  const getSheet = () => sheet || (sheet = SPREADSHEET.getSheetByName(sheetName));
+  const requireSheet = () => {
+    if (!getSheet()) throw new Error(`Could not find the sheet tab named '${sheetName}'. Please check for typos or create it.`);
+    return sheet;
+  };
+  const width = () => columnCount || Math.max(sheet.getLastColumn(), 1);
+  const lastRow = () => (getSheet() ? sheet.getLastRow() : 0);
+
+  return {
+    exists: () => Boolean(getSheet()),
+    header: () => (lastRow() < 1 ? [] : sheet.getRange(1, 1, 1, width()).getValues()[0]),
+    rows: () => (lastRow() < 2 ? [] : sheet.getRange(2, 1, lastRow() - 1, width()).getValues()),
+    get: id => (Number.isInteger(id) && id >= 2 && id <= lastRow() ? sheet.getRange(id, 1, 1, width()).getValues()[0] : null),
+    find: (column, value) => {
+      if (lastRow() < 2 || !value) return [];
+      return sheet.getRange(2, column, lastRow() - 1, 1)
+        .createTextFinder(`^${escapeRegExp_(String(value))}$`)
+        .useRegularExpression(true)
+        .findAll()
+        .map(cell => cell.getRow());
+    },
+    count: () => Math.max(lastRow() - 1, 0),
+    append: row => {
+      requireSheet().appendRow(row);
+      return sheet.getLastRow();
+    },
+    appendRows: rows => {
+      if (!rows.length) return;
+      requireSheet().getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+    },
+    update: (id, column, values) => {
+      requireSheet().getRange(id, column, 1, values.length).setValues([values]);
+    },
+    removeFirst: count => {
+      const removeCount = Math.min(count, lastRow() - 1);
+      if (removeCount <= 0) return [];
+      const removed = sheet.getRange(2, 1, removeCount, width()).getValues();
+      sheet.deleteRows(2, removeCount);
+      return removed;
+    },
+    setHeader: header => {
+      requireSheet().getRange(1, 1, 1, header.length).setValues([header]);
+    }
+  };
+}
+
+// Script Properties values are capped at 9KB, so a table's JSON is split over numbered properties.
+const JSON_TABLE_CHUNK_SIZE = 8000;
+
+/**
+ * A table stored as JSON in a Properties-like storage (getProperty, setProperty, deleteProperty).
+ * Reads parse the table once per execution. Every change reloads it, applies the change and writes it
+ * back in full under the script lock, so concurrent executions (e.g. two webhooks for one checkout)
+ * do not overwrite each other's rows. Dates are kept as { $date: epochMs } so they come back as Dates.
+ * @param {Object} storage The Script Properties, or createMemoryStorage_().
+ * @param {string} key Prefix of the table's properties.
+ * @param {Array<string>} defaultHeader The header of a table that was never written.
+ */
+function createJsonTable_(storage, key, defaultHeader) {
+  let data = null;
+
+  const load = () => {
+    if (data) return data;
+    const chunkCount = Number(storage.getProperty(`${key}_chunks`) || 0);
+    let json = '';
+    for (let i = 0; i < chunkCount; i++) json += storage.getProperty(`${key}_${i}`) || '';
+    data = json ? JSON.parse(json, reviveJsonTableValue_) : { header: defaultHeader.slice(), rows: [] };
+    return data;
+  };
+  const save = () => {
+    const json = JSON.stringify(data, replaceJsonTableValue_);
+    const oldChunkCount = Number(storage.getProperty(`${key}_chunks`) || 0);
+    const chunkCount = Math.ceil(json.length / JSON_TABLE_CHUNK_SIZE);
+    for (let i = 0; i < chunkCount; i++) {
+      storage.setProperty(`${key}_${i}`, json.slice(i * JSON_TABLE_CHUNK_SIZE, (i + 1) * JSON_TABLE_CHUNK_SIZE));
+    }
+    for (let i = chunkCount; i < oldChunkCount; i++) storage.deleteProperty(`${key}_${i}`);
+    storage.setProperty(`${key}_chunks`, String(chunkCount));
+  };
+  // An execution that already holds the lock (e.g. handleRedeemKey_) keeps it until it is done.
+  const modify = change => {
+    const lock = LockService.getScriptLock();
+    const alreadyHeld = lock.hasLock();
+    if (!alreadyHeld) lock.waitLock(10000);
+    try {
+      data = null;
+      const result = change(load());
+      save();
+      return result;
+    } finally {
+      if (!alreadyHeld) lock.releaseLock();
+    }
+  };
+  // Copies, so callers cannot change the table without saving it.
+  const copyRow = row => row.map(cell => (isDate_(cell) ? new Date(cell.getTime()) : cell));
+
+  return {
+    exists: () => true,
+    header: () => load().header.slice(),
+    rows: () => load().rows.map(copyRow),
+    get: id => (Number.isInteger(id) && id >= 2 && id - 2 < load().rows.length ? copyRow(data.rows[id - 2]) : null),
+    find: (column, value) => {
+      if (!value) return [];
+      const wanted = String(value).toLowerCase();
+      const ids = [];
+      load().rows.forEach((row, i) => {
+        if (String(row[column - 1] === undefined ? '' : row[column - 1]).toLowerCase() === wanted) ids.push(i + 2);
+      });
+      return ids;
+    },
+    count: () => load().rows.length,
+    append: row => modify(table => table.rows.push(copyRow(row)) + 1),
+    appendRows: rows => {
+      if (!rows.length) return;
+      modify(table => rows.forEach(row => table.rows.push(copyRow(row))));
+    },
+    update: (id, column, values) => modify(table => {
+      const row = table.rows[id - 2];
+      if (!row) throw new Error(`There is no row ${id} in ${key}.`);
+      values.forEach((value, i) => { row[column - 1 + i] = isDate_(value) ? new Date(value.getTime()) : value; });
+    }),
+    removeFirst: count => modify(table => table.rows.splice(0, Math.max(count, 0))),
+    setHeader: header => modify(table => { table.header = header.slice(); })
+  };
+}
+
+function isDate_(value) {
+  return Object.prototype.toString.call(value) === '[object Date]';
+}
+
+// Called with the object as `this`, so the Date is seen before its toJSON turns it into a string.
+function replaceJsonTableValue_(name, value) {
+  const original = this[name];
+  return isDate_(original) ? { $date: original.getTime() } : value;
+}
+
+function reviveJsonTableValue_(name, value) {
+  return value && typeof value === 'object' && typeof value.$date === 'number' ? new Date(value.$date) : value;
+}
+
+/**
+ * An in-memory stand-in for the Script Properties, used by the 'memory' backend.
+ */
+function createMemoryStorage_() {
+  const values = {};
+  return {
+    getProperty: key => (values.hasOwnProperty(key) ? values[key] : null),
+    setProperty: (key, value) => { values[key] = String(value); },
+    deleteProperty: key => { delete values[key]; },
+    getProperties: () => Object.assign({}, values)
+  };
+}
+
+/**
+ * Copies every store from one backend to another, e.g. before switching STORAGE_BACKEND. Run it
+ * once: it refuses to write into a store that already holds rows, and checks all of them before
+ * copying anything. Stores missing from the source (an optional tab) are skipped.
+ * @param {string} adminEmail The admin running it, for the audit trail.
+ * @param {string} fromBackend The backend the data is in, e.g. 'sheets'.
+ * @param {string} toBackend The backend to copy it to, e.g. 'properties'.
+ * @returns {Object} The number of rows copied per store.
+ */
+function migrateStorage_(adminEmail, fromBackend, toBackend) {
+  authorizeAdminChange_(adminEmail);
+  if (fromBackend === toBackend) throw new Error('Choose two different storage backends.');
+  const source = createStores_(fromBackend);
+  const target = createStores_(toBackend);
+  const names = Object.keys(source).filter(name => source[name] && source[name].exists() && target[name]);
+
+  const notEmpty = names.filter(name => target[name].count() > 0);
+  if (notEmpty.length) throw new Error(`The ${notEmpty.join(', ')} store(s) of '${toBackend}' already hold data.`);
+
+  const copied = {};
+  names.forEach(name => {
+    const rows = source[name].rows();
+    target[name].setHeader(source[name].header());
+    target[name].appendRows(rows);
+    copied[name] = rows.length;
+  });
+
+  SCRIPT_CACHE.remove('promotions_data');
+  flushPaymentCache_();
+  recordAudit_(adminEmail, 'migrate_storage', toBackend, { from: fromBackend, copied: copied });
+  return copied;
+}
+
+/**
+ * Copies the sheets into the Script Properties. Run it from the Apps Script editor, then set
+ * STORAGE_BACKEND to 'properties'.
+ */
+function adminMigrateSheetsToProperties() {
+  return runAdminAction_('adminMigrateSheetsToProperties', adminEmail => migrateStorage_(adminEmail, 'sheets', 'properties'));
+}
+
+/**
+ * Copies the Script Properties stores back into the sheets. Run it from the Apps Script editor,
+ * then set STORAGE_BACKEND to 'sheets' (or delete it).
+ */
+function adminMigratePropertiesToSheets() {
+  return runAdminAction_('adminMigratePropertiesToSheets', adminEmail => migrateStorage_(adminEmail, 'properties', 'sheets'));
+}
+
+// --- Logging ---
+// Log rows are buffered and written to the Error Logs sheet in one batch when the request ends
+// (Timestamp, FunctionName, Message, Level, RequestID, Context). Entries below LOG_LEVEL are dropped.
+
+let LOG_BUFFER = [];
+let LOG_REQUEST_ID = '';
+
+/**
+ * Starts a new request: gives its log entries a fresh correlation ID.
+ * @returns {string} The request ID.
+ */
+function startRequestLog_() {
+  LOG_REQUEST_ID = Utilities.getUuid().slice(0, 8);
+  return LOG_REQUEST_ID;
+}
+
+function logDebug_(functionName, message, context) {
+  writeLog_('debug', functionName, message, context);
+}
+
+function logInfo_(functionName, message, context) {
+  writeLog_('info', functionName, message, context);
+}
+
+function logWarn_(functionName, message, context) {
+  writeLog_('warn', functionName, message, context);
+}
+
+function logError_(functionName, message, context) {
+  writeLog_('error', functionName, message, context);
+}
+
+/**
+ * Buffers a log entry if its level is at or above LOG_LEVEL.
+ * @param {string} level One of LOG_LEVELS.
+ * @param {string} functionName Where the entry comes from.
+ * @param {string} message What happened.
+ * @param {Object} [context] Structured details, stored as JSON.
+ */
+function writeLog_(level, functionName, message, context) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) return;
+  LOG_BUFFER.push([new Date(), functionName, message, level, LOG_REQUEST_ID, context ? JSON.stringify(context) : '']);
+  // Long-running executions (e.g. admin functions) should not hold an unbounded buffer.
+  if (LOG_BUFFER.length >= LOG_BUFFER_LIMIT) flushLogs_();
+}
+
+/**
+ * Writes the buffered entries to the Error Logs sheet in a single call, then rotates it.
+ * Never throws: a logging failure must not fail the request.
+ */
+function flushLogs_() {
+  if (!LOG_BUFFER.length) return;
+  const entries = LOG_BUFFER;
+  LOG_BUFFER = [];
+  try {
+    STORES.logs.appendRows(entries);
+    rotateLogs_();
+  } catch (error) {
+    Logger.log(`ERROR: Could not write ${entries.length} log entries: ${error.message}`);
+  }
+}
+
+/**
+ * Keeps the Error Logs store under LOG_MAX_ROWS. Once it is over, the oldest rows are removed
+ * until it is back to 80% of the cap, so rotation does not run on every request. The removed rows
+ * are moved to the 'Error Logs Archive' sheet if it exists, and discarded otherwise.
+ */
+function rotateLogs_() {
+  const rowCount = STORES.logs.count();
+  if (rowCount <= LOG_MAX_ROWS) return;
+
+  const removed = STORES.logs.removeFirst(rowCount - Math.floor(LOG_MAX_ROWS * 0.8));
+  if (STORES.logArchive && STORES.logArchive.exists()) STORES.logArchive.appendRows(removed);
+}
+
+function createJsonResponse_(data) {
+  return ContentService.createTextOutput(JSON.stringify(data))
+    .setMimeType(ContentService.MimeType.JSON);
+}
+
+/**
+ * Creates a simple HTML 200 OK response specifically for Stripe.
+ * This is used as a workaround for the ContentService 302 redirect issue.
+ */
+function createStripeSuccessResponse_() {
+  // We return a minimal HTML output. When returned from doPost,
+  // this generates a 200 OK status code that Stripe accepts.
+  return HtmlService.createHtmlOutput("<p>OK</p>");
+}
+
+// --- Admin Dashboard (served by doGet ?page=admin) ---
+// The page calls the admin* functions below through google.script.run. Each call runs as its own
+// request and checks the caller against ADMIN_EMAILS again, so the page itself grants nothing.
+// google.script.run can call any top-level function whose name does not end in '_', from every
+// page doGet serves. Apart from doGet, doPost and pollCheckoutStatus, only these admin* functions
+// are public; everything else is private.
+
+/**
+ * Returns the signed-in Google account if it is on the ADMIN_EMAILS allowlist.
+ * Session.getActiveUser() is empty when Apps Script does not share the visitor's identity (e.g.
+ * consumer accounts other than the script owner), which fails closed.
+ * @returns {string|null} The admin's email, or null.
+ */
+function getAdminEmail_() {
+  const email = String(Session.getActiveUser().getEmail() || '').toLowerCase();
+  return email && ADMIN_EMAILS.indexOf(email) !== -1 ? email : null;
+}
+
+/**
+ * Runs an admin dashboard or editor call: a fresh request ID, the allowlist check and a log flush.
+ * @param {string} functionName The admin function, for the logs.
+ * @param {function(string): *} callback Receives the admin's email.
+ */
+function runAdminAction_(functionName, callback) {
+  startRequestLog_();
+  try {
+    const adminEmail = getAdminEmail_();
+    if (!adminEmail) {
+      logWarn_(functionName, 'Rejected a call from an account that is not an admin.', { user: Session.getActiveUser().getEmail() });
+      throw new Error('You are not allowed to use the admin functions.');
+    }
+    return callback(adminEmail);
+  } catch (error) {
+    logError_(functionName, error.message);
+    throw error;
+  } finally {
+    flushLogs_();
+  }
+}
+
+/**
+ * Appends a row to the Audit Log sheet (Timestamp, AdminEmail, Action, Target, Details).
+ */
+function recordAudit_(adminEmail, action, target, details) {
+  AUDIT_SHEET.appendRow([new Date(), adminEmail, action, target, JSON.stringify(details || {})]);
+  logInfo_('recordAudit', `${adminEmail} ${action} ${target}`, details);
+}
+
+/**
+ * Called by every admin function before it changes anything. The caller is checked against
+ * ADMIN_EMAILS again here, next to the change, rather than only in runAdminAction_. Changes must be
+ * auditable, so they are refused without the Audit Log sheet.
+ * @param {string} adminEmail The admin email runAdminAction_ passed in.
+ */
+function authorizeAdminChange_(adminEmail) {
+  if (!adminEmail || getAdminEmail_() !== adminEmail) {
+    logWarn_('authorizeAdminChange', 'Rejected a change by an account that is not an admin.', { user: Session.getActiveUser().getEmail() });
+    throw new Error('You are not allowed to use the admin functions.');
+  }
+  if (!AUDIT_SHEET) throw new Error("Create an 'Audit Log' sheet (Timestamp, AdminEmail, Action, Target, Details) to make changes.");
+}
+
+function renderAdminPage_() {
+  if (!getAdminEmail_()) {
+    logWarn_('renderAdminPage', 'Denied the admin dashboard.', { user: Session.getActiveUser().getEmail() });
+    return createBrandedPage_('Access denied', '<p>You are not allowed to view this page.</p>');
+  }
+  return createBrandedPage_('Admin', ADMIN_PAGE_CONTENT, true);
+}
+
+/**
+ * Finds users by a fragment of their email, or by a Stripe ID on one of their payments.
+ * @param {string} query The search text, at least 3 characters.
+ * @returns {Array<{email: string, payments: number}>} Up to 50 matching users.
+ */
+function adminSearch(query) {
+  return runAdminAction_('adminSearch', () => {
+    const needle = String(query || '').trim().toLowerCase();
+    if (needle.length < 3) return [];
+
+    const counts = {};
+    const add = (email, isPayment) => {
+      if (!email) return;
+      counts[email] = (counts[email] || 0) + (isPayment ? 1 : 0);
+    };
+    readPaymentRows_().forEach(payment => {
+      const searchable = [payment.email, payment.eventId, payment.subscriptionId, payment.paymentIntentId, payment.licenseId, payment.giftKeyId];
+      if (searchable.some(value => String(value).toLowerCase().indexOf(needle) !== -1)) add(payment.email, true);
+    });
+    [USERS_SHEET, TRIALS_SHEET].forEach(sheet => {
+      if (!sheet || sheet.getLastRow() < 2) return;
+      sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues().forEach(([email]) => {
+        if (String(email).toLowerCase().indexOf(needle) !== -1) add(email, false);
+      });
+    });
+    return Object.keys(counts).sort().slice(0, 50).map(email => ({ email: email, payments: counts[email] }));
+  });
+}
+
+/**
+ * Shows a user: their status exactly as verify would compute it right now, and their payments.
+ * Nothing is recorded for the user (no first visit, no trial start).
+ * @param {string} email The user's email.
+ */
+function adminGetUser(email) {
+  return runAdminAction_('adminGetUser', () => describeUserForAdmin_(email));
+}
+
+function describeUserForAdmin_(email) {
+  return {
+    email: email,
+    status: computeUserStatus_(email, true).data,
+    payments: readPaymentRows_().filter(payment => payment.email === email)
+  };
+}
+
+/**
+ * Grants premium, or a product's entitlements, with a manual Payments row (EventID manual_...).
+ * @param {string} email The user's email.
+ * @param {string} [productId] A Products sheet ID. Empty grants the default premium entitlement.
+ * @param {string} note Why access is granted, kept in the audit trail.
+ */
+function adminGrant(email, productId, note) {
+  return runAdminAction_('adminGrant', adminEmail => {
+    authorizeAdminChange_(adminEmail);
+    const target = String(email || '').trim();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(target)) throw new Error('Enter a valid email address.');
+    if (productId && !getProducts_()[productId]) throw new Error(`Unknown product: ${productId}`);
+    if (!String(note || '').trim()) throw new Error('Enter a note explaining the grant.');
+
+    const eventId = `manual_${Utilities.getUuid()}`;
+    appendPaymentRow_({ EMAIL: target, EVENT_ID: eventId, PRODUCT_ID: productId || null });
+    recordAudit_(adminEmail, 'grant', target, { eventId: eventId, productId: productId || '', note: note });
+    return describeUserForAdmin_(target);
+  });
+}
+
+/**
+ * Revokes or restores one Payments row. Revoked rows get the reason 'revoked_by_admin'.
+ * @param {number} rowIndex The 1-based Payments row, as returned in a user's payments.
+ * @param {boolean} revoke True to revoke, false to restore.
+ * @param {string} note Why, kept in the audit trail.
+ */
+function adminSetRevoked(rowIndex, revoke, note) {
+  return runAdminAction_('adminSetRevoked', adminEmail => {
+    authorizeAdminChange_(adminEmail);
+    const row = Number(rowIndex);
+    const payment = STORES.payments.get(row);
+    if (!payment) throw new Error('Unknown payment row.');
+    if (!String(note || '').trim()) throw new Error('Enter a note explaining the change.');
+
+    const email = payment[PAYMENT_COLUMNS.EMAIL - 1];
+    const eventId = payment[PAYMENT_COLUMNS.EVENT_ID - 1];
+    setPaymentRevocation_(row, revoke ? 'revoked_by_admin' : null);
+    recordAudit_(adminEmail, revoke ? 'revoke' : 'restore', email, { row: row, eventId: eventId, note: note });
+    return describeUserForAdmin_(email);
+  });
+}
+
+/**
+ * Lists the rows of the Promotions sheet for editing.
+ */
+function adminGetPromotions() {
+  return runAdminAction_('adminGetPromotions', () => readPromotionRows_());
+}
+
+/**
+ * Creates (rowIndex empty) or updates a promotion after validating it.
+ * @param {number|null} rowIndex The 1-based Promotions row to update.
+ * @param {Object} promotion The fields of readPromotionRows_(), with dates as YYYY-MM-DD strings.
+ * @returns {{errors: Array<string>}|{promotions: Array<Object>}} The validation errors, or the updated list.
+ */
+function adminSavePromotion(rowIndex, promotion) {
+  return runAdminAction_('adminSavePromotion', adminEmail => {
+    authorizeAdminChange_(adminEmail);
+    if (!STORES.promotions.exists()) throw new Error("There is no 'Promotions' sheet.");
+
+    const errors = validatePromotion_(promotion);
+    if (errors.length) return { errors: errors };
+
+    const row = [
+      parseDateInput_(promotion.activeUntil), promotion.type, promotion.promoCodeId || '', promotion.message,
+      promotion.buttonText || '', promotion.salePriceText || '', promotion.originalPrice || '',
+      promotion.startDate ? parseDateInput_(promotion.startDate) : '', Number(promotion.priority) || 0, promotion.audience || ''
+    ];
+    const existingRow = Number(rowIndex);
+    if (rowIndex) {
+      if (!STORES.promotions.get(existingRow)) throw new Error('Unknown promotion row.');
+      STORES.promotions.update(existingRow, 1, row);
+    } else {
+      STORES.promotions.append(row);
+    }
+    SCRIPT_CACHE.remove('promotions_data');
+    recordAudit_(adminEmail, rowIndex ? 'edit_promotion' : 'create_promotion', rowIndex ? `Promotions row ${existingRow}` : 'Promotions', promotion);
+    return { promotions: readPromotionRows_() };
+  });
+}
+
+/**
+ * Checks a promotion from the dashboard the way getPromotionsFromCacheOrSheet_ will read it.
+ * @returns {Array<string>} The problems found, empty if the promotion is valid.
+ */
+function validatePromotion_(promotion) {
+  const errors = [];
+  const activeUntil = parseDateInput_(promotion.activeUntil);
+  const startDate = promotion.startDate ? parseDateInput_(promotion.startDate) : null;
+
+  if (['FREE', 'DISCOUNT'].indexOf(promotion.type) === -1) errors.push('Type must be FREE or DISCOUNT.');
+  if (!activeUntil) errors.push('Active until must be a date.');
+  if (promotion.startDate && !startDate) errors.push('Start date must be a date.');
+  if (activeUntil && startDate && startDate > activeUntil) errors.push('Start date must not be after the end date.');
+  if (!String(promotion.message || '').trim()) errors.push('Message is required.');
+  if (promotion.priority !== undefined && promotion.priority !== '' && isNaN(Number(promotion.priority))) errors.push('Priority must be a number.');
+
+  const audience = String(promotion.audience || '').trim();
+  const separator = audience.indexOf(':');
+  const audienceKind = separator === -1 ? audience : audience.slice(0, separator);
+  const audienceValue = separator === -1 ? '' : audience.slice(separator + 1).trim();
+  const audienceValid = ['', 'all', 'never_paid'].indexOf(audience) !== -1 ||
+    (audienceKind === 'domain' && /^[^\s@]+\.[^\s@]+$/.test(audienceValue)) ||
+    (audienceKind === 'first_seen_after' && Boolean(parseDateInput_(audienceValue)));
+  if (!audienceValid) errors.push('Audience must be all, never_paid, domain:example.com or first_seen_after:YYYY-MM-DD.');
+
+  if (promotion.type === 'DISCOUNT') {
+    if (!promotion.promoCodeId) {
+      errors.push('DISCOUNT promotions need a Stripe promotion code ID.');
+    } else {
+      const promotionCode = callStripeApi_('get', `/v1/promotion_codes/${encodeURIComponent(promotion.promoCodeId)}`);
+      if (!promotionCode || promotionCode.error) errors.push(`Stripe has no promotion code ${promotion.promoCodeId}.`);
+      else if (!promotionCode.active) errors.push(`Promotion code ${promotion.promoCodeId} is not active in Stripe.`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Clears every cached sheet read, so edits made directly in the sheets take effect immediately.
+ */
+function adminFlushCaches() {
+  return runAdminAction_('adminFlushCaches', adminEmail => {
+    authorizeAdminChange_(adminEmail);
+    SCRIPT_CACHE.removeAll(['promotions_data', 'products_data', 'prices_data', 'licenses_data']);
+    flushPaymentCache_();
+    recordAudit_(adminEmail, 'flush_caches', 'cache', {});
+    return true;
+  });
+}
+
+/**
+ * Parses a YYYY-MM-DD date from the dashboard as midnight in the script's time zone, the way the
+ * sheet stores typed dates. Other values fall back to parseSheetDate_.
+ */
+function parseDateInput_(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return parseSheetDate_(value);
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return date.getMonth() === Number(match[2]) - 1 ? date : null;
+}
+
+/**
+ * Reads every Payments row with its row index. Dates are ISO strings, as google.script.run cannot return Dates.
+ */
+function readPaymentRows_() {
+  const toIso = value => (parseSheetDate_(value) ? parseSheetDate_(value).toISOString() : '');
+  return STORES.payments.rows().map((row, i) => ({
+    row: i + 2,
+    email: row[PAYMENT_COLUMNS.EMAIL - 1],
+    purchaseDate: toIso(row[PAYMENT_COLUMNS.PURCHASE_DATE - 1]),
+    eventId: row[PAYMENT_COLUMNS.EVENT_ID - 1],
+    subscriptionId: row[PAYMENT_COLUMNS.SUBSCRIPTION_ID - 1],
+    subscriptionStatus: row[PAYMENT_COLUMNS.SUBSCRIPTION_STATUS - 1],
+    currentPeriodEnd: toIso(row[PAYMENT_COLUMNS.CURRENT_PERIOD_END - 1]),
+    paymentIntentId: row[PAYMENT_COLUMNS.PAYMENT_INTENT_ID - 1],
+    revokedReason: row[PAYMENT_COLUMNS.REVOKED_REASON - 1],
+    productId: row[PAYMENT_COLUMNS.PRODUCT_ID - 1],
+    licenseId: row[PAYMENT_COLUMNS.LICENSE_ID - 1],
+    giftKeyId: row[PAYMENT_COLUMNS.GIFT_KEY_ID - 1]
+  }));
+}
+
+/**
+ * Reads every Promotions row with its row index, with dates as YYYY-MM-DD strings.
+ */
+function readPromotionRows_() {
+  const toDay = value => (parseSheetDate_(value) ? Utilities.formatDate(parseSheetDate_(value), Session.getScriptTimeZone(), 'yyyy-MM-dd') : '');
+  return STORES.promotions.rows().map((row, i) => ({
+    row: i + 2,
+    activeUntil: toDay(row[0]), type: row[1], promoCodeId: row[2], message: row[3],
+    buttonText: row[4], salePriceText: row[5], originalPrice: row[6],
+    startDate: toDay(row[7]), priority: row[8], audience: row[9]
+  }));
+}
+
+// The dashboard's markup and script. Server data is rendered with textContent only.
+const ADMIN_PAGE_CONTENT = `
+  <style>
+    .admin section { text-align: left; border-top: 1px solid #dee2e6; padding: 12px 0; }
+    .admin h3 { margin: 0 0 8px 0; }
+    .admin input, .admin select { padding: 6px; margin: 2px 4px 2px 0; border: 1px solid #ced4da; border-radius: 4px; }
+    .admin button { padding: 6px 12px; margin: 2px 0; border: none; border-radius: 4px; background-color: #007bff; color: #fff; cursor: pointer; }
+    .admin button.danger { background-color: #dc3545; }
+    .admin table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    .admin td, .admin th { border-bottom: 1px solid #eee; padding: 4px; text-align: left; vertical-align: top; }
+    .admin pre { background-color: #f8f9fa; padding: 8px; white-space: pre-wrap; }
+    .admin .error { color: #dc3545; }
+    .admin .link { background: none; color: #007bff; padding: 0; text-decoration: underline; }
+  </style>
+  <div class="admin">
+    <p id="message" class="error"></p>
+    <section>
+      <h3>Users and payments</h3>
+      <input id="query" placeholder="Email, event, subscription or payment intent ID" size="40">
+      <button onclick="search()">Search</button>
+      <button onclick="flushCaches()">Flush caches</button>
+      <div id="results"></div>
+    </section>
+    <section id="user" hidden>
+      <h3 id="userEmail"></h3>
+      <pre id="userStatus"></pre>
+      <table><thead><tr><th>Row</th><th>Date</th><th>Event</th><th>Product</th><th>Subscription</th><th>Revoked</th><th></th></tr></thead><tbody id="payments"></tbody></table>
+      <p>
+        <input id="grantProduct" placeholder="Product ID (empty for premium)">
+        <input id="note" placeholder="Note for the audit trail" size="30">
+        <button onclick="grant()">Grant</button>
+      </p>
+    </section>
+    <section>
+      <h3>Promotions</h3>
+      <table><thead><tr><th>Row</th><th>Type</th><th>From</th><th>Until</th><th>Priority</th><th>Audience</th><th>Message</th><th></th></tr></thead><tbody id="promotions"></tbody></table>
+      <h3 id="promotionTitle">New promotion</h3>
+      <p>
+        <select id="p_type"><option>DISCOUNT</option><option>FREE</option></select>
+        <input id="p_promoCodeId" placeholder="Stripe promotion code ID">
+        <input id="p_startDate" type="date" title="Start date (optional)">
+        <input id="p_activeUntil" type="date" title="Active until">
+        <input id="p_priority" type="number" placeholder="Priority" style="width: 70px">
+        <input id="p_audience" placeholder="Audience (all)">
+      </p>
+      <p>
+        <input id="p_message" placeholder="Message" size="40">
+        <input id="p_buttonText" placeholder="Button text">
+        <input id="p_salePriceText" placeholder="Sale price text">
+        <input id="p_originalPrice" placeholder="Original price text">
+      </p>
+      <button onclick="savePromotion()">Save promotion</button>
+      <button class="link" onclick="editPromotion(null)">New</button>
+    </section>
+  </div>
+  <script>
+    var currentUser = null;
+    var editingRow = null;
+    var promotions = [];
+    var PROMOTION_FIELDS = ['type', 'promoCodeId', 'startDate', 'activeUntil', 'priority', 'audience', 'message', 'buttonText', 'salePriceText', 'originalPrice'];
+
+    function el(id) { return document.getElementById(id); }
+    function showError(error) { el('message').textContent = error && error.message ? error.message : String(error || ''); }
+    function call(name, args, onSuccess) {
+      showError('');
+      var runner = google.script.run.withSuccessHandler(onSuccess).withFailureHandler(showError);
+      runner[name].apply(runner, args);
+    }
+    function cell(row, text) { var td = document.createElement('td'); td.textContent = text === undefined || text === null ? '' : text; row.appendChild(td); return td; }
+    function button(parent, label, className, onClick) {
+      var b = document.createElement('button');
+      b.textContent = label;
+      if (className) b.className = className;
+      b.onclick = onClick;
+      parent.appendChild(b);
+    }
+
+    function search() {
+      call('adminSearch', [el('query').value], function (users) {
+        var results = el('results');
+        results.textContent = users.length ? '' : 'No users found.';
+        users.forEach(function (user) {
+          var line = document.createElement('div');
+          button(line, user.email + ' (' + user.payments + ' payments)', 'link', function () { call('adminGetUser', [user.email], showUser); });
+          results.appendChild(line);
+        });
+      });
+    }
+
+    function showUser(user) {
+      currentUser = user;
+      el('user').hidden = false;
+      el('userEmail').textContent = user.email;
+      el('userStatus').textContent = JSON.stringify(user.status, null, 2);
+      var body = el('payments');
+      body.textContent = '';
+      user.payments.forEach(function (payment) {
+        var row = document.createElement('tr');
+        cell(row, payment.row);
+        cell(row, payment.purchaseDate.slice(0, 10));
+        cell(row, payment.eventId);
+        cell(row, payment.productId || payment.licenseId || payment.giftKeyId);
+        cell(row, payment.subscriptionId ? payment.subscriptionId + ' (' + payment.subscriptionStatus + ')' : '');
+        cell(row, payment.revokedReason);
+        var actions = cell(row, '');
+        button(actions, payment.revokedReason ? 'Restore' : 'Revoke', payment.revokedReason ? '' : 'danger', function () {
+          call('adminSetRevoked', [payment.row, !payment.revokedReason, el('note').value], showUser);
+        });
+        body.appendChild(row);
+      });
+    }
+
+    function grant() {
+      call('adminGrant', [currentUser.email, el('grantProduct').value.trim(), el('note').value], showUser);
+    }
+
+    function flushCaches() {
+      call('adminFlushCaches', [], function () { showError('Caches flushed.'); });
+    }
+
+    function showPromotions(list) {
+      promotions = list;
+      var body = el('promotions');
+      body.textContent = '';
+      list.forEach(function (promotion) {
+        var row = document.createElement('tr');
+        [promotion.row, promotion.type, promotion.startDate, promotion.activeUntil, promotion.priority, promotion.audience, promotion.message].forEach(function (value) { cell(row, value); });
+        button(cell(row, ''), 'Edit', '', function () { editPromotion(promotion); });
+        body.appendChild(row);
+      });
+    }
+
+    function editPromotion(promotion) {
+      editingRow = promotion ? promotion.row : null;
+      el('promotionTitle').textContent = promotion ? 'Edit promotion (row ' + promotion.row + ')' : 'New promotion';
+      PROMOTION_FIELDS.forEach(function (field) { el('p_' + field).value = promotion ? promotion[field] : (field === 'type' ? 'DISCOUNT' : ''); });
+    }
+
+    function savePromotion() {
+      var promotion = {};
+      PROMOTION_FIELDS.forEach(function (field) { promotion[field] = el('p_' + field).value.trim(); });
+      call('adminSavePromotion', [editingRow, promotion], function (result) {
+        if (result.errors) return showError(result.errors.join(' '));
+        showPromotions(result.promotions);
+        editPromotion(null);
+      });
+    }
+
+    call('adminGetPromotions', [], showPromotions);
+  </script>
+`;
+
+/**
+ * ADMIN FUNCTIONS: Run from google script
+ * Like the dashboard functions they are public, so they only run for the accounts in ADMIN_EMAILS.
+ */
+
+/**
+ * ADMIN FUNCTION: Manually clears the promotion cache.
+ * To use this, simply select "adminFlushPromotionCache" from the function
+ * dropdown in the Apps Script editor and click "Run".
+ */
+function adminFlushPromotionCache() {
+  return runAdminAction_('adminFlushPromotionCache', adminEmail => {
+    authorizeAdminChange_(adminEmail);
+    try {
+      SCRIPT_CACHE.remove('promotions_data');
+      // Logger.log is used here so the confirmation message appears in the execution logs.
+      recordAudit_(adminEmail, 'flush_promotion_cache', 'cache', {});
+      Logger.log("SUCCESS: The promotion cache has been manually flushed.");
+      // You can also add a browser alert for immediate feedback if you're running it interactively.
+      Browser.msgBox("Success", "The promotion cache has been flushed.", Browser.Buttons.OK);
+    } catch (error) {
+      Logger.log(`ERROR: Failed to flush the cache. Reason: ${error.message}`);
+      Browser.msgBox("Error", `Failed to flush the cache: ${error.message}`, Browser.Buttons.OK);
+    }
+  });
+}
+
+/**
+ * ADMIN FUNCTION: Manually clears the products cache after editing the Products or Prices sheet.
+ * To use this, simply select "adminFlushProductCache" from the function
+ * dropdown in the Apps Script editor and click "Run".
+ */
+function adminFlushProductCache() {
+  return runAdminAction_('adminFlushProductCache', adminEmail => {
+    authorizeAdminChange_(adminEmail);
+    try {
+      SCRIPT_CACHE.removeAll(['products_data', 'prices_data']);
+      recordAudit_(adminEmail, 'flush_product_cache', 'cache', {});
+      Logger.log("SUCCESS: The products cache has been manually flushed.");
+      Browser.msgBox("Success", "The products cache has been flushed.", Browser.Buttons.OK);
+    } catch (error) {
+      Logger.log(`ERROR: Failed to flush the products cache. Reason: ${error.message}`);
+      Browser.msgBox("Error", `Failed to flush the products cache: ${error.message}`, Browser.Buttons.OK);
+    }
+  });
+}
+
+/**
+ * ADMIN FUNCTION: Manually clears the users cache.
+ * To use this, simply select "adminFlushUserCache" from the function
+ * dropdown in the Apps Script editor and click "Run".
+ */
+function adminFlushUserCache() {
+  return runAdminAction_('adminFlushUserCache', adminEmail => {
+    authorizeAdminChange_(adminEmail);
+    try {
+      flushPaymentCache_();
+      recordAudit_(adminEmail, 'flush_user_cache', 'cache', {});
+      Logger.log("SUCCESS: The paid users cache has been manually flushed.");
+      Browser.msgBox("Success", "The paid users cache has been flushed.", Browser.Buttons.OK);
+    } catch (error) {
+      Logger.log(`ERROR: Failed to flush the user cache. Reason: ${error.message}`);
+      Browser.msgBox("Error", `Failed to flush the user cache: ${error.message}`, Browser.Buttons.OK);
+    }
+  });
+}
+
+/**
+ * ADMIN FUNCTION: Force the correct permission prompt
+ */
+function adminTestExternalFetch() {
+  return runAdminAction_('adminTestExternalFetch', () => {
+    try {
+      UrlFetchApp.fetch("https://www.google.com/");
+      Logger.log("Success! The script has permission to connect to external services.");
+    } catch (e) {
+      Logger.log("Failed to fetch. This is expected if you haven't authorized yet. Error: " + e.message);
+    }
+  });
 }
\ No newline at end of file
@@ -0,0 +1,103 @@
+// Requests to the Apps Script backend, shared by main.js and background.js.
+
+import { getUILanguage } from './i18n.js';
+
+const VERIFICATION_ENDPOINT = process.env.VERIFICATION_ENDPOINT;
+const MAX_RETRY_DELAY = 10 * 1000; // Longer rate-limit waits are shown to the user instead
+
+/**
+ * A utility to retry a promise-based function with exponential backoff.
+ * Errors with a retryAfter (see readBackendResponse) wait that long instead.
+ * @param {Function} fn The async function to retry.
+ * @param {number} maxRetries Maximum number of retries.
+ * @returns The result of the function if successful.
+ */
+export const retryWithBackoff = async (fn, maxRetries = 3) => {
+  let attempt = 0;
+  while (attempt < maxRetries) {
+    try {
+      return await fn();
+    } catch (error) {
+      attempt++;
+      // A rate-limited request is retried once the backend allows it, unless that is too long to wait for.
+      const delay = error.retryAfter !== undefined ? error.retryAfter * 1000 : Math.pow(2, attempt) * 1000; // 2s, 4s, 8s
+      if (attempt >= maxRetries || delay > MAX_RETRY_DELAY) {
+        throw error; // Rethrow the last error
+      }
+      console.warn(`Attempt ${attempt} failed. Retrying in ${delay}ms...`, error.message);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+};
+
+/**
+ * Reads a backend response. A rate_limited error is thrown with the backend's retryAfter (in
+ * seconds), so retryWithBackoff waits exactly that long.
+ * @param {Response} response The fetch response.
+ * @returns {Promise<Object>} The parsed JSON body.
+ */
+async function readBackendResponse(response) {
+  if (!response.ok) throw new Error(`Server error: ${response.status}`);
+  const data = await response.json();
+  if (data.code === 'rate_limited') {
+    const error = new Error(data.error);
+    error.retryAfter = Number(data.retryAfter) || 60;
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Posts a request body to the backend once, without retrying.
+ * @param {Object} body The request, e.g. { action: 'verify', token }.
+ * @returns {Promise<Object>} The parsed JSON response.
+ */
+export async function postToBackend(body) {
+  const response = await fetch(VERIFICATION_ENDPOINT, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return readBackendResponse(response);
+}
+
+/**
+ * Returns what the backend needs to price a purchase for this user: the UI language and the
+ * currency they picked on the payment screen, if any. Sent with 'verify', 'createCheckout' and
+ * 'validateCoupon' so the shown price is the one Stripe charges, and the promotion texts are in
+ * the popup's language.
+ * @returns {Promise<{locale: string, currency?: string}>}
+ */
+export async function getPricingPreferences() {
+  const { preferredCurrency } = await chrome.storage.local.get('preferredCurrency');
+  const locale = getUILanguage();
+  return preferredCurrency ? { locale: locale, currency: preferredCurrency } : { locale: locale };
+}
+
+/**
+ * Remembers the currency the user picked, or forgets it so the locale decides again.
+ * @param {string|null} currency A currency code such as 'eur', or null.
+ */
+export async function setPreferredCurrency(currency) {
+  if (currency) await chrome.storage.local.set({ preferredCurrency: currency });
+  else await chrome.storage.local.remove('preferredCurrency');
+}
+
+/**
+ * Gets the signed-in user's token and email without prompting.
+ * @returns {Promise<{token: string, email: string}>}
+ */
+export function getSilentAuthToken() {
+  return new Promise((resolve, reject) => {
+    chrome.identity.getAuthToken({ interactive: false }, (token) => {
+      if (chrome.runtime.lastError || !token) {
+        reject(new Error(chrome.runtime.lastError?.message || 'User is not signed in.'));
+        return;
+      }
+      chrome.identity.getProfileUserInfo({ accountStatus: 'ANY' }, (userInfo) => {
+        if (!userInfo || !userInfo.email) reject(new Error('Could not retrieve user email for token.'));
+        else resolve({ token: token, email: userInfo.email });
+      });
+    });
+  });
+}
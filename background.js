@@ -1,5 +1,28 @@
-// This listener fires when the user clicks the extension's icon in the toolbar.
-chrome.action.onClicked.addListener(function(tab) {
+import { storeEntitlementToken, getStoredEntitlements } from './entitlementToken.js';
+import { retryWithBackoff, postToBackend, getSilentAuthToken, getPricingPreferences } from './backendClient.js';
+import { t } from './i18n.js';
+
+// This worker owns the user's entitlement state and keeps it in chrome.storage.session, so it
+// survives the worker being suspended. Any extension context can read it with
+// chrome.runtime.sendMessage({ type: 'getEntitlements' }), adding refresh: true to check with the
+// backend first. Every change is broadcast as { type: 'entitlementsChanged', state } to extension
+// pages and to the content scripts of every tab.
+const ENTITLEMENT_STATE_KEY = 'entitlementState';
+const ENTITLEMENT_REFRESH_ALARM = 'entitlementRefresh';
+const ENTITLEMENT_EXPIRY_ALARM = 'entitlementExpiry';
+const ENTITLEMENT_REFRESH_MINUTES = 60;
+const PREMIUM_CACHE_DURATION = 24 * 60 * 60 * 1000; // A 'paid' token is trusted this long before asking the backend again
+
+// After the user proceeds to Stripe Checkout, main.js sets paymentState to 'pending' and this worker
+// polls 'verify' until the payment shows up. Delays between checks, in minutes (chrome.alarms allows
+// 0.5 at the least). About half an hour in total, then the payment is reported as still processing.
+const PAYMENT_POLL_ALARM = 'paymentStatusPoll';
+const PAYMENT_POLL_DELAYS = [0.5, 0.5, 1, 1, 2, 2, 4, 4, 8, 8];
+
+/**
+ * Opens the extension's main page in a popup window.
+ */
+function openMainWindow() {
   // Define the properties of the new window.
   const windowOptions = {
     url: chrome.runtime.getURL("main.html"), // Crucial: Use getURL to get the full, correct path.
@@ -10,4 +33,256 @@ chrome.action.onClicked.addListener(function(tab) {
 
   // Create the new window.
   chrome.windows.create(windowOptions);
-});
\ No newline at end of file
+}
+
+// Status caches from older versions were unsigned, so they are never read again.
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.storage.local.remove('premiumCache');
+  startEntitlementRefresh();
+});
+
+// This listener fires when the user clicks the extension's icon in the toolbar.
+chrome.action.onClicked.addListener(function(tab) {
+  openMainWindow();
+});
+
+// Clicking one of our payment notifications brings the user back to the extension.
+chrome.notifications.onClicked.addListener(function(notificationId) {
+  chrome.notifications.clear(notificationId);
+  openMainWindow();
+});
+
+// --- Post-payment status polling ---
+
+// Start polling as soon as main.js marks a payment as pending.
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.paymentState && changes.paymentState.newValue === 'pending') {
+    schedulePaymentPoll(0);
+  }
+});
+
+// Alarms do not survive a browser restart, so resume polling for a payment that is still pending.
+chrome.runtime.onStartup.addListener(async () => {
+  startEntitlementRefresh();
+  const { paymentState, pendingPayment } = await chrome.storage.local.get(['paymentState', 'pendingPayment']);
+  if (paymentState === 'pending') schedulePaymentPoll(pendingPayment ? pendingPayment.attempt || 0 : 0);
+});
+
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === PAYMENT_POLL_ALARM) checkPendingPayment();
+  if (alarm.name === ENTITLEMENT_REFRESH_ALARM || alarm.name === ENTITLEMENT_EXPIRY_ALARM) refreshEntitlements();
+});
+
+/**
+ * Schedules the next payment check, or gives up once every delay in PAYMENT_POLL_DELAYS has been used.
+ * @param {number} attempt The number of checks made so far.
+ */
+async function schedulePaymentPoll(attempt) {
+  const { pendingPayment } = await chrome.storage.local.get('pendingPayment');
+  if (attempt >= PAYMENT_POLL_DELAYS.length) {
+    await finishPaymentPoll('still_processing');
+    notify(t('paymentProcessingTitle'), t('paymentProcessingMessage'));
+    return;
+  }
+
+  await chrome.storage.local.set({ pendingPayment: { ...pendingPayment, attempt: attempt } });
+  chrome.alarms.create(PAYMENT_POLL_ALARM, { delayInMinutes: PAYMENT_POLL_DELAYS[attempt] });
+}
+
+/**
+ * Asks the backend whether the pending payment has landed. Network and sign-in errors count as
+ * "not yet", so a temporary failure only costs one attempt.
+ */
+async function checkPendingPayment() {
+  const { paymentState, pendingPayment = {} } = await chrome.storage.local.get(['paymentState', 'pendingPayment']);
+  // main.js may already have seen the payment while its window was open.
+  if (paymentState !== 'pending') return;
+
+  const expectedEntitlements = pendingPayment.expectedEntitlements || ['premium'];
+  try {
+    const currentUser = await getSilentAuthToken();
+    const data = await postToBackend({ ...await getPricingPreferences(), action: 'verify', token: currentUser.token });
+
+    const entitlements = data.entitlements || [];
+    if (data.status === 'paid' && expectedEntitlements.every(name => entitlements.includes(name))) {
+      // Lets main.js show the new status without asking the backend again.
+      await storeEntitlementToken(data);
+      await finishPaymentPoll('completed');
+      notify(t('paymentConfirmedTitle'), t('paymentConfirmedMessage'));
+      refreshEntitlements();
+      return;
+    }
+  } catch (error) {
+    console.warn('Payment status check failed:', error.message);
+  }
+
+  schedulePaymentPoll((pendingPayment.attempt || 0) + 1);
+}
+
+/**
+ * Ends polling with the given paymentState and tells any open main.html to re-render.
+ * @param {string} paymentState 'completed' or 'still_processing'.
+ */
+async function finishPaymentPoll(paymentState) {
+  chrome.alarms.clear(PAYMENT_POLL_ALARM);
+  await chrome.storage.local.set({ paymentState: paymentState });
+  await chrome.storage.local.remove('pendingPayment');
+  // Rejects when no extension page is open to receive it.
+  chrome.runtime.sendMessage({ type: 'paymentStateChanged', paymentState: paymentState }).catch(() => {});
+}
+
+/**
+ * Shows a basic browser notification with the extension's icon.
+ */
+function notify(title, message) {
+  chrome.notifications.create({
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('icon_sample_128.png'),
+    title: title,
+    message: message
+  });
+}
+
+// --- Entitlement state ---
+
+// The state changes when the user signs in or out of Chrome.
+chrome.identity.onSignInChanged.addListener(() => {
+  refreshEntitlements();
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || message.type !== 'getEntitlements') return;
+  getEntitlementState(Boolean(message.refresh)).then(sendResponse);
+  return true; // The response is sent asynchronously.
+});
+
+/**
+ * Refreshes the state now and every ENTITLEMENT_REFRESH_MINUTES.
+ */
+function startEntitlementRefresh() {
+  chrome.alarms.create(ENTITLEMENT_REFRESH_ALARM, { periodInMinutes: ENTITLEMENT_REFRESH_MINUTES });
+  refreshEntitlements();
+}
+
+/**
+ * Returns the stored state, or refreshes it first when asked to or when there is none yet.
+ * @param {boolean} refresh Check with the backend (or a fresh 'paid' token) first.
+ * @returns {Promise<Object>} The state: a 'verify'-like status with email, expiresAt and updatedAt.
+ */
+async function getEntitlementState(refresh) {
+  if (!refresh) {
+    const { [ENTITLEMENT_STATE_KEY]: state } = await chrome.storage.session.get(ENTITLEMENT_STATE_KEY);
+    if (state) return state;
+  }
+  return refreshEntitlements();
+}
+
+let refreshInFlight = null;
+/**
+ * Recomputes the state, saves it and broadcasts it if it changed. Concurrent calls share one refresh.
+ * @returns {Promise<Object>} The new state.
+ */
+function refreshEntitlements() {
+  if (!refreshInFlight) {
+    refreshInFlight = computeEntitlementState()
+      .then(saveEntitlementState)
+      .finally(() => { refreshInFlight = null; });
+  }
+  return refreshInFlight;
+}
+
+/**
+ * Works out the user's status, reusing a recent signed entitlement token and falling back to it while offline.
+ * @returns {Promise<Object>} The status, or { status: 'signed_out' } when nobody is signed in.
+ */
+async function computeEntitlementState() {
+  let currentUser;
+  try {
+    currentUser = await getSilentAuthToken();
+  } catch (error) {
+    return { email: null, status: 'signed_out', entitlements: [] };
+  }
+
+  // A payment that is still pending is checked with the backend every time.
+  const { paymentState, pendingPayment } = await chrome.storage.local.get(['paymentState', 'pendingPayment']);
+  const isPaymentPending = paymentState === 'pending' || paymentState === 'still_processing';
+
+  // The stored token is only trusted if its signature verifies, it was issued to the signed-in
+  // account and it has not expired (see entitlementToken.js).
+  const claims = await getStoredEntitlements(currentUser.email);
+  if (!isPaymentPending && claims && claims.status === 'paid' && (Date.now() - claims.iat * 1000 < PREMIUM_CACHE_DURATION)) {
+    return { ...statusFromClaims(claims), email: currentUser.email };
+  }
+
+  try {
+    const pricingPreferences = await getPricingPreferences();
+    const data = await retryWithBackoff(() => postToBackend({ ...pricingPreferences, action: 'verify', token: currentUser.token }));
+    // Keep the signed token for the next check and for offline use. Statuses without
+    // entitlements (e.g. revoked) come without a token, which removes the stored one.
+    await storeEntitlementToken(data);
+
+    // The payment has landed once the user has what they bought.
+    const expectedEntitlements = (pendingPayment && pendingPayment.expectedEntitlements) || ['premium'];
+    if (isPaymentPending && data.status === 'paid' && expectedEntitlements.every(name => (data.entitlements || []).includes(name))) {
+      await chrome.storage.local.set({ paymentState: 'completed' });
+      await chrome.storage.local.remove('pendingPayment');
+    }
+
+    const { entitlementToken, ...status } = data;
+    const newClaims = entitlementToken ? await getStoredEntitlements(currentUser.email) : null;
+    return {
+      ...status,
+      entitlements: status.entitlements || [],
+      email: currentUser.email,
+      expiresAt: newClaims ? new Date(newClaims.exp * 1000).toISOString() : status.trialEndsAt || null
+    };
+  } catch (error) {
+    // Offline: a valid token keeps its entitlements until it expires.
+    console.warn('Entitlement refresh failed:', error.message);
+    const status = claims ? statusFromClaims(claims) : { status: 'not_premium', entitlements: [], promoData: null };
+    return { ...status, email: currentUser.email };
+  }
+}
+
+/**
+ * Builds a status like the backend's 'verify' response from entitlement token claims.
+ * Only 'paid' can be rebuilt in full; a trial or free promotion is reported as 'offline',
+ * which keeps the entitlements until the token expires.
+ * @param {Object} claims The verified token claims.
+ * @returns {Object} The status object.
+ */
+function statusFromClaims(claims) {
+  return {
+    status: claims.status === 'paid' ? 'paid' : 'offline',
+    entitlements: claims.entitlements || [],
+    isLicenseOwner: Boolean(claims.isLicenseOwner),
+    expiresAt: new Date(claims.exp * 1000).toISOString(),
+    promoData: null
+  };
+}
+
+/**
+ * Stores the state, checks again when it expires and tells every extension context if the
+ * account, status or entitlements changed.
+ * @param {Object} state The state from computeEntitlementState.
+ * @returns {Promise<Object>} The stored state.
+ */
+async function saveEntitlementState(state) {
+  const { [ENTITLEMENT_STATE_KEY]: previous } = await chrome.storage.session.get(ENTITLEMENT_STATE_KEY);
+  const savedState = { ...state, updatedAt: Date.now() };
+  await chrome.storage.session.set({ [ENTITLEMENT_STATE_KEY]: savedState });
+
+  if (savedState.expiresAt) chrome.alarms.create(ENTITLEMENT_EXPIRY_ALARM, { when: Date.parse(savedState.expiresAt) + 1000 });
+  else chrome.alarms.clear(ENTITLEMENT_EXPIRY_ALARM);
+
+  const changeKey = value => JSON.stringify([value.email, value.status, value.entitlements]);
+  if (!previous || changeKey(previous) !== changeKey(savedState)) {
+    const message = { type: 'entitlementsChanged', state: savedState };
+    // Rejects when no other extension page is open to receive it.
+    chrome.runtime.sendMessage(message).catch(() => {});
+    // Content scripts only receive messages sent to their tab; tabs without one reject.
+    const tabs = await chrome.tabs.query({});
+    tabs.forEach(tab => chrome.tabs.sendMessage(tab.id, message).catch(() => {}));
+  }
+  return savedState;
+}
\ No newline at end of file
@@ -0,0 +1,92 @@
+// Verifies and stores the signed entitlement tokens returned by the backend's 'verify' action.
+// A token is a JWT (RS256) carrying the user's email, status, entitlements and expiry. Unlike a plain
+// cached status, it cannot be edited in chrome.storage without breaking the signature.
+
+// Base64 of the public key (SPKI) matching the backend's ENTITLEMENT_SIGNING_KEY. PEM headers and line breaks are ignored.
+const ENTITLEMENT_PUBLIC_KEY = process.env.ENTITLEMENT_PUBLIC_KEY;
+const STORAGE_KEY = 'entitlementToken';
+
+/**
+ * Decodes a base64url string to bytes.
+ * @param {string} value The base64url text.
+ * @returns {Uint8Array}
+ */
+function base64UrlToBytes(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')), char => char.charCodeAt(0));
+}
+
+let publicKeyPromise = null;
+/**
+ * Imports ENTITLEMENT_PUBLIC_KEY for WebCrypto once per page or worker.
+ * @returns {Promise<CryptoKey>}
+ */
+function importPublicKey() {
+  if (!publicKeyPromise) {
+    const body = ENTITLEMENT_PUBLIC_KEY.replace(/-----[^-]+-----/g, '').replace(/\s+/g, '');
+    publicKeyPromise = crypto.subtle.importKey(
+      'spki',
+      Uint8Array.from(atob(body), char => char.charCodeAt(0)),
+      { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+      false,
+      ['verify']
+    );
+  }
+  return publicKeyPromise;
+}
+
+/**
+ * Checks an entitlement token's signature, owner and expiry.
+ * @param {string} token The token from the backend or from storage.
+ * @param {string} email The signed-in user's email. Tokens issued to another account are rejected.
+ * @returns {Promise<Object|null>} The claims ({ sub, status, entitlements, isLicenseOwner, iat, exp }), or null if the token must not be trusted.
+ */
+export async function verifyEntitlementToken(token, email) {
+  if (!token || !ENTITLEMENT_PUBLIC_KEY) return null;
+  try {
+    const [header, payload, signature] = token.split('.');
+    if (JSON.parse(new TextDecoder().decode(base64UrlToBytes(header))).alg !== 'RS256') return null;
+
+    const valid = await crypto.subtle.verify(
+      'RSASSA-PKCS1-v1_5',
+      await importPublicKey(),
+      base64UrlToBytes(signature),
+      new TextEncoder().encode(`${header}.${payload}`)
+    );
+    if (!valid) return null;
+
+    const claims = JSON.parse(new TextDecoder().decode(base64UrlToBytes(payload)));
+    if (!claims.sub || claims.sub.toLowerCase() !== email.toLowerCase()) return null;
+    if (!(claims.exp * 1000 > Date.now())) return null;
+    return claims;
+  } catch (error) {
+    console.warn('Discarding malformed entitlement token:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Returns the stored token's claims if it is still valid for the signed-in user.
+ * @param {string} email The signed-in user's email.
+ * @returns {Promise<Object|null>}
+ */
+export async function getStoredEntitlements(email) {
+  const { [STORAGE_KEY]: token } = await chrome.storage.local.get(STORAGE_KEY);
+  return verifyEntitlementToken(token, email);
+}
+
+/**
+ * Stores the token from a 'verify' response, or removes the stored one when the response has none.
+ * @param {Object} data The 'verify' response.
+ */
+export async function storeEntitlementToken(data) {
+  if (data.entitlementToken) await chrome.storage.local.set({ [STORAGE_KEY]: data.entitlementToken });
+  else await chrome.storage.local.remove(STORAGE_KEY);
+}
+
+/**
+ * Forgets the stored token, so the next status check asks the backend.
+ */
+export async function clearEntitlementToken() {
+  await chrome.storage.local.remove(STORAGE_KEY);
+}
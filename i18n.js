@@ -0,0 +1,43 @@
+// Translations for the extension's pages and notifications, read with chrome.i18n from the
+// _locales/<language>/messages.json bundles. Chrome picks the bundle for the browser's UI language
+// and falls back to default_locale (en) for missing languages and messages.
+
+/**
+ * Returns a translated message.
+ * Example: t('couponApplied', ['SPRING20', '20% off'])
+ * @param {string} messageName A key of _locales/en/messages.json.
+ * @param {string|string[]} [substitutions] Values for the message's placeholders ($1, $2, ...).
+ * @returns {string} The message, or its name if no bundle has it.
+ */
+export function t(messageName, substitutions) {
+  const message = chrome.i18n.getMessage(messageName, substitutions);
+  if (message) return message;
+  console.warn(`Missing translation: ${messageName}`);
+  return messageName;
+}
+
+/**
+ * The language the popup is shown in, e.g. 'de' or 'pt-BR'. Sent to the backend so the
+ * promotion texts from the sheet match the rest of the UI.
+ * @returns {string}
+ */
+export function getUILanguage() {
+  return chrome.i18n.getUILanguage();
+}
+
+/**
+ * Translates the static markup of a page: the text of elements with data-i18n, and the attributes
+ * named by data-i18n-placeholder, data-i18n-title and data-i18n-aria-label. Also sets the page's
+ * language and text direction.
+ * @param {ParentNode} [root] The element to translate. Defaults to the whole document.
+ */
+export function localizePage(root = document) {
+  document.documentElement.lang = getUILanguage();
+  document.documentElement.dir = chrome.i18n.getMessage('@@bidi_dir') || 'ltr';
+  root.querySelectorAll('[data-i18n]').forEach(element => { element.textContent = t(element.dataset.i18n); });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(element => { element.placeholder = t(element.dataset.i18nPlaceholder); });
+  root.querySelectorAll('[data-i18n-title]').forEach(element => { element.title = t(element.dataset.i18nTitle); });
+  root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+    element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+  });
+}
@@ -1,5 +1,51 @@
-const VERIFICATION_ENDPOINT = process.env.VERIFICATION_ENDPOINT;
-const PREMIUM_CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
+import { clearEntitlementToken } from './entitlementToken.js';
+import { setEntitlements, setUpsellHandler } from './premiumFeatures.js';
+import { retryWithBackoff, postToBackend, getPricingPreferences, setPreferredCurrency } from './backendClient.js';
+import { t, localizePage } from './i18n.js';
+
+// Recurring plans offered next to the one-time payment.
+// The ids must match the plans configured in the backend (MONTHLY_PRICE_ID, YEARLY_PRICE_ID).
+// labelMessage is the button's message name in _locales/*/messages.json.
+const SUBSCRIPTION_PLANS = [
+  { id: 'monthly', labelMessage: 'subscribeMonthly' },
+  { id: 'yearly', labelMessage: 'subscribeYearly' }
+];
+
+// Entitlement granted by the default product, the subscription plans and FREE promotions.
+const PREMIUM_ENTITLEMENT = 'premium';
+
+// Add-on packs offered in the popup. The ids must match the ProductID column of the backend's Products sheet,
+// and the entitlement is the one the product grants (used to hide packs the user already owns).
+// labelMessage is the button's message name in _locales/*/messages.json.
+// Example: { id: 'export_pack', entitlement: 'export', labelMessage: 'buyExportPack' }
+const ADD_ON_PRODUCTS = [];
+
+// Explanations shown when the backend reports a 'revoked' status, keyed by the revocation reason.
+// The values are message names in _locales/*/messages.json.
+const REVOKED_MESSAGES = {
+  refunded: 'revokedRefunded',
+  dispute_opened: 'revokedDisputeOpened',
+  dispute_lost: 'revokedDisputeLost',
+  revoked_by_admin: 'revokedByAdmin',
+  transferred: 'revokedTransferred'
+};
+
+// Labels for revoked purchases in the purchase history, keyed by the revocation reason.
+const PURCHASE_STATUS_MESSAGES = {
+  refunded: 'purchaseStatusRefunded',
+  dispute_opened: 'purchaseStatusDisputeOpened',
+  dispute_lost: 'purchaseStatusDisputeLost',
+  revoked_by_admin: 'purchaseStatusRevokedByAdmin'
+};
+
+/**
+ * Escapes user-provided text (e.g. seat emails) before it is put into innerHTML.
+ * @param {string} text The raw text.
+ * @returns {string} The HTML-safe text.
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
 
 /**
  * Updates the UI to show the premium status by adding a label and styling.
@@ -13,194 +59,141 @@ function displayPremiumUI() {
     titleArea.innerHTML = `
       <div class="title-container">
         ${titleArea.textContent}
-        <span class="premium-label">Premium</span>
+        <span class="premium-label">${t('premiumLabel')}</span>
       </div>
     `;
   }
 }
 
 /**
- * Updates the UI to show the user's premium status.
- * In a real app, this would also enable/disable premium features.
- * @param {boolean} isPremium - True if the user has premium access.
+ * Updates the UI to show the user's premium status and owned add-ons, and unlocks the
+ * data-premium-feature elements the entitlements cover (see premiumFeatures.js).
+ * @param {string[]} entitlements - The entitlements returned by the backend's verify action.
  */
-function premiumFunction(isPremium) {
+function premiumFunction(entitlements) {
   const statusContainer = document.getElementById('premium-status-container');
   if (!statusContainer) return;
 
-  if (isPremium) {
+  const addOns = entitlements.filter(name => name !== PREMIUM_ENTITLEMENT);
+  const addOnText = addOns.length ? `<p class="info-text">${t('addOnsList', addOns.join(', '))}</p>` : '';
+
+  if (entitlements.includes(PREMIUM_ENTITLEMENT)) {
     statusContainer.innerHTML = `
-      <p class="status-message status-premium">Status: Premium User</p>
+      <p class="status-message status-premium">${t('statusPremium')}</p>
+      ${addOnText}
     `;
-    // In a real app, you would enable premium UI elements here.
-    // Example: document.getElementById('premiumFeatureButton').disabled = false;
   } else {
     statusContainer.innerHTML = `
-      <p class="status-message status-free">Status: Not a Premium User</p>
+      <p class="status-message status-free">${t('statusFree')}</p>
+      ${addOnText}
     `;
-    // In a real app, you would disable premium UI elements here.
-    // Example: document.getElementById('premiumFeatureButton').disabled = true;
   }
+
+  setEntitlements(entitlements);
 }
 
 /**
- * A utility to retry a promise-based function with exponential backoff.
- * @param {Function} fn The async function to retry.
- * @param {number} maxRetries Maximum number of retries.
- * @returns The result of the function if successful.
+ * Gets a Google OAuth token, showing the sign-in prompt if needed.
+ * @returns {Promise<string>} The OAuth token.
  */
-const retryWithBackoff = async (fn, maxRetries = 3) => {
-  let attempt = 0;
-  while (attempt < maxRetries) {
-    try {
-      return await fn();
-    } catch (error) {
-      attempt++;
-      if (attempt >= maxRetries) {
-        throw error; // Rethrow the last error
-      }
-      const delay = Math.pow(2, attempt) * 1000; // 2s, 4s, 8s
-      console.warn(`Attempt ${attempt} failed. Retrying in ${delay}ms...`, error.message);
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
-  }
-};
+function getInteractiveAuthToken() {
+  return new Promise((resolve, reject) => {
+    chrome.identity.getAuthToken({ interactive: true }, token => {
+      if (chrome.runtime.lastError || !token) reject(new Error(t('authTokenFailed')));
+      else resolve(token);
+    });
+  });
+}
 
 /**
- * Checks the user's premium status using a time-based local cache with a graceful fallback.
- * @returns {Promise<boolean>} Resolves to true if the user is premium.
+ * Sends an authenticated action to the backend, retrying with backoff.
+ * @param {string} action The backend action, e.g. 'createCheckout'.
+ * @param {Object} params Extra fields for the request body.
+ * @returns {Promise<Object>} The parsed JSON response.
+ */
+async function callBackend(action, params = {}) {
+  const token = await getInteractiveAuthToken();
+  return retryWithBackoff(() => postToBackend({ ...params, action: action, token: token }));
+}
+
+/**
+ * Asks background.js, which owns the entitlement state, for an up-to-date status.
+ * @returns {Promise<Object>} The status, like the backend's 'verify' response.
+ * @throws {Error} If the user is not signed in.
  */
 async function getPremiumStatus() {
-    // This helper ONLY attempts a silent token fetch.
-    const getSilentAuthToken = () => new Promise((resolve, reject) => {
-        chrome.identity.getAuthToken({ interactive: false }, (token) => {
-            if (chrome.runtime.lastError || !token) {
-                reject(new Error(chrome.runtime.lastError?.message || 'User is not signed in or has not granted consent.'));
-            } else {
-                // Also get the user's email to return alongside the token
-                chrome.identity.getProfileUserInfo({ accountStatus: 'ANY' }, (userInfo) => {
-                    if (!userInfo || !userInfo.email) {
-                        reject(new Error('Could not retrieve user email for token.'));
-                    } else {
-                        resolve({ token: token, email: userInfo.email });
-                    }
-                });
-            }
-        });
-    });
+    const state = await chrome.runtime.sendMessage({ type: 'getEntitlements', refresh: true });
+    if (!state || state.status === 'signed_out') throw new Error('User is not signed in or has not granted consent.');
+    return state;
+}
+// --- END OF NEW SECTION ---
 
-    // 1. Get the current user's identity first. This will throw if they are not signed in.
-    const currentUser = await getSilentAuthToken();
-    
-    // 2. Check for a pending payment (this logic remains).
-    const { paymentState } = await chrome.storage.local.get('paymentState');
-    const isPaymentPending = paymentState === 'pending';
-    
-    // 3. Check the local cache.
-    const { premiumCache } = await chrome.storage.local.get('premiumCache');
-    const now = Date.now();
-
-    // --- SECURE CACHE LOGIC ---
-    // Trust the cache ONLY if:
-    // - A payment is NOT pending, AND
-    // - The cache exists, AND
-    // - The cached email MATCHES the current user's email, AND
-    // - The cached status is 'paid', AND
-    // - The cache is not older than 24 hours.
-    if (!isPaymentPending && premiumCache && premiumCache.email === currentUser.email && premiumCache.status === 'paid' && (now - premiumCache.timestamp < PREMIUM_CACHE_DURATION)) {
-        console.log(`Using fresh cached 'paid' status for user: ${currentUser.email}`);
-        return { status: 'paid', promoData: null };
-    }
-    
-    // 4. If no valid cache, proceed to a full server check using the current user's token.
-    const fetchStatus = async () => {
-        const response = await fetch(VERIFICATION_ENDPOINT, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ action: 'verify', token: currentUser.token })
-        });
-        if (!response.ok) throw new Error(`Server responded with status: ${response.status}`);
-        return await response.json();
-    };
+// The status this page was rendered with, to tell real changes from the one it asked for.
+let renderedState = null;
 
-    try {
-        const data = await retryWithBackoff(fetchStatus);
-        
-        // 5. IMPORTANT: When caching, we also save the user's email.
-        if (data.status === 'paid') {
-            await chrome.storage.local.set({ 
-                premiumCache: { 
-                    status: 'paid', 
-                    timestamp: now,
-                    email: currentUser.email // <-- Link the cache to the user
-                }
-            });
-        }
-        
-        if (isPaymentPending) {
-            await chrome.storage.local.set({ paymentState: 'completed' });
-        }
-        
-        return data;
-    
-    } catch (error) {
-        return premiumCache || { status: 'not_premium', promoData: null };
+// background.js reports when a pending payment lands or it stops waiting for it, and when the
+// entitlements change (an upgrade, an expiry or a sign-out).
+chrome.runtime.onMessage.addListener(message => {
+    if (!message) return;
+    if (message.type === 'paymentStateChanged') window.location.reload();
+    if (message.type === 'entitlementsChanged' && renderedState && entitlementStateKey(message.state) !== entitlementStateKey(renderedState)) {
+        window.location.reload();
     }
+});
+
+function entitlementStateKey(state) {
+    return JSON.stringify([state.email, state.status, state.entitlements]);
 }
-// --- END OF NEW SECTION ---
 
 /////////// Initialize the page ///////////
 document.addEventListener('DOMContentLoaded', async () => {
     const container = document.querySelector('.contain');
+    localizePage();
+    // Premium features stay locked until the status is known.
+    setEntitlements([]);
+    // Click handlers on #exampleFeatureButton never run while the feature is locked:
+    // premiumFeatures.js shows the upsell instead.
     try {
 
         // --- Immediately render the button in its "Authenticating..." state ---
         container.innerHTML = `
             <div class="content-block">
-                <button id="statusButton" class="action-button" disabled>Authenticating...</button>
+                <button id="statusButton" class="action-button" disabled>${t('authenticating')}</button>
             </div>
         `;
 
-        // This function will now handle the entire payment flow
-        async function handlePaymentRequest(statusButton, promoData = null) {
+        // The coupon code the user entered and the backend accepted, sent along with the checkout.
+        let appliedCouponCode = null;
+        // The premium price in the user's currency and the currencies they can switch to, from verify.
+        let displayPricing = null;
+
+        // This function will now handle the entire payment flow.
+        // checkoutOptions selects what to buy: { plan } from SUBSCRIPTION_PLANS or { productId } from ADD_ON_PRODUCTS.
+        // Without options the default product is bought. { gift: true } buys it as a license key for someone else.
+        async function handlePaymentRequest(statusButton, promoData = null, checkoutOptions = {}) {
             // Set button to "Processing..." state
             statusButton.disabled = true;
-            statusButton.textContent = 'Processing...';
+            statusButton.textContent = t('processing');
             statusButton.style.backgroundColor = '#cccccc';
 
             try {
-                const token = await new Promise((resolve, reject) => {
-                    chrome.identity.getAuthToken({ interactive: true }, token => {
-                        if (chrome.runtime.lastError || !token) reject(new Error('Could not get auth token.'));
-                        else resolve(token);
-                    });
-                });
-                
-                const fetchCheckoutUrl = async () => {
-                    const response = await fetch(VERIFICATION_ENDPOINT, {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({
-                            action: 'createCheckout',
-                            token: token
-                        })
-                    });
-                    if (!response.ok) throw new Error(`Server error: ${response.status}`);
-                    return await response.json();
-                };
-
-                const data = await retryWithBackoff(fetchCheckoutUrl);
+                const data = await callBackend('createCheckout', { ...await getPricingPreferences(), ...checkoutOptions, couponCode: appliedCouponCode || undefined });
+                // What the signed-in user gains once the payment lands. Gifts and team licenses grant
+                // premium to other accounts, so there is no status change to wait for.
+                const isForOthers = checkoutOptions.gift || checkoutOptions.seats !== undefined || checkoutOptions.licenseDomain !== undefined;
+                const addOn = ADD_ON_PRODUCTS.find(product => product.id === checkoutOptions.productId);
+                const expectedEntitlements = isForOthers ? null : [addOn ? addOn.entitlement : PREMIUM_ENTITLEMENT];
 
                 if (data.checkoutUrl) {
                     // Show the instructions dialog
                     container.innerHTML = `
-                        <h2>Payment Instructions</h2>
+                        <h2>${t('paymentInstructionsTitle')}</h2>
                         <div class="content-block">
-                            <p>You will be redirected to the payment page.</p>
-                            <p>After completing the payment, please close this window and open the extension again to see your premium status.</p>
+                            <p>${t('paymentRedirect')}</p>
+                            <p>${t(expectedEntitlements ? 'paymentKeepOpen' : checkoutOptions.gift ? 'paymentGiftKey' : 'paymentTeamSeats')}</p>
                             <div style="display: flex; gap: 10px; margin-top: 20px; justify-content: center;">
-                                <button id="cancelButton" class="cancel-button">Cancel</button>
-                                <button id="proceedButton" class="proceed-button">Proceed to Payment</button>
+                                <button id="cancelButton" class="cancel-button">${t('cancel')}</button>
+                                <button id="proceedButton" class="proceed-button">${t('proceedToPayment')}</button>
                             </div>
                         </div>
                     `;
@@ -211,7 +204,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                         cancelButton.addEventListener('click', () => renderDiscountScreen(promoData));
                     } else {
                         // Otherwise, it renders the standard "Donate" screen.
-                        cancelButton.addEventListener('click', renderDonateScreen);
+                        cancelButton.addEventListener('click', () => renderDonateScreen());
                     }
                     const proceedButton = document.getElementById('proceedButton');
                     
@@ -220,35 +213,427 @@ document.addEventListener('DOMContentLoaded', async () => {
                         cancelButton.disabled = true;
                         proceedButton.disabled = true;
 
-                        await chrome.storage.local.set({ paymentState: 'pending' });
+                        if (expectedEntitlements) {
+                            // background.js picks this up and polls until the payment lands.
+                            await chrome.storage.local.set({
+                                paymentState: 'pending',
+                                pendingPayment: { expectedEntitlements: expectedEntitlements, attempt: 0 }
+                            });
+                        }
                         chrome.tabs.create({ url: data.checkoutUrl });
                     });
 
                 } else {
-                    throw new Error('Could not retrieve checkout URL.');
+                    throw new Error(data.error || t('checkoutUrlMissing'));
                 }
             } catch (error) {
                 console.error('Payment Setup Error:', error);
-                container.innerHTML = `<p class="error-message">Failed to start payment: ${error.message}</p>`;
+                container.innerHTML = `<p class="error-message">${escapeHtml(t('paymentFailed', error.message))}</p>`;
             }
         }
 
-        // This function restores the button to its initial, clickable state
-        function renderDonateScreen() {
+        // Adds a coupon input to the given block. A code the backend accepts is stored in appliedCouponCode
+        // and onApplied receives the validation result ({ originalPrice, discountedPrice, description }).
+        function renderCouponForm(parent, onApplied) {
+            appliedCouponCode = null;
+            const couponForm = document.createElement('div');
+            couponForm.className = 'coupon-form';
+            couponForm.innerHTML = `
+                <div class="coupon-row">
+                    <input id="couponInput" class="coupon-input" type="text" placeholder="${t('couponPlaceholder')}" autocomplete="off">
+                    <button id="applyCouponButton" class="secondary-button">${t('apply')}</button>
+                </div>
+                <p id="couponResult" class="coupon-result"></p>
+            `;
+            parent.appendChild(couponForm);
+
+            const couponInput = document.getElementById('couponInput');
+            const applyCouponButton = document.getElementById('applyCouponButton');
+            const couponResult = document.getElementById('couponResult');
+
+            applyCouponButton.addEventListener('click', async () => {
+                const couponCode = couponInput.value.trim();
+                if (!couponCode) return;
+
+                applyCouponButton.disabled = true;
+                couponResult.className = 'coupon-result';
+                couponResult.textContent = t('checking');
+                try {
+                    const result = await callBackend('validateCoupon', { ...await getPricingPreferences(), couponCode: couponCode });
+                    if (result.valid) {
+                        appliedCouponCode = result.code;
+                        couponResult.textContent = t('couponApplied', [result.code, result.description]);
+                        onApplied(result);
+                    } else {
+                        appliedCouponCode = null;
+                        couponResult.className = 'coupon-result error-message';
+                        couponResult.textContent = result.reason || result.error || t('couponInvalid');
+                    }
+                } catch (error) {
+                    couponResult.className = 'coupon-result error-message';
+                    couponResult.textContent = t('couponCheckFailed', error.message);
+                } finally {
+                    applyCouponButton.disabled = false;
+                }
+            });
+        }
+
+        // This function restores the button to its initial, clickable state.
+        // Add-on packs matching the given entitlements are already owned and not offered.
+        function renderDonateScreen(entitlements = []) {
             container.innerHTML = `
                 <div class="content-block">
-                    <button id="statusButton" class="action-button">Enable Premium Features</button>
+                    <p id="couponPrice" class="price-details"></p>
+                    <button id="statusButton" class="action-button">${t('enablePremium')}</button>
+                    <div class="plan-buttons">
+                        ${SUBSCRIPTION_PLANS.map(plan => `<button class="action-button plan-button" data-plan="${plan.id}">${t(plan.labelMessage)}</button>`).join('')}
+                    </div>
                 </div>
             `;
+            if (displayPricing) {
+                document.getElementById('couponPrice').innerHTML = `<strong>${escapeHtml(displayPricing.price)}</strong>`;
+                renderCurrencySelect(container.firstElementChild);
+            }
+            renderCouponForm(container.firstElementChild, result => {
+                document.getElementById('couponPrice').innerHTML = `
+                    <span class="original-price">${result.originalPrice}</span>
+                    <strong class="sale-price"> ${result.discountedPrice}</strong>
+                `;
+            });
             const statusButton = document.getElementById('statusButton');
             document.getElementById('statusButton').addEventListener('click', () => handlePaymentRequest(statusButton, null));
+            container.querySelectorAll('.plan-button').forEach(planButton => {
+                planButton.addEventListener('click', () => handlePaymentRequest(planButton, null, { plan: planButton.dataset.plan }));
+            });
+            renderAddOnButtons(entitlements);
+
+            const otherOptionsBlock = document.createElement('div');
+            otherOptionsBlock.className = 'content-block link-row';
+            otherOptionsBlock.innerHTML = `
+                <button id="teamButton" class="link-button">${t('teamPurchaseLink')}</button>
+                <button id="giftButton" class="link-button">${t('giftLink')}</button>
+                <button id="redeemKeyButton" class="link-button">${t('redeemKeyLink')}</button>
+                <button id="transferCodeButton" class="link-button">${t('transferCodeLink')}</button>
+            `;
+            container.appendChild(otherOptionsBlock);
+            document.getElementById('teamButton').addEventListener('click', renderTeamPurchaseScreen);
+            const giftButton = document.getElementById('giftButton');
+            giftButton.addEventListener('click', () => handlePaymentRequest(giftButton, null, { gift: true }));
+            document.getElementById('redeemKeyButton').addEventListener('click', renderRedeemKeyScreen);
+            document.getElementById('transferCodeButton').addEventListener('click', renderRedeemTransferScreen);
+        }
+
+        // Lets the user pay in another currency than the one picked for their locale.
+        // The backend prices the next verify and checkout in the chosen currency.
+        function renderCurrencySelect(parent) {
+            if (displayPricing.currencies.length < 2) return;
+            const currencySelect = document.createElement('select');
+            currencySelect.className = 'currency-select';
+            currencySelect.setAttribute('aria-label', t('currencyLabel'));
+            currencySelect.innerHTML = displayPricing.currencies
+                .map(currency => `<option value="${escapeHtml(currency)}"${currency === displayPricing.currency ? ' selected' : ''}>${escapeHtml(currency.toUpperCase())}</option>`)
+                .join('');
+            parent.insertBefore(currencySelect, document.getElementById('statusButton'));
+            currencySelect.addEventListener('change', async () => {
+                currencySelect.disabled = true;
+                await setPreferredCurrency(currencySelect.value);
+                // The entitlements stay the same, so background.js will not trigger a reload by itself.
+                await getPremiumStatus().catch(() => null);
+                window.location.reload();
+            });
+        }
+
+        // Lets the user redeem a license key someone bought for them as a gift.
+        function renderRedeemKeyScreen() {
+            container.innerHTML = `
+                <h3>${t('redeemKeyTitle')}</h3>
+                <div class="content-block">
+                    <div class="inline-form">
+                        <input id="keyInput" class="text-input" type="text" placeholder="XXXX-XXXX-XXXX-XXXX-XXXX" autocomplete="off">
+                        <button id="redeemButton" class="secondary-button">${t('redeem')}</button>
+                    </div>
+                    <p id="redeemResult" class="coupon-result"></p>
+                </div>
+                <button id="backButton" class="cancel-button">${t('back')}</button>
+            `;
+            const redeemButton = document.getElementById('redeemButton');
+            const redeemResult = document.getElementById('redeemResult');
+            redeemButton.addEventListener('click', async () => {
+                const key = document.getElementById('keyInput').value.trim();
+                if (!key) return;
+
+                redeemButton.disabled = true;
+                redeemResult.className = 'coupon-result';
+                redeemResult.textContent = t('redeeming');
+                try {
+                    const result = await callBackend('redeemKey', { key: key });
+                    if (!result.redeemed) throw new Error(result.error || t('keyInvalid'));
+                    // Drop the stored token so the reload asks the backend again.
+                    await clearEntitlementToken();
+                    window.location.reload();
+                } catch (error) {
+                    redeemResult.className = 'coupon-result error-message';
+                    redeemResult.textContent = error.message;
+                    redeemButton.disabled = false;
+                }
+            });
+            document.getElementById('backButton').addEventListener('click', () => renderDonateScreen());
+        }
+
+        // Lets the user move purchases made with another Google account to this one, with the code
+        // that account created under Transfer to Another Account.
+        function renderRedeemTransferScreen() {
+            container.innerHTML = `
+                <h3>${t('redeemTransferTitle')}</h3>
+                <div class="content-block">
+                    <p class="info-text">${t('redeemTransferInfo')}</p>
+                    <div class="inline-form">
+                        <input id="transferCodeInput" class="text-input" type="text" placeholder="XXXX-XXXX-XXXX" autocomplete="off">
+                        <button id="transferButton" class="secondary-button">${t('redeem')}</button>
+                    </div>
+                    <p id="transferResult" class="coupon-result"></p>
+                </div>
+                <button id="backButton" class="cancel-button">${t('back')}</button>
+            `;
+            const transferButton = document.getElementById('transferButton');
+            const transferResult = document.getElementById('transferResult');
+            transferButton.addEventListener('click', async () => {
+                const code = document.getElementById('transferCodeInput').value.trim();
+                if (!code) return;
+
+                transferButton.disabled = true;
+                transferResult.className = 'coupon-result';
+                transferResult.textContent = t('transferring');
+                try {
+                    const result = await callBackend('transferLicense', { code: code });
+                    if (!result.transferred) throw new Error(result.error || t('transferCodeInvalid'));
+                    // Drop the stored token so the reload asks the backend again.
+                    await clearEntitlementToken();
+                    window.location.reload();
+                } catch (error) {
+                    transferResult.className = 'coupon-result error-message';
+                    transferResult.textContent = error.message;
+                    transferButton.disabled = false;
+                }
+            });
+            document.getElementById('backButton').addEventListener('click', () => renderDonateScreen());
+        }
+
+        // Lets the user buy a number of seats, or a license for their whole email domain.
+        function renderTeamPurchaseScreen() {
+            container.innerHTML = `
+                <h3>${t('teamLicenseTitle')}</h3>
+                <div class="content-block">
+                    <p class="info-text">${t('teamSeatsInfo')}</p>
+                    <div class="inline-form">
+                        <input id="seatsInput" class="text-input" type="number" min="1" value="5">
+                        <button id="buySeatsButton" class="secondary-button">${t('buySeats')}</button>
+                    </div>
+                </div>
+                <div class="content-block">
+                    <p class="info-text">${t('teamDomainInfo')}</p>
+                    <div class="inline-form">
+                        <input id="domainInput" class="text-input" type="text" placeholder="example.com">
+                        <button id="buyDomainButton" class="secondary-button">${t('buyDomain')}</button>
+                    </div>
+                </div>
+                <button id="backButton" class="cancel-button">${t('back')}</button>
+            `;
+            const buySeatsButton = document.getElementById('buySeatsButton');
+            buySeatsButton.addEventListener('click', () => {
+                handlePaymentRequest(buySeatsButton, null, { seats: Number(document.getElementById('seatsInput').value) });
+            });
+            const buyDomainButton = document.getElementById('buyDomainButton');
+            buyDomainButton.addEventListener('click', () => {
+                handlePaymentRequest(buyDomainButton, null, { licenseDomain: document.getElementById('domainInput').value.trim() });
+            });
+            document.getElementById('backButton').addEventListener('click', () => renderDonateScreen());
+        }
+
+        // Shows the licenses the user owns and lets them add or remove seat holders.
+        async function renderSeatManagementScreen() {
+            container.style.display = '';
+            container.innerHTML = `<p class="info-text">${t('loadingLicenses')}</p>`;
+
+            const renderLicenses = (data, message = '') => {
+                if (data.error) message = data.error;
+                const licenses = data.licenses || [];
+                container.innerHTML = `
+                    <h3>${t('teamSeatsTitle')}</h3>
+                    ${message ? `<p class="error-message">${escapeHtml(message)}</p>` : ''}
+                    ${licenses.map(license => license.domain ? `
+                        <div class="content-block license-box">
+                            <p class="info-text">${t('domainLicenseInfo', `<strong>@${escapeHtml(license.domain)}</strong>`)}</p>
+                        </div>
+                    ` : `
+                        <div class="content-block license-box" data-license-id="${escapeHtml(license.id)}">
+                            <p class="info-text">${t('seatsUsed', [String(license.seatEmails.length), String(license.seats)])}</p>
+                            <ul class="seat-list">
+                                ${license.seatEmails.map(email => `
+                                    <li>${escapeHtml(email)} <button class="link-button remove-seat-button" data-email="${escapeHtml(email)}">${t('remove')}</button></li>
+                                `).join('')}
+                            </ul>
+                            <div class="inline-form">
+                                <input class="text-input seat-email-input" type="email" placeholder="teammate@example.com">
+                                <button class="secondary-button add-seat-button">${t('add')}</button>
+                            </div>
+                        </div>
+                    `).join('')}
+                    <button id="doneButton" class="action-button">${t('done')}</button>
+                `;
+
+                container.querySelectorAll('.license-box[data-license-id]').forEach(licenseBox => {
+                    const licenseId = licenseBox.dataset.licenseId;
+                    const updateSeats = async (action, seatEmail) => {
+                        licenseBox.querySelectorAll('button').forEach(button => { button.disabled = true; });
+                        try {
+                            const result = await callBackend(action, { licenseId: licenseId, seatEmail: seatEmail });
+                            renderLicenses(result.error ? { ...data, error: result.error } : result);
+                        } catch (error) {
+                            renderLicenses(data, t('seatUpdateFailed', error.message));
+                        }
+                    };
+                    licenseBox.querySelector('.add-seat-button').addEventListener('click', () => {
+                        updateSeats('addSeat', licenseBox.querySelector('.seat-email-input').value.trim());
+                    });
+                    licenseBox.querySelectorAll('.remove-seat-button').forEach(removeButton => {
+                        removeButton.addEventListener('click', () => updateSeats('removeSeat', removeButton.dataset.email));
+                    });
+                });
+                document.getElementById('doneButton').addEventListener('click', () => window.location.reload());
+            };
+
+            try {
+                renderLicenses(await callBackend('getLicenses'));
+            } catch (error) {
+                container.innerHTML = `<p class="error-message">${escapeHtml(t('licensesLoadFailed', error.message))}</p>`;
+            }
+        }
+
+        // Appends the paid user's account section: the Stripe billing portal and their purchase history.
+        function renderAccountSection() {
+            const accountBlock = document.createElement('div');
+            accountBlock.className = 'content-block account-box';
+            accountBlock.innerHTML = `
+                <h3>${t('accountTitle')}</h3>
+                <p id="accountMessage" class="error-message" hidden></p>
+                <button id="manageBillingButton" class="secondary-button">${t('manageBilling')}</button>
+                <button id="purchaseHistoryButton" class="secondary-button">${t('purchaseHistory')}</button>
+                <button id="transferPurchasesButton" class="link-button">${t('transferPurchasesLink')}</button>
+            `;
+            container.appendChild(accountBlock);
+
+            const manageBillingButton = document.getElementById('manageBillingButton');
+            manageBillingButton.addEventListener('click', async () => {
+                manageBillingButton.disabled = true;
+                const accountMessage = document.getElementById('accountMessage');
+                accountMessage.hidden = true;
+                try {
+                    const data = await callBackend('createPortalSession');
+                    if (!data.portalUrl) throw new Error(data.error || t('portalUrlMissing'));
+                    chrome.tabs.create({ url: data.portalUrl });
+                } catch (error) {
+                    accountMessage.textContent = t('billingOpenFailed', error.message);
+                    accountMessage.hidden = false;
+                } finally {
+                    manageBillingButton.disabled = false;
+                }
+            });
+            document.getElementById('purchaseHistoryButton').addEventListener('click', renderPurchaseHistoryScreen);
+            document.getElementById('transferPurchasesButton').addEventListener('click', renderTransferScreen);
+        }
+
+        // Creates a code for moving this account's purchases to the Google account the user signs in
+        // to Chrome with. The code is entered there under "Have a transfer code?".
+        function renderTransferScreen() {
+            container.style.display = '';
+            container.innerHTML = `
+                <h3>${t('transferTitle')}</h3>
+                <div class="content-block">
+                    <p class="info-text">${t('transferInfo')}</p>
+                    <p id="transferCode" class="transfer-code" hidden></p>
+                    <p id="transferMessage" class="coupon-result"></p>
+                    <button id="createCodeButton" class="action-button">${t('createTransferCode')}</button>
+                </div>
+                <button id="backButton" class="cancel-button">${t('back')}</button>
+            `;
+            const createCodeButton = document.getElementById('createCodeButton');
+            const transferMessage = document.getElementById('transferMessage');
+            createCodeButton.addEventListener('click', async () => {
+                createCodeButton.disabled = true;
+                transferMessage.className = 'coupon-result';
+                transferMessage.textContent = '';
+                try {
+                    const data = await callBackend('createTransferCode');
+                    if (!data.code) throw new Error(data.error || t('transferCodeFailed'));
+                    const transferCode = document.getElementById('transferCode');
+                    transferCode.textContent = data.code;
+                    transferCode.hidden = false;
+                    transferMessage.textContent = t('transferCodeExpires', new Date(data.expiresAt).toLocaleTimeString());
+                    createCodeButton.hidden = true;
+                } catch (error) {
+                    transferMessage.className = 'coupon-result error-message';
+                    transferMessage.textContent = error.message;
+                    createCodeButton.disabled = false;
+                }
+            });
+            document.getElementById('backButton').addEventListener('click', () => window.location.reload());
+        }
+
+        // Lists the user's payments with their receipts.
+        async function renderPurchaseHistoryScreen() {
+            container.style.display = '';
+            container.innerHTML = `<p class="info-text">${t('loadingPurchases')}</p>`;
+
+            let data;
+            try {
+                data = await callBackend('getPurchases');
+            } catch (error) {
+                data = { error: error.message };
+            }
+            const purchases = data.purchases || [];
+            container.innerHTML = `
+                <h3>${t('purchaseHistory')}</h3>
+                ${data.error ? `<p class="error-message">${escapeHtml(t('purchasesLoadFailed', data.error))}</p>` : ''}
+                ${!data.error && !purchases.length ? `<p class="info-text">${t('noPurchases')}</p>` : ''}
+                <ul class="purchase-list">
+                    ${purchases.map(purchase => `
+                        <li>
+                            <span>${escapeHtml(new Date(purchase.date).toLocaleDateString())}</span>
+                            <span>${escapeHtml(purchase.description)}</span>
+                            <strong>${escapeHtml(purchase.amount)}</strong>
+                            ${purchase.status !== 'paid' ? `<span class="purchase-status">${escapeHtml(PURCHASE_STATUS_MESSAGES[purchase.status] ? t(PURCHASE_STATUS_MESSAGES[purchase.status]) : purchase.status)}</span>` : ''}
+                            ${purchase.receiptUrl ? `<a href="${escapeHtml(purchase.receiptUrl)}" target="_blank" rel="noopener">${t('receipt')}</a>` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+                <button id="doneButton" class="action-button">${t('done')}</button>
+            `;
+            document.getElementById('doneButton').addEventListener('click', () => window.location.reload());
+        }
+
+        // Appends purchase buttons for the add-on packs the user does not own yet.
+        function renderAddOnButtons(entitlements) {
+            const missingAddOns = ADD_ON_PRODUCTS.filter(product => !entitlements.includes(product.entitlement));
+            if (!missingAddOns.length) return false;
+
+            const addOnBlock = document.createElement('div');
+            addOnBlock.className = 'content-block add-on-buttons';
+            addOnBlock.innerHTML = missingAddOns
+                .map(product => `<button class="action-button add-on-button" data-product-id="${product.id}">${t(product.labelMessage)}</button>`)
+                .join('');
+            container.appendChild(addOnBlock);
+            addOnBlock.querySelectorAll('.add-on-button').forEach(addOnButton => {
+                addOnButton.addEventListener('click', () => handlePaymentRequest(addOnButton, null, { productId: addOnButton.dataset.productId }));
+            });
+            return true;
         }
 
         function renderDiscountScreen(promoData) {
             const container = document.querySelector('.contain');
             container.innerHTML = `
                 <div class="content-block promo-box promo-box-discount">
-                    <p class="promo-message">${promoData.message} (${promoData.daysLeft} days left!)</p>
+                    <p class="promo-message">${t('promoDaysLeft', [promoData.message, String(promoData.daysLeft)])}</p>
                     <p class="price-details">
                         <span class="original-price">${promoData.originalPrice}</span>
                         <strong class="sale-price"> ${promoData.salePriceText}</strong>
@@ -258,31 +643,85 @@ document.addEventListener('DOMContentLoaded', async () => {
             `;
             const promoButton = document.getElementById('promoButton');
             promoButton.addEventListener('click', () => handlePaymentRequest(promoButton, promoData));
+            // A coupon replaces the promotion's discount, so show its price instead.
+            renderCouponForm(container.firstElementChild, result => {
+                container.querySelector('.price-details').innerHTML = `
+                    <span class="original-price">${result.originalPrice}</span>
+                    <strong class="sale-price"> ${result.discountedPrice}</strong>
+                `;
+            });
         }
 
         const userState = await getPremiumStatus(); // This gets an object like { status: '...', promoData: {...} }
-
-        // Step 1: Handle premium feature access. This is granted for BOTH 'paid' and 'free_promo'.
-        if (userState.status === 'paid' || userState.status === 'free_promo') {
-        premiumFunction(true);
-        displayPremiumUI();
-        } else {
-            premiumFunction(false);
+        renderedState = userState;
+        displayPricing = userState.pricing || null;
+        const { paymentState } = await chrome.storage.local.get('paymentState');
+
+        // Step 1: Handle feature access. The backend grants the 'premium' entitlement for BOTH 'paid' and 'free_promo'.
+        const entitlements = userState.entitlements || [];
+        premiumFunction(entitlements);
+        // The upsell on a locked feature opens the payment screen, which also offers the add-on packs.
+        setUpsellHandler(() => {
+            container.style.display = '';
+            renderDonateScreen(entitlements);
+            container.scrollIntoView({ behavior: 'smooth' });
+        });
+        if (entitlements.includes(PREMIUM_ENTITLEMENT)) {
+            displayPremiumUI();
         }
         console.log('User state:', userState);
         // Step 2: Render the correct UI in the container.
         switch (userState.status) {
             case 'paid':
-                // For paid users, the container is completely hidden.
                 container.innerHTML = '';
-                container.style.display = 'none';
+                if (!entitlements.includes(PREMIUM_ENTITLEMENT)) {
+                    // The user only bought add-ons, so still offer premium itself.
+                    renderDonateScreen(entitlements);
+                } else {
+                    renderAddOnButtons(entitlements);
+                }
+                renderAccountSection();
                 break;
 
             case 'free_promo':
                 // For 'free_promo' users, show the non-interactive message.
                 container.innerHTML = `
                     <div class="content-block promo-box promo-box-free">
-                        <p class="promo-message">${userState.promoData.message} (${userState.promoData.daysLeft} days left!)</p>
+                        <p class="promo-message">${t('promoDaysLeft', [userState.promoData.message, String(userState.promoData.daysLeft)])}</p>
+                    </div>
+                `;
+                break;
+
+            case 'trial': {
+                // Trial users already have premium features. Show the countdown and let them upgrade early.
+                const daysText = userState.daysLeft === 1 ? t('trialOneDayLeft') : t('trialDaysLeft', String(userState.daysLeft));
+                container.innerHTML = `
+                    <div class="content-block promo-box promo-box-trial">
+                        <p class="promo-message">${daysText}</p>
+                        <p class="info-text">${t('trialUpgradeInfo')}</p>
+                        <button id="upgradeButton" class="action-button">${t('upgradeToPremium')}</button>
+                    </div>
+                `;
+                const upgradeButton = document.getElementById('upgradeButton');
+                upgradeButton.addEventListener('click', () => handlePaymentRequest(upgradeButton, null));
+                break;
+            }
+
+            case 'offline':
+                // The backend could not be reached, but a signed token still vouches for the entitlements.
+                container.innerHTML = `
+                    <div class="content-block">
+                        <p class="info-text">${t('offlineUntil', new Date(userState.expiresAt).toLocaleString())}</p>
+                    </div>
+                `;
+                break;
+
+            case 'revoked':
+                // The payment was refunded or disputed. Explain why premium is gone.
+                container.innerHTML = `
+                    <div class="content-block">
+                        <p class="error-message">${t(REVOKED_MESSAGES[userState.reason] || 'revokedDefault')}</p>
+                        <p class="info-text">${t('revokedContactSupport')}</p>
                     </div>
                 `;
                 break;
@@ -297,16 +736,40 @@ document.addEventListener('DOMContentLoaded', async () => {
                 }
                 break;
         }
+
+        // Step 3: Tell the user about a payment that has not landed yet.
+        // background.js sends 'paymentStateChanged' when it sees the payment or gives up, and the page re-renders.
+        if (paymentState === 'pending' || paymentState === 'still_processing') {
+            container.style.display = '';
+            const paymentNotice = document.createElement('div');
+            paymentNotice.className = 'content-block';
+            paymentNotice.innerHTML = paymentState === 'pending'
+                ? `<p class="info-text">${t('paymentPending')}</p>`
+                : `<p class="info-text">${t('paymentStillProcessing')}</p>`;
+            container.prepend(paymentNotice);
+        }
+
+        // Step 4: License owners can manage their team's seats from any state.
+        if (userState.isLicenseOwner) {
+            container.style.display = '';
+            const manageBlock = document.createElement('div');
+            manageBlock.className = 'content-block';
+            manageBlock.innerHTML = `<button id="manageSeatsButton" class="secondary-button">${t('manageTeamSeats')}</button>`;
+            container.appendChild(manageBlock);
+            document.getElementById('manageSeatsButton').addEventListener('click', renderSeatManagementScreen);
+        }
             } catch (error) {
             // --- THIS CATCH BLOCK HANDLES THE "NOT SIGNED IN" STATE ---
             console.warn('Silent authentication failed:', error.message);
+            // Signing in elsewhere in Chrome changes the state, and the page reloads.
+            renderedState = { email: null, status: 'signed_out', entitlements: [] };
             
             // Render a dedicated "Sign In" button.
             container.innerHTML = `
                 <div class="content-block">   
-                    <p class="info-text">To use the app's features, please sign in.</p>
-                    <p id="cancellationParagraph" class="info-text">If you are still here, click the button below to try again.</p>
-                    <button id="signInButton" class="action-button">Sign in with Google</button>
+                    <p class="info-text">${t('signInPrompt')}</p>
+                    <p id="cancellationParagraph" class="info-text">${t('signInRetryHint')}</p>
+                    <button id="signInButton" class="action-button">${t('signInWithGoogle')}</button>
                 </div>
             `;
 
@@ -315,7 +778,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             signInButton.addEventListener('click', () => {
             // When the user clicks, we NOW trigger the interactive sign-in.
             signInButton.disabled = true;
-            signInButton.textContent = 'Opening Sign-In...';
+            signInButton.textContent = t('openingSignIn');
 
             // Set a timeout to handle cases where the callback doesn't fire
             // const timeoutId = setTimeout(() => {
@@ -341,10 +804,10 @@ document.addEventListener('DOMContentLoaded', async () => {
                 window.removeEventListener('focus', focusHandler);
 
                 document.getElementById('cancellationParagraph').style.display = 'block';
-                signInButton.textContent = 'Sign-in cancelled. Please try again.';
+                signInButton.textContent = t('signInCancelled');
                 setTimeout(() => {
                     signInButton.disabled = false;
-                    signInButton.textContent = 'Sign in with Google / Refresh';
+                    signInButton.textContent = t('signInRefresh');
                 }, 2000);
             };
 
@@ -0,0 +1,133 @@
+// Declarative premium feature gating for the extension's pages.
+// Features are registered in PREMIUM_FEATURES with the entitlements they need. Any element with a
+// data-premium-feature="<featureId>" attribute is locked until the user has them: it is greyed out,
+// and clicking it shows an upsell tooltip whose button opens the payment flow. Code paths that are
+// not tied to an element (keyboard shortcuts, context menus) check isAllowed or requirePremium.
+
+import { t } from './i18n.js';
+
+// Features keyed by ID. A feature is allowed when the user has every entitlement in `entitlements`
+// (the backend's verify response lists them). `upsellMessage` names the tooltip text shown on locked
+// elements in _locales/*/messages.json.
+// Example for an add-on pack: export_csv: { entitlements: ['export'], upsellMessage: 'exportCsvUpsell' }
+export const PREMIUM_FEATURES = {
+  example_feature: { entitlements: ['premium'], upsellMessage: 'exampleFeatureUpsell' }
+};
+
+const LOCKED_CLASS = 'premium-locked';
+
+let currentEntitlements = [];
+let upsellHandler = null;
+let tooltip = null;
+let observer = null;
+
+/**
+ * Checks whether the user may use a feature. Unknown feature IDs are never allowed, so a typo
+ * locks a feature instead of giving it away.
+ * @param {string} featureId A key of PREMIUM_FEATURES.
+ * @returns {boolean}
+ */
+export function isAllowed(featureId) {
+  const feature = PREMIUM_FEATURES[featureId];
+  if (!feature) {
+    console.warn(`Unknown premium feature: ${featureId}`);
+    return false;
+  }
+  return feature.entitlements.every(name => currentEntitlements.includes(name));
+}
+
+/**
+ * Guards a premium code path: returns true if the feature is allowed, and otherwise opens the
+ * upsell and returns false.
+ * Example: if (!requirePremium('example_feature')) return;
+ * @param {string} featureId A key of PREMIUM_FEATURES.
+ * @returns {boolean}
+ */
+export function requirePremium(featureId) {
+  if (isAllowed(featureId)) return true;
+  if (upsellHandler) upsellHandler(featureId, PREMIUM_FEATURES[featureId]);
+  return false;
+}
+
+/**
+ * Sets the user's entitlements and locks or unlocks every gated element on the page.
+ * Elements added later are gated as they appear.
+ * @param {string[]} entitlements The entitlements from the verify response.
+ */
+export function setEntitlements(entitlements) {
+  currentEntitlements = entitlements || [];
+  hideUpsellTooltip();
+  document.querySelectorAll('[data-premium-feature]').forEach(applyGate);
+
+  if (!observer) {
+    observer = new MutationObserver(mutations => mutations.forEach(mutation => mutation.addedNodes.forEach(node => {
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+      if (node.matches('[data-premium-feature]')) applyGate(node);
+      node.querySelectorAll('[data-premium-feature]').forEach(applyGate);
+    })));
+    observer.observe(document.body, { childList: true, subtree: true });
+    // Capture phase, so the element's own click handlers never run while it is locked.
+    document.addEventListener('click', handleLockedClick, true);
+  }
+}
+
+/**
+ * Sets what the tooltip's upgrade button (and requirePremium) does, e.g. show the payment screen.
+ * Without a handler the tooltip only explains why the element is locked.
+ * @param {function(string, Object): void} handler Receives the feature ID and its registry entry.
+ */
+export function setUpsellHandler(handler) {
+  upsellHandler = handler;
+}
+
+function applyGate(element) {
+  const locked = !isAllowed(element.dataset.premiumFeature);
+  element.classList.toggle(LOCKED_CLASS, locked);
+  if (locked) element.setAttribute('aria-disabled', 'true');
+  else element.removeAttribute('aria-disabled');
+}
+
+function handleLockedClick(event) {
+  if (tooltip && tooltip.contains(event.target)) return;
+  const element = event.target.closest(`.${LOCKED_CLASS}`);
+  if (!element) {
+    hideUpsellTooltip();
+    return;
+  }
+  event.preventDefault();
+  event.stopPropagation();
+  showUpsellTooltip(element);
+}
+
+function showUpsellTooltip(element) {
+  const featureId = element.dataset.premiumFeature;
+  const feature = PREMIUM_FEATURES[featureId];
+  hideUpsellTooltip();
+
+  tooltip = document.createElement('div');
+  tooltip.className = 'premium-tooltip';
+  tooltip.setAttribute('role', 'tooltip');
+  const message = document.createElement('p');
+  message.textContent = t((feature && feature.upsellMessage) || 'premiumFeatureUpsell');
+  tooltip.appendChild(message);
+  if (upsellHandler && feature) {
+    const upgradeButton = document.createElement('button');
+    upgradeButton.className = 'action-button';
+    upgradeButton.textContent = t('upgrade');
+    upgradeButton.addEventListener('click', () => {
+      hideUpsellTooltip();
+      upsellHandler(featureId, feature);
+    });
+    tooltip.appendChild(upgradeButton);
+  }
+
+  const rect = element.getBoundingClientRect();
+  tooltip.style.top = `${rect.bottom + window.scrollY + 6}px`;
+  tooltip.style.left = `${Math.max(8, rect.left + window.scrollX)}px`;
+  document.body.appendChild(tooltip);
+}
+
+function hideUpsellTooltip() {
+  if (tooltip) tooltip.remove();
+  tooltip = null;
+}
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadBackend, WEB_APP_URL } = require('./harness/appsScript');
+
+const PAYMENTS_HEADER = ['Email', 'PurchaseDate', 'StripeEventID', 'SubscriptionID', 'SubscriptionStatus', 'CurrentPeriodEnd',
+  'PaymentIntentID', 'RevokedReason', 'RevokedAt', 'ProductID', 'LicenseID', 'GiftKeyID'];
+
+// A Payments row for a subscription, e.g. ['alice@example.com', 'sub_1'].
+function subscriptionRow(email, subscriptionId, revokedReason = '') {
+  return [email, new Date('2026-01-01'), `evt_${subscriptionId}_${email}`, subscriptionId, 'active', new Date('2027-01-01'), '', revokedReason, '', '', '', ''];
+}
+
+function portalBackend(rows) {
+  const backend = loadBackend({ now: '2026-06-01T00:00:00Z', sheets: { Payments: [PAYMENTS_HEADER, ...rows] } });
+  backend.stripe.subscriptions.set('sub_1', { id: 'sub_1', object: 'subscription', customer: 'cus_alice' });
+  return backend;
+}
+
+test('the billing portal opens for the customer of the user\'s subscription', () => {
+  const backend = portalBackend([subscriptionRow('alice@example.com', 'sub_1')]);
+  const token = backend.signIn('alice@example.com');
+
+  const response = backend.request({ action: 'createPortalSession', token });
+
+  const [session] = backend.stripe.portalSessions;
+  assert.strictEqual(response.portalUrl, session.url);
+  assert.strictEqual(session.customer, 'cus_alice');
+  assert.strictEqual(session.return_url, `${WEB_APP_URL}?page=billing`);
+  assert.match(backend.page({ page: 'billing' }).getContent(), /close this tab/i);
+
+  // The subscription's customer is cached.
+  backend.request({ action: 'createPortalSession', token });
+  assert.strictEqual(backend.stripe.requests.filter(request => request.path === '/v1/subscriptions/sub_1').length, 1);
+});
+
+test('users without a subscription get an error, and no Stripe customer is created', () => {
+  const backend = portalBackend([]);
+  backend.stripe.customers.set('cus_bob', { id: 'cus_bob', object: 'customer', email: 'bob@example.com' });
+
+  const response = backend.request({ action: 'createPortalSession', token: backend.signIn('bob@example.com') });
+
+  assert.deepStrictEqual(response, { error: 'There is no subscription to manage for this account.' });
+  assert.strictEqual(backend.stripe.customers.size, 1);
+  assert.deepStrictEqual(backend.stripe.portalSessions, []);
+  assert.ok(!backend.stripe.requests.some(request => request.path === '/v1/customers'));
+});
+
+test('a transferred subscription opens in the new owner\'s portal, not the old one\'s', () => {
+  const backend = portalBackend([
+    subscriptionRow('alice@example.com', 'sub_1', 'transferred'),
+    subscriptionRow('new@example.com', 'sub_1')
+  ]);
+
+  const moved = backend.request({ action: 'createPortalSession', token: backend.signIn('new@example.com') });
+  assert.ok(moved.portalUrl);
+  assert.strictEqual(backend.stripe.portalSessions[0].customer, 'cus_alice');
+
+  const source = backend.request({ action: 'createPortalSession', token: backend.signIn('alice@example.com') });
+  assert.strictEqual(source.portalUrl, undefined);
+  assert.strictEqual(backend.stripe.portalSessions.length, 1);
+});
+
+test('a Stripe failure is reported without a portal URL', () => {
+  const backend = portalBackend([subscriptionRow('alice@example.com', 'sub_1')]);
+  backend.stripe.route('post', /^\/v1\/billing_portal\/sessions$/, () => [400, { error: { message: 'No configuration provided' } }]);
+
+  const response = backend.request({ action: 'createPortalSession', token: backend.signIn('alice@example.com') });
+
+  assert.strictEqual(response.portalUrl, undefined);
+  assert.match(response.error, /billing portal/);
+  assert.ok(backend.errorLogMessages().some(message => /No configuration provided/.test(message)));
+});
+
+test('purchase history lists payments and subscription invoices with receipts, newest first', () => {
+  const backend = loadBackend({
+    sheets: {
+      Payments: [
+        PAYMENTS_HEADER,
+        ['alice@example.com', new Date('2026-01-05'), 'evt_1', '', '', '', 'pi_alice', '', '', '', '', ''],
+        ['alice@example.com', new Date('2026-02-01'), 'evt_2', 'sub_alice', 'active', new Date('2026-04-01'), '', '', '', '', '', ''],
+        ['alice@example.com', new Date('2026-02-10'), 'evt_3', '', '', '', 'pi_refunded', 'refunded', new Date('2026-02-11'), 'pro_pack', '', ''],
+        ['alice@example.com', new Date('2026-02-15'), 'manual_1', '', '', '', '', '', '', '', '', ''],
+        ['bob@example.com', new Date('2026-01-06'), 'evt_4', '', '', '', 'pi_bob', '', '', '', '', '']
+      ],
+      Products: [['ProductID', 'StripePriceID', 'Entitlements', 'Name', 'Mode'], ['pro_pack', 'price_pro', 'pro_tools', 'Pro Pack', 'payment']]
+    }
+  });
+  const created = date => Math.floor(new Date(date).getTime() / 1000);
+  backend.stripe.charges.set('ch_alice', { id: 'ch_alice', receipt_url: 'https://pay.stripe.com/receipts/alice' });
+  backend.stripe.paymentIntents.set('pi_alice', { id: 'pi_alice', amount: 1000, amount_received: 1000, currency: 'usd', created: created('2026-01-05'), latest_charge: 'ch_alice' });
+  backend.stripe.paymentIntents.set('pi_refunded', { id: 'pi_refunded', amount: 500, amount_received: 500, currency: 'eur', created: created('2026-02-10'), latest_charge: null });
+  backend.stripe.invoices.set('in_1', { id: 'in_1', subscription: 'sub_alice', status: 'paid', amount_paid: 300, currency: 'usd', created: created('2026-02-01'), hosted_invoice_url: 'https://invoice.stripe.com/i/1' });
+  backend.stripe.invoices.set('in_2', { id: 'in_2', subscription: 'sub_alice', status: 'paid', amount_paid: 300, currency: 'usd', created: created('2026-03-01'), hosted_invoice_url: 'https://invoice.stripe.com/i/2' });
+  backend.stripe.invoices.set('in_3', { id: 'in_3', subscription: 'sub_alice', status: 'open', amount_paid: 0, currency: 'usd', created: created('2026-04-01') });
+
+  const response = backend.request({ action: 'getPurchases', token: backend.signIn('alice@example.com') });
+
+  assert.deepStrictEqual(response.purchases, [
+    { date: '2026-03-01T00:00:00.000Z', description: 'Premium subscription', amount: '$3.00', status: 'paid', receiptUrl: 'https://invoice.stripe.com/i/2' },
+    { date: '2026-02-10T00:00:00.000Z', description: 'Pro Pack', amount: '€5.00', status: 'refunded', receiptUrl: null },
+    { date: '2026-02-01T00:00:00.000Z', description: 'Premium subscription', amount: '$3.00', status: 'paid', receiptUrl: 'https://invoice.stripe.com/i/1' },
+    { date: '2026-01-05T00:00:00.000Z', description: 'Premium', amount: '$10.00', status: 'paid', receiptUrl: 'https://pay.stripe.com/receipts/alice' }
+  ]);
+});
+
+test('purchase history is empty for users who never paid', () => {
+  const backend = loadBackend();
+
+  const response = backend.request({ action: 'getPurchases', token: backend.signIn('nobody@example.com') });
+
+  assert.deepStrictEqual(response.purchases, []);
+  assert.strictEqual(backend.stripe.requests.length, 0);
+});
@@ -0,0 +1,176 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadBackend } = require('./harness/appsScript');
+
+function adminBackend(options = {}) {
+  const backend = loadBackend({
+    now: '2026-03-01T12:00:00Z',
+    ...options,
+    properties: { ADMIN_EMAILS: 'Admin@example.com, ops@example.com', ...options.properties },
+    sheets: {
+      'Audit Log': [['Timestamp', 'AdminEmail', 'Action', 'Target', 'Details']],
+      ...options.sheets
+    }
+  });
+  backend.session.activeUser = 'admin@example.com';
+  return backend;
+}
+
+const PROMOTION = {
+  type: 'FREE', promoCodeId: '', startDate: '2026-03-01', activeUntil: '2026-03-31', priority: '5',
+  audience: 'never_paid', message: 'Free in March', buttonText: '', salePriceText: '', originalPrice: ''
+};
+
+test('the dashboard and its functions are refused to accounts outside ADMIN_EMAILS', () => {
+  const backend = adminBackend();
+
+  backend.session.activeUser = 'someone@example.com';
+  assert.match(backend.page({ page: 'admin' }).getContent(), /not allowed/);
+  assert.throws(() => backend.run('adminSearch', 'alice'), /not allowed/);
+  assert.throws(() => backend.run('adminGrant', 'alice@example.com', '', 'support ticket'), /not allowed/);
+
+  // Apps Script hides the visitor's identity in some deployments; that must not pass as an admin.
+  backend.session.activeUser = '';
+  assert.match(backend.page({ page: 'admin' }).getContent(), /not allowed/);
+
+  backend.session.activeUser = 'admin@example.com';
+  assert.match(backend.page({ page: 'admin' }).getContent(), /adminSearch/);
+});
+
+test('search finds users by email fragment or Stripe ID', () => {
+  const backend = adminBackend({
+    sheets: {
+      Payments: [
+        ['Email', 'PurchaseDate', 'StripeEventID', 'SubscriptionID', 'SubscriptionStatus', 'CurrentPeriodEnd', 'PaymentIntentID'],
+        ['alice@example.com', new Date('2026-01-01'), 'evt_1', '', '', '', 'pi_alice'],
+        ['bob@example.com', new Date('2026-01-02'), 'evt_2', 'sub_bob', 'active', new Date('2026-04-01'), '']
+      ],
+      Users: [['Email', 'FirstSeen'], ['carol@example.com', new Date('2026-02-01')]]
+    }
+  });
+
+  assert.deepStrictEqual(backend.run('adminSearch', 'example'), [
+    { email: 'alice@example.com', payments: 1 },
+    { email: 'bob@example.com', payments: 1 },
+    { email: 'carol@example.com', payments: 0 }
+  ]);
+  assert.deepStrictEqual(backend.run('adminSearch', 'sub_bob').map(user => user.email), ['bob@example.com']);
+  assert.deepStrictEqual(backend.run('adminSearch', 'pi_ali').map(user => user.email), ['alice@example.com']);
+  assert.deepStrictEqual(backend.run('adminSearch', 'a'), []);
+});
+
+test('a user is shown with the status verify would return, without starting a trial', () => {
+  const backend = adminBackend({
+    properties: { TRIAL_DAYS: '7' },
+    sheets: { Trials: [['Email', 'TrialStart']] }
+  });
+
+  const user = backend.run('adminGetUser', 'dave@example.com');
+  assert.strictEqual(user.status.status, 'trial');
+  assert.deepStrictEqual(user.payments, []);
+  assert.strictEqual(backend.rows('Trials').length, 1);
+});
+
+test('granting and revoking access is applied immediately and audited', () => {
+  const backend = adminBackend();
+  const token = backend.signIn('erin@example.com');
+  assert.strictEqual(backend.request({ action: 'verify', token }).status, 'not_premium');
+
+  assert.throws(() => backend.run('adminGrant', 'erin@example.com', '', ''), /note/);
+  const granted = backend.run('adminGrant', 'erin@example.com', '', 'Ticket 42');
+  assert.strictEqual(granted.status.status, 'paid');
+  assert.match(granted.payments[0].eventId, /^manual_/);
+  assert.strictEqual(backend.request({ action: 'verify', token }).status, 'paid');
+
+  const revoked = backend.run('adminSetRevoked', granted.payments[0].row, true, 'Granted by mistake');
+  assert.strictEqual(revoked.payments[0].revokedReason, 'revoked_by_admin');
+  const response = backend.request({ action: 'verify', token });
+  assert.strictEqual(response.status, 'revoked');
+  assert.strictEqual(response.reason, 'revoked_by_admin');
+
+  const audit = backend.rows('Audit Log').slice(1);
+  assert.deepStrictEqual(audit.map(row => [row[1], row[2], row[3]]), [
+    ['admin@example.com', 'grant', 'erin@example.com'],
+    ['admin@example.com', 'revoke', 'erin@example.com']
+  ]);
+  assert.strictEqual(JSON.parse(audit[1][4]).note, 'Granted by mistake');
+});
+
+test('changes are refused without an Audit Log sheet', () => {
+  const backend = adminBackend({ sheets: { 'Audit Log': null } });
+
+  assert.throws(() => backend.run('adminGrant', 'erin@example.com', '', 'Ticket 42'), /Audit Log/);
+  assert.throws(() => backend.run('adminFlushCaches'), /Audit Log/);
+  assert.throws(() => backend.run('adminFlushUserCache'), /Audit Log/);
+  assert.strictEqual(backend.rows('Payments').length, 1);
+});
+
+test('every change checks the admin again, not only the wrapper', () => {
+  const backend = adminBackend();
+
+  // An admin email passed along by a caller that is not signed in as that admin is refused.
+  backend.session.activeUser = 'someone@example.com';
+  assert.throws(() => backend.context.authorizeAdminChange_('admin@example.com'), /not allowed/);
+  assert.throws(() => backend.context.migrateStorage_('admin@example.com', 'sheets', 'properties'), /not allowed/);
+  assert.ok(!Object.keys(backend.scriptProperties.getProperties()).some(key => key.startsWith('store_')));
+
+  backend.session.activeUser = 'admin@example.com';
+  backend.context.adminFlushUserCache();
+  backend.context.adminFlushProductCache();
+  assert.deepStrictEqual(backend.rows('Audit Log').slice(1).map(row => [row[1], row[2]]), [
+    ['admin@example.com', 'flush_user_cache'],
+    ['admin@example.com', 'flush_product_cache']
+  ]);
+});
+
+test('promotions are validated before they are saved', () => {
+  const backend = adminBackend();
+  backend.stripe.promotionCodes.set('promo_old', { id: 'promo_old', object: 'promotion_code', code: 'OLD', active: false });
+
+  const { errors } = backend.run('adminSavePromotion', null, {
+    ...PROMOTION, type: 'DISCOUNT', promoCodeId: 'promo_old', startDate: '2026-04-01', message: ' ', audience: 'domain:'
+  });
+  assert.deepStrictEqual(errors, [
+    'Start date must not be after the end date.',
+    'Message is required.',
+    'Audience must be all, never_paid, domain:example.com or first_seen_after:YYYY-MM-DD.',
+    'Promotion code promo_old is not active in Stripe.'
+  ]);
+  assert.match(backend.run('adminSavePromotion', null, { ...PROMOTION, type: 'DISCOUNT', promoCodeId: 'promo_missing' }).errors[0], /no promotion code/);
+  assert.match(backend.run('adminSavePromotion', null, { ...PROMOTION, activeUntil: '2026-02-30' }).errors[0], /Active until/);
+  assert.strictEqual(backend.rows('Promotions').length, 1);
+});
+
+test('saved promotions reach the extension without waiting for the cache', () => {
+  const backend = adminBackend();
+  const token = backend.signIn('frank@example.com');
+  assert.strictEqual(backend.request({ action: 'verify', token }).status, 'not_premium');
+
+  const { promotions } = backend.run('adminSavePromotion', null, PROMOTION);
+  assert.deepStrictEqual(promotions.map(promotion => [promotion.row, promotion.activeUntil, promotion.message]), [[2, '2026-03-31', 'Free in March']]);
+  assert.strictEqual(backend.request({ action: 'verify', token }).status, 'free_promo');
+
+  backend.run('adminSavePromotion', 2, { ...PROMOTION, audience: 'domain:other.com' });
+  assert.strictEqual(backend.rows('Promotions').length, 2);
+  assert.strictEqual(backend.request({ action: 'verify', token }).status, 'not_premium');
+
+  assert.deepStrictEqual(backend.rows('Audit Log').slice(1).map(row => [row[2], row[3]]), [
+    ['create_promotion', 'Promotions'],
+    ['edit_promotion', 'Promotions row 2']
+  ]);
+});
+
+test('flushing caches makes direct sheet edits visible', () => {
+  const backend = adminBackend({
+    sheets: { Payments: [['Email', 'PurchaseDate', 'StripeEventID'], ['alice@example.com', new Date('2026-01-01'), 'evt_1']] }
+  });
+  const token = backend.signIn('gina@example.com');
+  assert.strictEqual(backend.request({ action: 'verify', token }).status, 'not_premium');
+
+  backend.spreadsheet.getSheetByName('Payments').appendRow(['gina@example.com', new Date(), 'evt_manual']);
+  assert.strictEqual(backend.request({ action: 'verify', token }).status, 'not_premium');
+  assert.strictEqual(backend.run('adminFlushCaches'), true);
+  assert.strictEqual(backend.request({ action: 'verify', token }).status, 'paid');
+  assert.strictEqual(backend.rows('Audit Log')[1][2], 'flush_caches');
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadWorker } = require('./harness/extension');
+
+const PAID = { status: 'paid', entitlements: ['premium'], isLicenseOwner: false, promoData: null };
+
+test('entitlement changes reach the content scripts of every tab', async () => {
+  const worker = loadWorker({ tabs: [{ id: 1 }, { id: 2 }, { id: 3 }], receivingTabs: [1, 3] });
+
+  await worker.context.refreshEntitlements();
+  assert.deepStrictEqual(worker.chrome.tabMessages.map(sent => sent.tabId), [1, 2, 3]);
+  const { message } = worker.chrome.tabMessages[0];
+  assert.strictEqual(message.type, 'entitlementsChanged');
+  assert.strictEqual(message.state.status, 'not_premium');
+  assert.strictEqual(worker.chrome.runtimeMessages.length, 1);
+
+  // An unchanged state is not sent again.
+  await worker.context.refreshEntitlements();
+  assert.strictEqual(worker.chrome.tabMessages.length, 3);
+
+  worker.verify = PAID;
+  await worker.context.refreshEntitlements();
+  const sent = worker.chrome.tabMessages.slice(3);
+  assert.deepStrictEqual(sent.map(({ tabId }) => tabId), [1, 2, 3]);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(sent[0].message.state.entitlements)), ['premium']);
+  assert.strictEqual(sent[0].message.state.email, 'user@example.com');
+});
+
+test('content scripts can ask the worker for the stored state', async () => {
+  const worker = loadWorker({ verify: PAID });
+  await worker.context.refreshEntitlements();
+  const requests = worker.backendRequests.length;
+
+  const state = await worker.getEntitlements();
+  assert.strictEqual(state.status, 'paid');
+  assert.strictEqual(worker.backendRequests.length, requests);
+
+  worker.email = null;
+  assert.strictEqual((await worker.getEntitlements({ refresh: true })).status, 'signed_out');
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadBackend } = require('./harness/appsScript');
+
+function lastStripeRequest(backend) {
+  return backend.stripe.requests[backend.stripe.requests.length - 1];
+}
+
+test('creates a one-time payment session for the signed-in user', () => {
+  const backend = loadBackend();
+  const token = backend.signIn('user@example.com');
+
+  const response = backend.request({ action: 'createCheckout', token });
+
+  assert.deepStrictEqual(response, { checkoutUrl: 'https://checkout.stripe.com/c/pay/cs_test_1' });
+  const { method, path, payload } = lastStripeRequest(backend);
+  assert.strictEqual(method, 'post');
+  assert.strictEqual(path, '/v1/checkout/sessions');
+  assert.strictEqual(payload.mode, 'payment');
+  assert.strictEqual(payload['line_items[0][price]'], 'price_default');
+  assert.strictEqual(payload.client_reference_id, 'user@example.com');
+  assert.strictEqual(payload['discounts[0][promotion_code]'], undefined);
+});
+
+test('creates a subscription session for a configured plan', () => {
+  const backend = loadBackend({ properties: { MONTHLY_PRICE_ID: 'price_monthly' } });
+  const token = backend.signIn('user@example.com');
+
+  backend.request({ action: 'createCheckout', token, plan: 'monthly' });
+
+  const { payload } = lastStripeRequest(backend);
+  assert.strictEqual(payload.mode, 'subscription');
+  assert.strictEqual(payload['line_items[0][price]'], 'price_monthly');
+  assert.strictEqual(payload['subscription_data[metadata][email]'], 'user@example.com');
+});
+
+test('rejects plans without a configured price', () => {
+  const backend = loadBackend();
+  const token = backend.signIn('user@example.com');
+
+  assert.deepStrictEqual(backend.request({ action: 'createCheckout', token, plan: 'yearly' }), { error: 'Invalid subscription plan.' });
+  assert.strictEqual(backend.stripe.requests.length, 0);
+});
+
+test('applies the active discount promotion', () => {
+  const backend = loadBackend({ now: '2026-05-01T12:00:00Z' });
+  backend.rows('Promotions').push(['2026-05-31', 'DISCOUNT', 'promo_123', 'Sale!', 'Buy', '$5', '$10']);
+  const token = backend.signIn('user@example.com');
+
+  backend.request({ action: 'createCheckout', token });
+
+  assert.strictEqual(lastStripeRequest(backend).payload['discounts[0][promotion_code]'], 'promo_123');
+});
+
+test('sells subscription plans without the discount promotion', () => {
+  const backend = loadBackend({ now: '2026-05-01T12:00:00Z', properties: { MONTHLY_PRICE_ID: 'price_monthly', YEARLY_PRICE_ID: 'price_yearly' } });
+  backend.rows('Promotions').push(['2026-05-31', 'DISCOUNT', 'promo_123', 'Sale!', 'Buy', '$5', '$10']);
+  const token = backend.signIn('user@example.com');
+
+  backend.request({ action: 'createCheckout', token, plan: 'monthly' });
+  assert.strictEqual(lastStripeRequest(backend).payload['discounts[0][promotion_code]'], undefined);
+  backend.request({ action: 'createCheckout', token, plan: 'yearly' });
+  assert.strictEqual(lastStripeRequest(backend).payload['line_items[0][price]'], 'price_yearly');
+  assert.strictEqual(lastStripeRequest(backend).payload['discounts[0][promotion_code]'], undefined);
+});
+
+test('reports Stripe errors without leaking details', () => {
+  const backend = loadBackend();
+  backend.stripe.route('post', /^\/v1\/checkout\/sessions$/, () => [400, { error: { message: 'No such price' } }]);
+  const token = backend.signIn('user@example.com');
+
+  assert.deepStrictEqual(backend.request({ action: 'createCheckout', token }), { error: 'Could not create payment session.' });
+  assert.ok(backend.errorLogMessages().some(message => message.includes('No such price')));
+});
+
+test('creates a session for a product from the Products sheet', () => {
+  const backend = loadBackend({
+    now: '2026-05-01T12:00:00Z',
+    sheets: {
+      Products: [
+        ['ProductID', 'StripePriceID', 'Entitlements', 'Name', 'Mode'],
+        ['export_pack', 'price_export', 'export', 'Export Pack', ''],
+        ['sync_plan', 'price_sync', 'sync', 'Sync', 'subscription']
+      ]
+    }
+  });
+  backend.rows('Promotions').push(['2026-05-31', 'DISCOUNT', 'promo_123', 'Sale!', 'Buy', '$5', '$10']);
+  const token = backend.signIn('user@example.com');
+
+  backend.request({ action: 'createCheckout', token, productId: 'export_pack' });
+  let { payload } = lastStripeRequest(backend);
+  assert.strictEqual(payload.mode, 'payment');
+  assert.strictEqual(payload['line_items[0][price]'], 'price_export');
+  assert.strictEqual(payload['metadata[product_id]'], 'export_pack');
+  // The sheet promotion only applies to the default product.
+  assert.strictEqual(payload['discounts[0][promotion_code]'], undefined);
+
+  backend.request({ action: 'createCheckout', token, productId: 'sync_plan' });
+  ({ payload } = lastStripeRequest(backend));
+  assert.strictEqual(payload.mode, 'subscription');
+  assert.strictEqual(payload['subscription_data[metadata][product_id]'], 'sync_plan');
+});
+
+test('rejects unknown products', () => {
+  const backend = loadBackend();
+  const token = backend.signIn('user@example.com');
+
+  assert.deepStrictEqual(backend.request({ action: 'createCheckout', token, productId: 'nope' }), { error: 'Invalid product.' });
+  assert.strictEqual(backend.stripe.requests.length, 0);
+});
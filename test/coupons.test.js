@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadBackend } = require('./harness/appsScript');
+
+const NOW = '2026-05-01T12:00:00Z';
+const NOW_SECONDS = Date.parse(NOW) / 1000;
+
+function setupBackend() {
+  const backend = loadBackend({ now: NOW });
+  backend.stripe.prices.set('price_default', { id: 'price_default', unit_amount: 1000, currency: 'usd' });
+  backend.stripe.promotionCodes.set('promo_news', {
+    id: 'promo_news', code: 'NEWS20', active: true, expires_at: null, max_redemptions: null, times_redeemed: 0,
+    coupon: { id: 'co_20', valid: true, percent_off: 20 }, restrictions: {}
+  });
+  return backend;
+}
+
+test('returns the discounted price for a valid code', () => {
+  const backend = setupBackend();
+  const token = backend.signIn('user@example.com');
+
+  assert.deepStrictEqual(backend.request({ action: 'validateCoupon', token, couponCode: ' NEWS20 ' }), {
+    valid: true,
+    code: 'NEWS20',
+    promotionCodeId: 'promo_news',
+    description: '20% off',
+    originalPrice: '$10.00',
+    discountedPrice: '$8.00'
+  });
+});
+
+test('supports fixed-amount coupons', () => {
+  const backend = setupBackend();
+  backend.stripe.promotionCodes.get('promo_news').coupon = { id: 'co_3', valid: true, amount_off: 300, currency: 'usd' };
+  const token = backend.signIn('user@example.com');
+
+  const result = backend.request({ action: 'validateCoupon', token, couponCode: 'NEWS20' });
+  assert.strictEqual(result.description, '$3.00 off');
+  assert.strictEqual(result.discountedPrice, '$7.00');
+});
+
+test('rejects unknown, inactive, expired and exhausted codes', () => {
+  const backend = setupBackend();
+  const token = backend.signIn('user@example.com');
+  const promotionCode = backend.stripe.promotionCodes.get('promo_news');
+  const reason = couponCode => backend.request({ action: 'validateCoupon', token, couponCode }).reason;
+
+  assert.strictEqual(reason('NOPE'), 'This coupon code does not exist.');
+
+  promotionCode.active = false;
+  assert.strictEqual(reason('NEWS20'), 'This coupon code is no longer active.');
+
+  promotionCode.active = true;
+  promotionCode.expires_at = NOW_SECONDS - 1;
+  assert.strictEqual(reason('NEWS20'), 'This coupon code has expired.');
+
+  promotionCode.expires_at = null;
+  promotionCode.max_redemptions = 5;
+  promotionCode.times_redeemed = 5;
+  assert.strictEqual(reason('NEWS20'), 'This coupon code has reached its redemption limit.');
+});
+
+test('checkout applies a valid coupon instead of the sheet promotion', () => {
+  const backend = setupBackend();
+  backend.rows('Promotions').push(['2026-05-31', 'DISCOUNT', 'promo_sheet', 'Sale!', 'Buy', '$5', '$10']);
+  const token = backend.signIn('user@example.com');
+
+  backend.request({ action: 'createCheckout', token, couponCode: 'NEWS20' });
+
+  const session = [...backend.stripe.sessions.values()][0];
+  assert.strictEqual(session.params['discounts[0][promotion_code]'], 'promo_news');
+});
+
+test('checkout refuses an invalid coupon without creating a session', () => {
+  const backend = setupBackend();
+  const token = backend.signIn('user@example.com');
+
+  assert.deepStrictEqual(backend.request({ action: 'createCheckout', token, couponCode: 'NOPE' }), { error: 'This coupon code does not exist.' });
+  assert.strictEqual(backend.stripe.sessions.size, 0);
+});
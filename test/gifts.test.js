@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadBackend } = require('./harness/appsScript');
+const { checkoutCompleted, chargeRefunded, lastSession } = require('./harness/fixtures');
+
+function giftBackend(options = {}) {
+  return loadBackend({
+    ...options,
+    sheets: {
+      Keys: [['KeyHash', 'KeyID', 'PurchaserEmail', 'ProductID', 'CreatedAt', 'RedeemedBy', 'RedeemedAt']],
+      ...options.sheets
+    }
+  });
+}
+
+// Runs a gift checkout and the matching webhook, returning the key emailed to the buyer.
+function buyGift(backend, buyerToken, options = {}) {
+  backend.request({ action: 'createCheckout', token: buyerToken, gift: true, ...options });
+  const { params } = lastSession(backend);
+  const metadata = { gift: params['metadata[gift]'], product_id: params['metadata[product_id]'] };
+  backend.webhook(checkoutCompleted(`evt_gift_${backend.stripe.sessions.size}`, params.client_reference_id, { metadata }));
+  const email = backend.sentEmails.slice(-1)[0];
+  return email.body.match(/license key is: (\S+)/)[1];
+}
+
+test('a gift purchase emails a key to the buyer and stores only its hash', () => {
+  const backend = giftBackend();
+  const buyerToken = backend.signIn('buyer@example.com');
+
+  const key = buyGift(backend, buyerToken);
+
+  assert.match(key, /^[0-9A-F]{4}(-[0-9A-F]{4}){4}$/);
+  assert.strictEqual(backend.sentEmails[0].recipient, 'buyer@example.com');
+  const keyRow = backend.rows('Keys')[1];
+  assert.match(keyRow[0], /^[0-9a-f]{64}$/);
+  assert.ok(!JSON.stringify(backend.rows('Keys')).includes(key.replace(/-/g, '')));
+  // The buyer paid for someone else, so they are not premium themselves.
+  assert.strictEqual(backend.request({ action: 'verify', token: buyerToken }).status, 'not_premium');
+});
+
+test('keys leave out the UUID version and variant characters', () => {
+  const backend = giftBackend();
+  const keys = Array.from({ length: 40 }, () => backend.context.createGiftKey_('buyer@example.com').key);
+  // In a UUIDv4 the 13th hex character is always 4; here it is random.
+  assert.ok(keys.some(key => key[15] !== '4'));
+  assert.strictEqual(new Set(keys).size, keys.length);
+});
+
+test('a key can be redeemed once', () => {
+  const backend = giftBackend();
+  const key = buyGift(backend, backend.signIn('buyer@example.com'));
+  const friendToken = backend.signIn('friend@example.com');
+
+  // Keys typed in lowercase and without dashes still match.
+  const redeemed = backend.request({ action: 'redeemKey', token: friendToken, key: key.toLowerCase().replace(/-/g, '') });
+  assert.deepStrictEqual(redeemed, { redeemed: true, entitlements: ['premium'] });
+  assert.deepStrictEqual(backend.request({ action: 'verify', token: friendToken }), { status: 'paid', entitlements: ['premium'], promoData: null });
+  assert.strictEqual(backend.rows('Keys')[1][5], 'friend@example.com');
+
+  const again = backend.request({ action: 'redeemKey', token: backend.signIn('other@example.com'), key });
+  assert.deepStrictEqual(again, { error: 'This license key has already been redeemed.' });
+  assert.deepStrictEqual(backend.request({ action: 'redeemKey', token: friendToken, key: 'AAAA-BBBB' }), { error: 'This license key is not valid.' });
+  assert.strictEqual(backend.scriptLock.hasLock(), false);
+});
+
+test('a gifted product grants its own entitlements', () => {
+  const backend = giftBackend({
+    sheets: { Products: [['ProductID', 'StripePriceID', 'Entitlements', 'Name', 'Mode'], ['pro_pack', 'price_pro', 'pro_tools', 'Pro Pack', 'payment']] }
+  });
+  const key = buyGift(backend, backend.signIn('buyer@example.com'), { productId: 'pro_pack' });
+
+  const redeemed = backend.request({ action: 'redeemKey', token: backend.signIn('friend@example.com'), key });
+  assert.deepStrictEqual(redeemed.entitlements, ['pro_tools']);
+});
+
+test('refunding a gift revokes the redeemed access and unredeemed keys', () => {
+  const backend = giftBackend();
+  const friendToken = backend.signIn('friend@example.com');
+  const redeemedKey = buyGift(backend, backend.signIn('buyer@example.com'));
+  backend.request({ action: 'redeemKey', token: friendToken, key: redeemedKey });
+  const unusedKey = buyGift(backend, backend.signIn('buyer@example.com'));
+
+  backend.webhook(chargeRefunded('evt_refund_1', { payment_intent: 'pi_evt_gift_1' }));
+  backend.webhook(chargeRefunded('evt_refund_2', { id: 'ch_2', payment_intent: 'pi_evt_gift_2' }));
+
+  assert.deepStrictEqual(backend.request({ action: 'verify', token: friendToken }), {
+    status: 'revoked', reason: 'refunded', entitlements: [], promoData: null
+  });
+  const late = backend.request({ action: 'redeemKey', token: backend.signIn('late@example.com'), key: unusedKey });
+  assert.deepStrictEqual(late, { error: 'This license key is no longer valid.' });
+});
+
+test('subscriptions cannot be bought as a gift', () => {
+  const backend = giftBackend({ properties: { MONTHLY_PRICE_ID: 'price_monthly' } });
+
+  const response = backend.request({ action: 'createCheckout', token: backend.signIn('buyer@example.com'), gift: true, plan: 'monthly' });
+
+  assert.deepStrictEqual(response, { error: 'Only one-time purchases can be bought as a gift.' });
+  assert.strictEqual(backend.stripe.sessions.size, 0);
+});
+
+test('gifts are unavailable without a Keys sheet', () => {
+  const backend = loadBackend();
+  const token = backend.signIn('buyer@example.com');
+
+  assert.deepStrictEqual(backend.request({ action: 'createCheckout', token, gift: true }), { error: 'Gift purchases are not available.' });
+  assert.deepStrictEqual(backend.request({ action: 'redeemKey', token, key: 'AAAA' }), { error: 'License keys are not available.' });
+});
@@ -0,0 +1,162 @@
+/**
+ * Runs the Apps Script backend (Code.js) under Node.
+ *
+ * Code.js is evaluated in a fresh vm context whose globals are in-memory fakes of the Apps Script
+ * services it uses, so each loadBackend() call behaves like a new deployment with its own
+ * spreadsheet, cache, script properties, Stripe account and clock.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { FakeSpreadsheet, createSpreadsheetApp } = require('./fakeSpreadsheet');
+const { createServices } = require('./fakeServices');
+const { FakeStripe, FakeTokenInfo, createUrlFetchApp } = require('./fakeServer');
+
+const CODE_PATH = path.join(__dirname, '..', '..', 'Google Apps Script Backend', 'Code.js');
+
+const DEFAULT_PROPERTIES = {
+  STRIPE_SECRET_KEY: 'sk_test_fake',
+  WEBHOOK_SECRET_KEY: 'webhook-url-secret',
+  DEFAULT_PRICE_ID: 'price_default',
+  GOOGLE_CLIENT_IDS: 'extension-client.apps.googleusercontent.com'
+};
+
+const WEB_APP_URL = 'https://script.google.com/macros/s/fake-deployment/exec';
+
+const DEFAULT_SHEETS = {
+  'Payments': [['Email', 'PurchaseDate', 'StripeEventID']],
+  'Promotions': [['ActiveUntilDate', 'PromoType', 'StripePromoCodeID', 'PromoMessage', 'ButtonText', 'SalePriceText', 'OriginalPriceText']],
+  'Error Logs': [['Timestamp', 'FunctionName', 'ErrorMessage', 'Level', 'RequestID', 'Context']]
+};
+
+/**
+ * A settable clock. `new Date()` and `Date.now()` inside Code.js read from it.
+ */
+function createClock(start) {
+  let time = new Date(start || Date.now()).getTime();
+  return {
+    now: () => time,
+    set: date => { time = new Date(date).getTime(); },
+    advance: ms => { time += ms; }
+  };
+}
+
+function createDateClass(clock) {
+  return class FakeDate extends Date {
+    constructor(...args) {
+      if (args.length === 0) super(clock.now());
+      else super(...args);
+    }
+
+    static now() {
+      return clock.now();
+    }
+  };
+}
+
+/**
+ * Loads Code.js with fake services.
+ * @param {Object} [options]
+ * @param {Object} [options.properties] Script Properties, merged over DEFAULT_PROPERTIES.
+ * @param {Object} [options.sheets] Sheet name -> rows, merged over DEFAULT_SHEETS. Use null to omit a sheet.
+ * @param {Date|string|number} [options.now] Initial clock time.
+ */
+function loadBackend(options = {}) {
+  const clock = createClock(options.now);
+  const properties = { ...DEFAULT_PROPERTIES, ...options.properties };
+
+  const sheetRows = { ...DEFAULT_SHEETS, ...options.sheets };
+  Object.keys(sheetRows).forEach(name => { if (sheetRows[name] === null) delete sheetRows[name]; });
+  const spreadsheet = new FakeSpreadsheet(sheetRows);
+
+  const services = createServices({ clock, properties });
+
+  const stripe = new FakeStripe();
+  stripe.secretKey = properties.STRIPE_SECRET_KEY;
+  const tokeninfo = new FakeTokenInfo();
+
+  const context = vm.createContext({
+    ...services.globals,
+    SpreadsheetApp: createSpreadsheetApp(spreadsheet),
+    ScriptApp: { getService: () => ({ getUrl: () => WEB_APP_URL }) },
+    UrlFetchApp: createUrlFetchApp({
+      'api.stripe.com': stripe,
+      'www.googleapis.com': tokeninfo
+    }),
+    Date: createDateClass(clock),
+    console
+  });
+  vm.runInContext(fs.readFileSync(CODE_PATH, 'utf8'), context, { filename: CODE_PATH });
+
+  let tokenCount = 0;
+
+  const backend = {
+    context,
+    clock,
+    spreadsheet,
+    stripe,
+    tokeninfo,
+    cache: services.cache,
+    scriptProperties: services.scriptProperties,
+    scriptLock: services.scriptLock,
+    logs: services.logs,
+    /** Emails sent with MailApp, as { recipient, subject, body }. */
+    sentEmails: services.sentEmails,
+    /** The signed-in web app visitor: set session.activeUser to an email. */
+    session: services.session,
+
+    /** Returns the rows of a sheet, header included. */
+    rows(sheetName) {
+      return spreadsheet.getSheetByName(sheetName).rows;
+    },
+
+    /**
+     * Registers a valid Google access token for the email and returns it. The token is issued to
+     * the extension's client and expires in an hour; info overrides any tokeninfo field.
+     */
+    signIn(email, info = {}) {
+      const token = `ya29.token-${++tokenCount}`;
+      tokeninfo.addToken(token, {
+        email,
+        email_verified: 'true',
+        aud: 'extension-client.apps.googleusercontent.com',
+        azp: 'extension-client.apps.googleusercontent.com',
+        exp: String(Math.floor(clock.now() / 1000) + 3600),
+        ...info
+      });
+      return token;
+    },
+
+    /** Posts an extension request to doPost and returns the parsed JSON response. */
+    request(payload) {
+      const output = context.doPost({ parameter: {}, postData: { contents: JSON.stringify(payload) } });
+      return JSON.parse(output.getContent());
+    },
+
+    /** Requests a page from doGet with the given query parameters and returns the HTML output. */
+    page(parameter) {
+      return context.doGet({ parameter });
+    },
+
+    /** Calls a server function the way google.script.run does, e.g. run('adminSearch', 'alice'). */
+    run(functionName, ...args) {
+      return JSON.parse(JSON.stringify(context[functionName](...args)));
+    },
+
+    /** Posts a Stripe webhook event to doPost and returns the raw output. */
+    webhook(event, secret = properties.WEBHOOK_SECRET_KEY) {
+      const contents = typeof event === 'string' ? event : JSON.stringify(event);
+      return context.doPost({ parameter: { webhook_secret: secret }, postData: { contents } });
+    },
+
+    /** Messages written to the Error Logs sheet. */
+    errorLogMessages() {
+      return backend.rows('Error Logs').slice(1).map(row => `${row[1]}: ${row[2]}`);
+    }
+  };
+
+  return backend;
+}
+
+module.exports = { loadBackend, DEFAULT_PROPERTIES, DEFAULT_SHEETS, WEB_APP_URL };
@@ -0,0 +1,124 @@
+/**
+ * Runs the extension's service worker (background.js) under Node.
+ *
+ * background.js is evaluated in a fresh vm context with an in-memory `chrome` API. Its imports are
+ * removed and the imported functions are supplied as globals, so a test decides what the backend
+ * and the stored entitlement token return.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const WORKER_PATH = path.join(__dirname, '..', '..', 'background.js');
+
+/**
+ * A chrome.events.Event: listeners are kept so a test can fire the event.
+ */
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: listener => listeners.push(listener),
+    dispatch: (...args) => listeners.map(listener => listener(...args))
+  };
+}
+
+function createStorageArea() {
+  const values = {};
+  return {
+    values,
+    get: async keys => {
+      const names = typeof keys === 'string' ? [keys] : keys || Object.keys(values);
+      const result = {};
+      names.forEach(name => { if (name in values) result[name] = JSON.parse(JSON.stringify(values[name])); });
+      return result;
+    },
+    set: async items => { Object.assign(values, JSON.parse(JSON.stringify(items))); },
+    remove: async keys => { [].concat(keys).forEach(name => delete values[name]); }
+  };
+}
+
+/**
+ * Builds the chrome API. Messages are recorded in `runtimeMessages` and `tabMessages`
+ * ({ tabId, message }); sending to a tab whose id is not in `receivingTabs` rejects, like a tab
+ * without a content script.
+ */
+function createChrome(tabs, receivingTabs) {
+  const chrome = {
+    runtimeMessages: [],
+    tabMessages: [],
+    alarms: { create: () => {}, clear: () => {}, onAlarm: createEvent() },
+    action: { onClicked: createEvent() },
+    identity: { onSignInChanged: createEvent() },
+    notifications: { create: () => {}, clear: () => {}, onClicked: createEvent() },
+    windows: { create: () => {} },
+    runtime: {
+      getURL: file => `chrome-extension://extension-id/${file}`,
+      onInstalled: createEvent(),
+      onStartup: createEvent(),
+      onMessage: createEvent(),
+      sendMessage: async message => {
+        chrome.runtimeMessages.push(message);
+        throw new Error('Could not establish connection. Receiving end does not exist.');
+      }
+    },
+    storage: { local: createStorageArea(), session: createStorageArea(), onChanged: createEvent() },
+    tabs: {
+      query: async () => tabs.map(tab => ({ ...tab })),
+      sendMessage: async (tabId, message) => {
+        chrome.tabMessages.push({ tabId, message });
+        if (!receivingTabs.includes(tabId)) throw new Error('Could not establish connection. Receiving end does not exist.');
+      }
+    }
+  };
+  return chrome;
+}
+
+/**
+ * Loads background.js with a fake chrome API.
+ * @param {Object} [options]
+ * @param {string} [options.email] The signed-in Chrome account, or null when signed out.
+ * @param {Object} [options.verify] The backend's 'verify' response.
+ * @param {Array<Object>} [options.tabs] Open tabs, e.g. [{ id: 1 }].
+ * @param {Array<number>} [options.receivingTabs] Tab IDs with a content script listening. Defaults to every tab.
+ */
+function loadWorker(options = {}) {
+  const tabs = options.tabs || [];
+  const chrome = createChrome(tabs, options.receivingTabs || tabs.map(tab => tab.id));
+  const worker = {
+    chrome,
+    email: options.email === undefined ? 'user@example.com' : options.email,
+    verify: options.verify || { status: 'not_premium', entitlements: [] },
+    backendRequests: []
+  };
+
+  const imports = {
+    storeEntitlementToken: async () => {},
+    getStoredEntitlements: async () => null,
+    retryWithBackoff: fn => fn(),
+    postToBackend: async payload => {
+      worker.backendRequests.push(payload);
+      return JSON.parse(JSON.stringify(worker.verify));
+    },
+    getSilentAuthToken: async () => {
+      if (!worker.email) throw new Error('Not signed in');
+      return { email: worker.email, token: 'ya29.token' };
+    },
+    getPricingPreferences: async () => ({}),
+    t: key => key
+  };
+
+  const source = fs.readFileSync(WORKER_PATH, 'utf8').replace(/^import .*$/gm, '');
+  const context = vm.createContext({ ...imports, chrome, console });
+  vm.runInContext(source, context, { filename: WORKER_PATH });
+  worker.context = context;
+
+  /** Asks the worker for the state the way an extension page or content script does. */
+  worker.getEntitlements = message => new Promise(resolve => {
+    chrome.runtime.onMessage.dispatch({ type: 'getEntitlements', ...message }, {}, resolve);
+  });
+
+  return worker;
+}
+
+module.exports = { loadWorker };
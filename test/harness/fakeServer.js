@@ -0,0 +1,175 @@
+/**
+ * A local fake of the HTTP services Code.js talks to, reached through a fake UrlFetchApp:
+ * the Stripe REST API and Google's tokeninfo endpoint.
+ */
+
+class FakeHttpResponse {
+  constructor(status, body) {
+    this.status = status;
+    this.body = typeof body === 'string' ? body : JSON.stringify(body);
+  }
+
+  getResponseCode() { return this.status; }
+  getContentText() { return this.body; }
+}
+
+/**
+ * Fake Stripe API. Every request is recorded in `requests`; objects live in plain maps that
+ * tests can seed directly (e.g. `stripe.events.set(id, event)`).
+ */
+class FakeStripe {
+  constructor() {
+    this.requests = [];
+    this.sessions = new Map();
+    this.events = new Map();
+    this.charges = new Map();
+    this.prices = new Map();
+    this.coupons = new Map();
+    this.promotionCodes = new Map();
+    this.customers = new Map();
+    this.paymentIntents = new Map();
+    this.invoices = new Map();
+    this.subscriptions = new Map();
+    this.portalSessions = [];
+    this.routes = [];
+    this.nextId = 1;
+
+    this.route('post', /^\/v1\/checkout\/sessions$/, ({ payload }) => {
+      const id = `cs_test_${this.nextId++}`;
+      const metadata = {};
+      Object.keys(payload).forEach(key => {
+        const match = key.match(/^metadata\[(.+)\]$/);
+        if (match) metadata[match[1]] = payload[key];
+      });
+      const session = {
+        id, object: 'checkout.session', url: `https://checkout.stripe.com/c/pay/${id}`, params: payload,
+        status: 'open', payment_status: 'unpaid', mode: payload.mode, client_reference_id: payload.client_reference_id,
+        payment_intent: null, subscription: null, metadata
+      };
+      this.sessions.set(id, session);
+      return [200, session];
+    });
+    this.route('get', /^\/v1\/checkout\/sessions\/([^/]+)$/, ({ params }) => this.lookup(this.sessions, params[0]));
+    this.route('get', /^\/v1\/events\/([^/]+)$/, ({ params }) => this.lookup(this.events, params[0]));
+    this.route('get', /^\/v1\/charges\/([^/]+)$/, ({ params }) => this.lookup(this.charges, params[0]));
+    this.route('get', /^\/v1\/prices\/([^/]+)$/, ({ params }) => this.lookup(this.prices, params[0]));
+    this.route('get', /^\/v1\/coupons\/([^/]+)$/, ({ params }) => this.lookup(this.coupons, params[0]));
+    this.route('get', /^\/v1\/promotion_codes$/, ({ query }) => {
+      const data = [...this.promotionCodes.values()].filter(promotionCode => !query.code || promotionCode.code === query.code);
+      return [200, { object: 'list', data, has_more: false }];
+    });
+    this.route('get', /^\/v1\/promotion_codes\/([^/]+)$/, ({ params }) => this.lookup(this.promotionCodes, params[0]));
+    this.route('get', /^\/v1\/customers$/, ({ query }) => {
+      const data = [...this.customers.values()].filter(customer => customer.email === query.email).slice(0, Number(query.limit) || 10);
+      return [200, { object: 'list', data, has_more: false }];
+    });
+    this.route('post', /^\/v1\/customers$/, ({ payload }) => {
+      const customer = { id: `cus_test_${this.nextId++}`, object: 'customer', email: payload.email };
+      this.customers.set(customer.id, customer);
+      return [200, customer];
+    });
+    this.route('post', /^\/v1\/billing_portal\/sessions$/, ({ payload }) => {
+      const id = `bps_test_${this.nextId++}`;
+      const session = { id, object: 'billing_portal.session', customer: payload.customer, return_url: payload.return_url, url: `https://billing.stripe.com/p/session/${id}` };
+      this.portalSessions.push(session);
+      return [200, session];
+    });
+    // ?expand[]=latest_charge replaces the charge ID with the charge from `charges`.
+    this.route('get', /^\/v1\/payment_intents\/([^/]+)$/, ({ params, query }) => {
+      const [status, paymentIntent] = this.lookup(this.paymentIntents, params[0]);
+      if (status !== 200 || query['expand[]'] !== 'latest_charge') return [status, paymentIntent];
+      return [200, { ...paymentIntent, latest_charge: this.charges.get(paymentIntent.latest_charge) || paymentIntent.latest_charge }];
+    });
+    this.route('get', /^\/v1\/invoices\/([^/]+)$/, ({ params }) => this.lookup(this.invoices, params[0]));
+    this.route('get', /^\/v1\/subscriptions\/([^/]+)$/, ({ params }) => this.lookup(this.subscriptions, params[0]));
+    this.route('get', /^\/v1\/invoices$/, ({ query }) => {
+      const data = [...this.invoices.values()]
+        .filter(invoice => (!query.subscription || invoice.subscription === query.subscription) && (!query.status || invoice.status === query.status));
+      return [200, { object: 'list', data, has_more: false }];
+    });
+  }
+
+  /**
+   * Marks a session as paid, the way Stripe does when the buyer finishes Checkout, and returns it.
+   */
+  completeSession(id, fields = {}) {
+    const session = this.sessions.get(id);
+    Object.assign(session, { status: 'complete', payment_status: 'paid', payment_intent: `pi_for_${id}` }, fields);
+    return session;
+  }
+
+  /**
+   * Registers a handler. Handlers added later take precedence, so tests can override defaults.
+   * A handler receives { params, payload, query } and returns [status, body].
+   */
+  route(method, pattern, handler) {
+    this.routes.unshift({ method, pattern, handler });
+  }
+
+  lookup(store, id) {
+    const object = store.get(decodeURIComponent(id));
+    if (!object) return [404, { error: { type: 'invalid_request_error', message: `No such object: '${id}'` } }];
+    return [200, object];
+  }
+
+  handle(method, url, options) {
+    const path = url.pathname;
+    const request = { method, path, query: Object.fromEntries(url.searchParams), payload: options.payload || {}, headers: options.headers || {} };
+    this.requests.push(request);
+
+    if (request.headers.Authorization !== `Bearer ${this.secretKey}`) {
+      return [401, { error: { type: 'invalid_request_error', message: 'Invalid API Key provided.' } }];
+    }
+
+    for (const { method: routeMethod, pattern, handler } of this.routes) {
+      const match = routeMethod === method && path.match(pattern);
+      if (match) return handler({ params: match.slice(1), payload: request.payload, query: request.query });
+    }
+    return [404, { error: { type: 'invalid_request_error', message: `Unrecognized request URL (${method.toUpperCase()}: ${path}).` } }];
+  }
+}
+
+/**
+ * Fake tokeninfo endpoint. Register tokens with `addToken(token, info)`; unknown tokens get
+ * the same 400 response Google returns for invalid or expired tokens.
+ */
+class FakeTokenInfo {
+  constructor() {
+    this.tokens = new Map();
+    this.requests = 0;
+  }
+
+  addToken(token, info) {
+    this.tokens.set(token, info);
+  }
+
+  handle(method, url) {
+    this.requests++;
+    const info = this.tokens.get(url.searchParams.get('access_token'));
+    if (!info) return [400, { error: 'invalid_token', error_description: 'Invalid Value' }];
+    return [200, info];
+  }
+}
+
+/**
+ * Builds a UrlFetchApp that routes requests by host. Like the real service it throws on
+ * HTTP errors unless muteHttpExceptions is set, and on hosts it cannot reach.
+ */
+function createUrlFetchApp(hosts) {
+  return {
+    fetch(rawUrl, options = {}) {
+      const url = new URL(rawUrl);
+      const server = hosts[url.host];
+      if (!server) throw new Error(`Address unavailable: ${rawUrl}`);
+
+      const [status, body] = server.handle((options.method || 'get').toLowerCase(), url, options);
+      const response = new FakeHttpResponse(status, body);
+      if (status >= 400 && !options.muteHttpExceptions) {
+        throw new Error(`Request failed for ${url.origin} returned code ${status}. Truncated server response: ${response.getContentText().slice(0, 100)}`);
+      }
+      return response;
+    }
+  };
+}
+
+module.exports = { FakeStripe, FakeTokenInfo, createUrlFetchApp };
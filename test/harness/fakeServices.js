@@ -0,0 +1,201 @@
+/**
+ * In-memory stand-ins for the small Apps Script services used by Code.js:
+ * CacheService, PropertiesService, ContentService, HtmlService, LockService, MailApp, Session, Utilities, Logger and Browser.
+ */
+const crypto = require('crypto');
+
+// CacheService rejects values larger than 100KB.
+const MAX_CACHE_VALUE_BYTES = 100 * 1024;
+
+class FakeCache {
+  constructor(clock) {
+    this.clock = clock;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= this.clock.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  getAll(keys) {
+    const values = {};
+    keys.forEach(key => {
+      const value = this.get(key);
+      if (value !== null) values[key] = value;
+    });
+    return values;
+  }
+
+  put(key, value, expirationInSeconds = 600) {
+    value = String(value);
+    if (Buffer.byteLength(value) > MAX_CACHE_VALUE_BYTES) {
+      throw new Error('Argument too large: value');
+    }
+    this.entries.set(key, { value, expiresAt: this.clock.now() + expirationInSeconds * 1000 });
+  }
+
+  putAll(values, expirationInSeconds) {
+    Object.keys(values).forEach(key => this.put(key, values[key], expirationInSeconds));
+  }
+
+  remove(key) {
+    this.entries.delete(key);
+  }
+
+  removeAll(keys) {
+    keys.forEach(key => this.remove(key));
+  }
+}
+
+class FakeProperties {
+  constructor(initial = {}) {
+    this.values = { ...initial };
+  }
+
+  getProperty(key) {
+    return Object.prototype.hasOwnProperty.call(this.values, key) ? this.values[key] : null;
+  }
+
+  getProperties() {
+    return { ...this.values };
+  }
+
+  setProperty(key, value) {
+    this.values[key] = String(value);
+    return this;
+  }
+
+  setProperties(values) {
+    Object.keys(values).forEach(key => this.setProperty(key, values[key]));
+    return this;
+  }
+
+  deleteProperty(key) {
+    delete this.values[key];
+    return this;
+  }
+}
+
+class FakeTextOutput {
+  constructor(content) {
+    this.content = content;
+    this.mimeType = 'TEXT';
+  }
+
+  getContent() { return this.content; }
+  getMimeType() { return this.mimeType; }
+
+  setMimeType(mimeType) {
+    this.mimeType = mimeType;
+    return this;
+  }
+}
+
+class FakeHtmlOutput {
+  constructor(content) {
+    this.content = content;
+    this.title = '';
+  }
+
+  getContent() { return this.content; }
+  getTitle() { return this.title; }
+
+  setTitle(title) {
+    this.title = title;
+    return this;
+  }
+
+  addMetaTag() { return this; }
+  setXFrameOptionsMode() { return this; }
+}
+
+// Scripts run one at a time here, so the lock only checks that it is released.
+class FakeLock {
+  constructor() {
+    this.held = false;
+  }
+
+  waitLock() {
+    if (this.held) throw new Error('Lock timeout: another process was holding the lock for too long.');
+    this.held = true;
+  }
+
+  releaseLock() {
+    this.held = false;
+  }
+
+  hasLock() { return this.held; }
+}
+
+function createServices({ clock, properties }) {
+  const cache = new FakeCache(clock);
+  const scriptProperties = new FakeProperties(properties);
+  const scriptLock = new FakeLock();
+  const logs = [];
+  const sentEmails = [];
+  // The Google account viewing the web app. Tests set activeUser to sign in to the admin dashboard.
+  const session = { activeUser: '' };
+
+  return {
+    cache,
+    scriptProperties,
+    scriptLock,
+    logs,
+    sentEmails,
+    session,
+    globals: {
+      CacheService: { getScriptCache: () => cache },
+      PropertiesService: { getScriptProperties: () => scriptProperties },
+      ContentService: {
+        MimeType: { JSON: 'JSON', TEXT: 'TEXT' },
+        createTextOutput: content => new FakeTextOutput(content)
+      },
+      HtmlService: {
+        XFrameOptionsMode: { ALLOWALL: 'ALLOWALL', DEFAULT: 'DEFAULT' },
+        createHtmlOutput: content => new FakeHtmlOutput(content || '')
+      },
+      LockService: { getScriptLock: () => scriptLock },
+      MailApp: {
+        sendEmail: (recipient, subject, body) => sentEmails.push({ recipient, subject, body })
+      },
+      Session: {
+        getActiveUser: () => ({ getEmail: () => session.activeUser }),
+        getScriptTimeZone: () => 'UTC'
+      },
+      Utilities: {
+        // Supports the yyyy, MM and dd patterns only, in the host's time zone like the fake Date.
+        formatDate: (date, timeZone, format) => format
+          .replace('yyyy', String(date.getFullYear()))
+          .replace('MM', String(date.getMonth() + 1).padStart(2, '0'))
+          .replace('dd', String(date.getDate()).padStart(2, '0')),
+        DigestAlgorithm: { SHA_256: 'sha256' },
+        Charset: { UTF_8: 'utf8' },
+        getUuid: () => crypto.randomUUID(),
+        // Like Apps Script: accepts a string or a byte array, and keeps the '=' padding.
+        base64EncodeWebSafe: data => Buffer.from(data).toString('base64').replace(/\+/g, '-').replace(/\//g, '_'),
+        computeRsaSha256Signature: (value, key) => Array.from(
+          crypto.sign('sha256', Buffer.from(value), key),
+          byte => (byte > 127 ? byte - 256 : byte)
+        ),
+        // Apps Script returns digests as arrays of signed bytes.
+        computeDigest: (algorithm, value, charset) => Array.from(
+          crypto.createHash(algorithm).update(value, charset).digest(),
+          byte => (byte > 127 ? byte - 256 : byte)
+        )
+      },
+      Logger: { log: message => logs.push(String(message)) },
+      Browser: {
+        Buttons: { OK: 'OK' },
+        msgBox: (title, message) => logs.push(`${title}: ${message}`)
+      }
+    }
+  };
+}
+
+module.exports = { createServices, FakeCache, FakeProperties, FakeLock };
@@ -0,0 +1,202 @@
+/**
+ * In-memory stand-in for SpreadsheetApp.
+ * Only the parts of the Sheets API used by Code.js are implemented.
+ */
+
+class FakeRange {
+  constructor(sheet, row, column, numRows, numColumns) {
+    this.sheet = sheet;
+    this.row = row;
+    this.column = column;
+    this.numRows = numRows;
+    this.numColumns = numColumns;
+  }
+
+  getRow() { return this.row; }
+  getColumn() { return this.column; }
+  getNumRows() { return this.numRows; }
+  getNumColumns() { return this.numColumns; }
+
+  getValues() {
+    const values = [];
+    for (let r = 0; r < this.numRows; r++) {
+      const row = [];
+      for (let c = 0; c < this.numColumns; c++) {
+        row.push(this.sheet.cell(this.row + r, this.column + c));
+      }
+      values.push(row);
+    }
+    return values;
+  }
+
+  getValue() {
+    return this.sheet.cell(this.row, this.column);
+  }
+
+  setValues(values) {
+    if (values.length !== this.numRows || values.some(row => row.length !== this.numColumns)) {
+      throw new Error('The number of rows or columns in the data does not match the range.');
+    }
+    values.forEach((row, r) => row.forEach((value, c) => this.sheet.setCell(this.row + r, this.column + c, value)));
+    return this;
+  }
+
+  setValue(value) {
+    for (let r = 0; r < this.numRows; r++) {
+      for (let c = 0; c < this.numColumns; c++) {
+        this.sheet.setCell(this.row + r, this.column + c, value);
+      }
+    }
+    return this;
+  }
+
+  clearContent() {
+    return this.setValue('');
+  }
+
+  createTextFinder(text) {
+    return new FakeTextFinder(this, text);
+  }
+}
+
+/**
+ * Mirrors Apps Script's TextFinder defaults: case-insensitive substring search,
+ * scanned row by row, with optional regular expressions and whole-cell matching.
+ */
+class FakeTextFinder {
+  constructor(range, text) {
+    this.range = range;
+    this.text = String(text);
+    this.regex = false;
+    this.caseSensitive = false;
+    this.entireCell = false;
+    this.position = 0;
+  }
+
+  useRegularExpression(flag) { this.regex = flag; return this; }
+  matchCase(flag) { this.caseSensitive = flag; return this; }
+  matchEntireCell(flag) { this.entireCell = flag; return this; }
+
+  matches(value) {
+    const display = String(value);
+    const flags = this.caseSensitive ? '' : 'i';
+    let source = this.regex ? this.text : this.text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (this.entireCell) source = `^(?:${source})$`;
+    return new RegExp(source, flags).test(display);
+  }
+
+  cells() {
+    const cells = [];
+    for (let r = 0; r < this.range.numRows; r++) {
+      for (let c = 0; c < this.range.numColumns; c++) {
+        const row = this.range.row + r;
+        const column = this.range.column + c;
+        const value = this.range.sheet.cell(row, column);
+        if (value !== '' && this.matches(value)) {
+          cells.push(new FakeRange(this.range.sheet, row, column, 1, 1));
+        }
+      }
+    }
+    return cells;
+  }
+
+  findNext() {
+    const cells = this.cells();
+    if (this.position >= cells.length) return null;
+    return cells[this.position++];
+  }
+
+  findAll() {
+    return this.cells();
+  }
+}
+
+class FakeSheet {
+  constructor(name, rows = []) {
+    this.name = name;
+    this.rows = rows.map(row => [...row]);
+  }
+
+  getName() { return this.name; }
+
+  cell(row, column) {
+    const values = this.rows[row - 1];
+    if (!values || values[column - 1] === undefined || values[column - 1] === null) return '';
+    return values[column - 1];
+  }
+
+  setCell(row, column, value) {
+    while (this.rows.length < row) this.rows.push([]);
+    const values = this.rows[row - 1];
+    while (values.length < column - 1) values.push('');
+    values[column - 1] = value;
+  }
+
+  appendRow(values) {
+    this.rows.push([...values]);
+    return this;
+  }
+
+  getLastRow() {
+    return this.rows.length;
+  }
+
+  getLastColumn() {
+    return this.rows.reduce((max, row) => Math.max(max, row.length), 0);
+  }
+
+  getRange(row, column, numRows = 1, numColumns = 1) {
+    if (row < 1 || column < 1 || numRows < 1 || numColumns < 1) {
+      throw new Error('The coordinates of the range are outside the dimensions of the sheet.');
+    }
+    return new FakeRange(this, row, column, numRows, numColumns);
+  }
+
+  getDataRange() {
+    return new FakeRange(this, 1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+  }
+
+  deleteRow(row) {
+    this.rows.splice(row - 1, 1);
+  }
+
+  deleteRows(row, howMany) {
+    this.rows.splice(row - 1, howMany);
+  }
+
+  clear() {
+    this.rows = [];
+    return this;
+  }
+}
+
+class FakeSpreadsheet {
+  constructor(sheets = {}) {
+    this.sheets = new Map();
+    Object.keys(sheets).forEach(name => this.insertSheet(name, sheets[name]));
+  }
+
+  getSheetByName(name) {
+    return this.sheets.get(name) || null;
+  }
+
+  getSheets() {
+    return [...this.sheets.values()];
+  }
+
+  insertSheet(name, rows = []) {
+    if (this.sheets.has(name)) throw new Error(`A sheet with the name "${name}" already exists.`);
+    const sheet = new FakeSheet(name, rows);
+    this.sheets.set(name, sheet);
+    return sheet;
+  }
+}
+
+function createSpreadsheetApp(spreadsheet) {
+  return {
+    getActiveSpreadsheet: () => spreadsheet,
+    flush: () => {}
+  };
+}
+
+module.exports = { FakeSpreadsheet, FakeSheet, FakeRange, createSpreadsheetApp };
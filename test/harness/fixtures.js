@@ -0,0 +1,52 @@
+/**
+ * Stripe webhook events and sheet readers shared by the backend tests.
+ *
+ * The events carry only the fields the backend reads. Pass them to backend.webhook(), or store
+ * them in backend.stripe.events for the tests that refetch events from Stripe.
+ */
+
+/**
+ * A checkout.session.completed event for a one-time payment.
+ * @param {string} id The event ID. The payment intent is `pi_<id>`.
+ * @param {string} email The buyer, sent as the session's client_reference_id.
+ * @param {Object} [session] Session fields to add or override, e.g. { metadata: { product_id: 'export_pack' } }.
+ */
+function checkoutCompleted(id, email, session = {}) {
+  return {
+    id,
+    type: 'checkout.session.completed',
+    livemode: false,
+    data: { object: { id: 'cs_1', mode: 'payment', client_reference_id: email, payment_intent: `pi_${id}`, ...session } }
+  };
+}
+
+/**
+ * A customer.subscription.* event.
+ * @param {string} id The event ID.
+ * @param {string} type e.g. 'customer.subscription.updated'.
+ * @param {Object} subscription The subscription, e.g. { id: 'sub_1', status: 'active' }.
+ */
+function subscriptionEvent(id, type, subscription) {
+  return { id, type, livemode: false, data: { object: { object: 'subscription', ...subscription } } };
+}
+
+/**
+ * A charge.refunded event for a fully refunded charge.
+ * @param {string} id The event ID.
+ * @param {Object} charge Charge fields to add or override, e.g. { payment_intent: 'pi_evt_1' }.
+ */
+function chargeRefunded(id, charge) {
+  return { id, type: 'charge.refunded', livemode: false, data: { object: { id: 'ch_1', refunded: true, ...charge } } };
+}
+
+/** The Payments sheet without its header row. */
+function paymentRows(backend) {
+  return backend.rows('Payments').slice(1);
+}
+
+/** The Checkout Session the fake Stripe created last, as { id, params, ... }. */
+function lastSession(backend) {
+  return [...backend.stripe.sessions.values()].pop();
+}
+
+module.exports = { checkoutCompleted, subscriptionEvent, chargeRefunded, paymentRows, lastSession };
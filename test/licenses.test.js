@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadBackend } = require('./harness/appsScript');
+const { checkoutCompleted, chargeRefunded, lastSession } = require('./harness/fixtures');
+
+function licenseBackend(properties = {}) {
+  return loadBackend({
+    properties: { LICENSE_SEAT_PRICE_ID: 'price_seat', DOMAIN_LICENSE_PRICE_ID: 'price_domain', ...properties },
+    sheets: {
+      Licenses: [['LicenseID', 'OwnerEmail', 'Seats', 'Domain', 'CreatedAt']],
+      Seats: [['LicenseID', 'Email', 'AddedAt']]
+    }
+  });
+}
+
+// Runs the checkout and the matching webhook, returning the new license ID.
+function buyLicense(backend, ownerToken, options) {
+  backend.request({ action: 'createCheckout', token: ownerToken, ...options });
+  const { params } = lastSession(backend);
+  const metadata = {
+    license_type: params['metadata[license_type]'],
+    license_seats: params['metadata[license_seats]'],
+    license_domain: params['metadata[license_domain]']
+  };
+  backend.webhook(checkoutCompleted(`evt_${backend.stripe.sessions.size}`, params.client_reference_id, { metadata }));
+  return backend.rows('Licenses').slice(-1)[0][0];
+}
+
+test('sells seats with a quantity-based checkout', () => {
+  const backend = licenseBackend();
+  const token = backend.signIn('owner@acme.com');
+
+  backend.request({ action: 'createCheckout', token, seats: 5 });
+
+  const { params } = lastSession(backend);
+  assert.strictEqual(params['line_items[0][price]'], 'price_seat');
+  assert.strictEqual(params['line_items[0][quantity]'], '5');
+  assert.strictEqual(params['metadata[license_type]'], 'seats');
+  assert.deepStrictEqual(backend.request({ action: 'createCheckout', token, seats: 0 }), { error: 'Seats must be a whole number between 1 and 500.' });
+});
+
+test('only sells domain licenses for the buyer\'s own organization', () => {
+  const backend = licenseBackend();
+
+  const consumer = backend.request({ action: 'createCheckout', token: backend.signIn('someone@gmail.com'), licenseDomain: 'gmail.com' });
+  assert.ok(consumer.error);
+  const foreign = backend.request({ action: 'createCheckout', token: backend.signIn('owner@acme.com'), licenseDomain: 'other.com' });
+  assert.ok(foreign.error);
+  assert.strictEqual(backend.stripe.sessions.size, 0);
+});
+
+test('seat holders are paid and the owner manages the seats', () => {
+  const backend = licenseBackend();
+  const ownerToken = backend.signIn('owner@acme.com');
+  const memberToken = backend.signIn('member@elsewhere.com');
+  const licenseId = buyLicense(backend, ownerToken, { seats: 1 });
+
+  // Buying seats does not make the owner premium, but flags them as a license owner.
+  assert.deepStrictEqual(backend.request({ action: 'verify', token: ownerToken }), {
+    status: 'not_premium', entitlements: [], promoData: null, isLicenseOwner: true
+  });
+  assert.strictEqual(backend.request({ action: 'verify', token: memberToken }).status, 'not_premium');
+
+  const added = backend.request({ action: 'addSeat', token: ownerToken, licenseId, seatEmail: 'Member@Elsewhere.com' });
+  assert.deepStrictEqual(added.licenses, [{ id: licenseId, seats: 1, domain: '', seatEmails: ['member@elsewhere.com'] }]);
+  assert.deepStrictEqual(backend.request({ action: 'verify', token: memberToken }).license, { id: licenseId, owner: 'owner@acme.com' });
+
+  const full = backend.request({ action: 'addSeat', token: ownerToken, licenseId, seatEmail: 'second@elsewhere.com' });
+  assert.deepStrictEqual(full, { error: 'All seats are in use.' });
+
+  const removed = backend.request({ action: 'removeSeat', token: ownerToken, licenseId, seatEmail: 'member@elsewhere.com' });
+  assert.deepStrictEqual(removed.licenses[0].seatEmails, []);
+  assert.strictEqual(backend.request({ action: 'verify', token: memberToken }).status, 'not_premium');
+});
+
+test('only the owner can change seats', () => {
+  const backend = licenseBackend();
+  const licenseId = buyLicense(backend, backend.signIn('owner@acme.com'), { seats: 3 });
+  const otherToken = backend.signIn('other@acme.com');
+
+  assert.deepStrictEqual(backend.request({ action: 'addSeat', token: otherToken, licenseId, seatEmail: 'other@acme.com' }), { error: 'License not found.' });
+  assert.deepStrictEqual(backend.request({ action: 'getLicenses', token: otherToken }), { licenses: [] });
+});
+
+test('the owner is recognized whatever the case of their email', () => {
+  const backend = licenseBackend();
+  const licenseId = buyLicense(backend, backend.signIn('Owner@Acme.com'), { seats: 2 });
+  assert.strictEqual(backend.rows('Licenses')[1][1], 'Owner@Acme.com');
+  const ownerToken = backend.signIn('owner@acme.com');
+
+  assert.strictEqual(backend.request({ action: 'verify', token: ownerToken }).isLicenseOwner, true);
+  assert.deepStrictEqual(backend.request({ action: 'getLicenses', token: ownerToken }).licenses.map(license => license.id), [licenseId]);
+  const added = backend.request({ action: 'addSeat', token: ownerToken, licenseId, seatEmail: 'member@elsewhere.com' });
+  assert.deepStrictEqual(added.licenses[0].seatEmails, ['member@elsewhere.com']);
+  const removed = backend.request({ action: 'removeSeat', token: ownerToken, licenseId, seatEmail: 'member@elsewhere.com' });
+  assert.deepStrictEqual(removed.licenses[0].seatEmails, []);
+});
+
+test('domain licenses cover every account on the domain until the payment is refunded', () => {
+  const backend = licenseBackend();
+  buyLicense(backend, backend.signIn('owner@acme.com'), { licenseDomain: 'Acme.com' });
+  const colleagueToken = backend.signIn('colleague@acme.com');
+
+  assert.strictEqual(backend.request({ action: 'verify', token: colleagueToken }).status, 'paid');
+  assert.strictEqual(backend.request({ action: 'verify', token: backend.signIn('someone@acme.org') }).status, 'not_premium');
+
+  backend.webhook(chargeRefunded('evt_refund', { payment_intent: 'pi_evt_1' }));
+  assert.strictEqual(backend.request({ action: 'verify', token: colleagueToken }).status, 'not_premium');
+});
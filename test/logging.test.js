@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadBackend } = require('./harness/appsScript');
+
+const LOG_HEADER = ['Timestamp', 'FunctionName', 'ErrorMessage', 'Level', 'RequestID', 'Context'];
+
+function logRows(backend) {
+  return backend.rows('Error Logs').slice(1).map(([, functionName, message, level, requestId, context]) => ({ functionName, message, level, requestId, context }));
+}
+
+test('debug entries such as cache hits are dropped at the default level', () => {
+  const backend = loadBackend();
+  const token = backend.signIn('user@example.com');
+
+  backend.request({ action: 'verify', token });
+  backend.request({ action: 'verify', token });
+
+  assert.deepStrictEqual(logRows(backend).filter(row => row.level === 'debug'), []);
+  assert.ok(!backend.errorLogMessages().some(message => message.includes('from CACHE')));
+});
+
+test('LOG_LEVEL lowers or raises the threshold', () => {
+  const verbose = loadBackend({ properties: { LOG_LEVEL: 'debug' } });
+  const token = verbose.signIn('user@example.com');
+  verbose.request({ action: 'verify', token });
+  verbose.request({ action: 'verify', token });
+  assert.ok(verbose.errorLogMessages().includes('doPost: Extension request received.'));
+
+  const quiet = loadBackend({ properties: { LOG_LEVEL: 'error' } });
+  quiet.request({ action: 'verify', token: 'ya29.unknown' });
+  assert.deepStrictEqual(logRows(quiet), []);
+});
+
+test('entries of one request share a correlation ID', () => {
+  const backend = loadBackend({ properties: { LOG_LEVEL: 'debug' } });
+  const token = backend.signIn('user@example.com');
+
+  backend.request({ action: 'verify', token });
+  const firstRequest = logRows(backend);
+  backend.request({ action: 'verify', token });
+  const secondRequest = logRows(backend).slice(firstRequest.length);
+
+  assert.ok(firstRequest.length > 1);
+  assert.strictEqual(new Set(firstRequest.map(row => row.requestId)).size, 1);
+  assert.strictEqual(new Set(secondRequest.map(row => row.requestId)).size, 1);
+  assert.notStrictEqual(firstRequest[0].requestId, secondRequest[0].requestId);
+  assert.deepStrictEqual(JSON.parse(firstRequest[0].context), { action: 'verify' });
+});
+
+test('unexpected errors return the request ID and log structured context', () => {
+  const backend = loadBackend();
+  backend.context.handleVerify_ = () => { throw new Error('boom'); };
+
+  const response = backend.request({ action: 'verify', token: backend.signIn('user@example.com') });
+
+  assert.strictEqual(response.error, 'An unexpected server error occurred.');
+  const [row] = logRows(backend).filter(entry => entry.functionName === 'doPost_Global');
+  assert.deepStrictEqual({ level: row.level, message: row.message, requestId: row.requestId }, { level: 'error', message: 'boom', requestId: response.requestId });
+  assert.strictEqual(JSON.parse(row.context).action, 'verify');
+});
+
+test('the sheet is rotated into the archive once it passes LOG_MAX_ROWS', () => {
+  const oldRows = Array.from({ length: 10 }, (_, i) => [new Date(2025, 0, i + 1), 'old', `entry ${i}`, 'info', '', '']);
+  const backend = loadBackend({
+    properties: { LOG_MAX_ROWS: '10' },
+    sheets: { 'Error Logs': [LOG_HEADER, ...oldRows], 'Error Logs Archive': [LOG_HEADER] }
+  });
+
+  // An unknown token logs one warning, taking the sheet to 11 rows.
+  backend.request({ action: 'verify', token: 'ya29.unknown' });
+
+  const remaining = logRows(backend);
+  assert.strictEqual(remaining.length, 8);
+  assert.strictEqual(remaining[0].message, 'entry 3');
+  assert.strictEqual(remaining[7].level, 'warn');
+  assert.deepStrictEqual(backend.rows('Error Logs Archive').slice(1).map(row => row[2]), ['entry 0', 'entry 1', 'entry 2']);
+});
+
+test('entries that cannot be written go to the execution log', () => {
+  const backend = loadBackend();
+  backend.spreadsheet.getSheetByName('Error Logs').getRange = () => { throw new Error('Service unavailable'); };
+
+  backend.request({ action: 'verify', token: 'ya29.unknown' });
+  assert.ok(backend.logs.some(message => /^ERROR: Could not write \d+ log entries: Service unavailable$/.test(message)));
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { loadBackend, WEB_APP_URL } = require('./harness/appsScript');
+const { checkoutCompleted } = require('./harness/fixtures');
+
+// Any page doGet serves can call these through google.script.run. Everything else must end in '_'.
+const PUBLIC_FUNCTIONS = [
+  'adminFlushCaches', 'adminFlushProductCache', 'adminFlushPromotionCache', 'adminFlushUserCache',
+  'adminGetPromotions', 'adminGetUser', 'adminGrant', 'adminMigratePropertiesToSheets',
+  'adminMigrateSheetsToProperties', 'adminSavePromotion', 'adminSearch', 'adminSetRevoked',
+  'adminTestExternalFetch', 'doGet', 'doPost', 'pollCheckoutStatus'
+];
+
+// Creates a Checkout Session through the extension API and returns its ID.
+function startCheckout(backend, options = {}) {
+  backend.request({ action: 'createCheckout', token: backend.signIn('buyer@example.com'), ...options });
+  return [...backend.stripe.sessions.keys()].pop();
+}
+
+// The webhook Stripe sends for a session the fake Stripe completed.
+function sessionCompleted(session) {
+  const { id, client_reference_id: email, payment_intent, metadata } = session;
+  return checkoutCompleted(`evt_${id}`, email, { id, payment_intent, metadata });
+}
+
+test('checkout returns to the deployed web app', () => {
+  const backend = loadBackend();
+  const sessionId = startCheckout(backend);
+
+  const { params } = backend.stripe.sessions.get(sessionId);
+  assert.strictEqual(params.success_url, `${WEB_APP_URL}?page=success&session_id={CHECKOUT_SESSION_ID}`);
+  assert.strictEqual(params.cancel_url, `${WEB_APP_URL}?page=cancel`);
+});
+
+test('the success page waits for the webhook, then confirms', () => {
+  const backend = loadBackend();
+  const session = backend.stripe.completeSession(startCheckout(backend));
+
+  const waiting = backend.page({ page: 'success', session_id: session.id });
+  assert.match(waiting.getContent(), /status-waiting/);
+  assert.match(waiting.getContent(), /google\.script\.run/);
+  assert.deepStrictEqual({ ...backend.context.getCheckoutStatus_(session.id) }, { state: 'waiting', gift: false });
+
+  backend.webhook(sessionCompleted(session));
+
+  const confirmed = backend.page({ page: 'success', session_id: session.id });
+  assert.match(confirmed.getContent(), /status-confirmed/);
+  assert.match(confirmed.getContent(), /premium features are now unlocked/);
+  assert.doesNotMatch(confirmed.getContent(), /google\.script\.run/);
+  assert.match(confirmed.getContent(), /click its icon in the Chrome toolbar/);
+  assert.strictEqual(confirmed.getTitle(), 'Payment confirmed - Premium Extension');
+});
+
+test('confirmed gift purchases point to the emailed key', () => {
+  const backend = loadBackend({ sheets: { Keys: [['KeyHash', 'KeyID', 'PurchaserEmail', 'ProductID', 'CreatedAt', 'RedeemedBy', 'RedeemedAt']] } });
+  const session = backend.stripe.completeSession(startCheckout(backend, { gift: true }));
+  backend.webhook(sessionCompleted(session));
+
+  assert.match(backend.page({ page: 'success', session_id: session.id }).getContent(), /gift has been emailed/);
+});
+
+test('the success page reports unfinished, unknown and malformed sessions as failed', () => {
+  const backend = loadBackend();
+  const openSessionId = startCheckout(backend);
+
+  assert.match(backend.page({ page: 'success', session_id: openSessionId }).getContent(), /status-failed/);
+  assert.match(backend.page({ page: 'success', session_id: 'cs_test_missing' }).getContent(), /status-failed/);
+  assert.match(backend.page({ page: 'success', session_id: '"><script>' }).getContent(), /status-failed/);
+  assert.match(backend.page({ page: 'success' }).getContent(), /status-failed/);
+});
+
+test('the cancel page confirms nothing was charged', () => {
+  const backend = loadBackend({ properties: { APP_NAME: 'Acme <Tools>' } });
+
+  const output = backend.page({ page: 'cancel' });
+
+  assert.match(output.getContent(), /No payment was made/);
+  assert.match(output.getContent(), /Acme &lt;Tools&gt;/);
+});
+
+test('only the entry points and the admin functions are public to google.script.run', () => {
+  const source = fs.readFileSync(path.join(__dirname, '..', 'Google Apps Script Backend', 'Code.js'), 'utf8');
+  const publicFunctions = [...source.matchAll(/^(?:async\s+)?function\s+([\w$]+)/gm)]
+    .map(match => match[1])
+    .filter(name => !name.endsWith('_'))
+    .sort();
+  assert.deepStrictEqual(publicFunctions, PUBLIC_FUNCTIONS);
+});
+
+test('admin functions refuse visitors of the public pages', () => {
+  const backend = loadBackend({ properties: { ADMIN_EMAILS: 'admin@example.com' } });
+  backend.session.activeUser = 'visitor@example.com';
+  PUBLIC_FUNCTIONS.filter(name => name.startsWith('admin')).forEach(name => {
+    assert.throws(() => backend.context[name](), /not allowed/, name);
+  });
+});
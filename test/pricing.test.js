@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadBackend } = require('./harness/appsScript');
+const { lastSession } = require('./harness/fixtures');
+
+const PRICES_HEADER = ['ProductID', 'Currency', 'Regions', 'StripePriceID'];
+
+function pricingBackend(options = {}) {
+  const backend = loadBackend({
+    now: '2026-05-01T12:00:00Z',
+    ...options,
+    properties: { MONTHLY_PRICE_ID: 'price_monthly', ...options.properties },
+    sheets: {
+      Prices: [
+        PRICES_HEADER,
+        ['default', 'eur', 'DE, FR, AT', 'price_default_eur'],
+        ['default', 'gbp', 'GB', 'price_default_gbp'],
+        ['monthly', 'eur', 'DE,FR,AT', 'price_monthly_eur'],
+        ['pro_pack', 'eur', '', 'price_pro_eur']
+      ],
+      Products: [['ProductID', 'StripePriceID', 'Entitlements', 'Name', 'Mode'], ['pro_pack', 'price_pro', 'pro_tools', 'Pro Pack', 'payment']],
+      ...options.sheets
+    }
+  });
+  backend.stripe.prices.set('price_default', { id: 'price_default', unit_amount: 1000, currency: 'usd' });
+  backend.stripe.prices.set('price_default_eur', { id: 'price_default_eur', unit_amount: 900, currency: 'eur' });
+  backend.stripe.prices.set('price_default_gbp', { id: 'price_default_gbp', unit_amount: 800, currency: 'gbp' });
+  return backend;
+}
+
+function checkoutPrice(backend, token, payload) {
+  backend.request({ action: 'createCheckout', token, ...payload });
+  return lastSession(backend).params['line_items[0][price]'];
+}
+
+test('checkout charges the price for the chosen currency, then for the locale\'s region', () => {
+  const backend = pricingBackend();
+  const token = backend.signIn('user@example.com');
+
+  assert.strictEqual(checkoutPrice(backend, token, { locale: 'de-DE' }), 'price_default_eur');
+  assert.strictEqual(checkoutPrice(backend, token, { locale: 'en-GB' }), 'price_default_gbp');
+  // A currency the user picked wins over their locale.
+  assert.strictEqual(checkoutPrice(backend, token, { locale: 'de-DE', currency: 'GBP' }), 'price_default_gbp');
+  // Unlisted regions, unknown currencies and malformed values fall back to the product's own price.
+  assert.strictEqual(checkoutPrice(backend, token, { locale: 'en-US' }), 'price_default');
+  assert.strictEqual(checkoutPrice(backend, token, { locale: 'ja', currency: 'jpy' }), 'price_default');
+  assert.strictEqual(checkoutPrice(backend, token, { locale: '<script>', currency: 'euro' }), 'price_default');
+});
+
+test('a locale or currency that is not a string is ignored like any malformed value', () => {
+  const backend = pricingBackend();
+  const token = backend.signIn('user@example.com');
+
+  assert.strictEqual(checkoutPrice(backend, token, { currency: ['eur'] }), 'price_default');
+  assert.strictEqual(checkoutPrice(backend, token, { locale: ['de-DE'] }), 'price_default');
+  assert.strictEqual(checkoutPrice(backend, token, { locale: { length: 2 }, currency: 978 }), 'price_default');
+
+  const verified = backend.request({ action: 'verify', token, locale: ['de-DE'], currency: ['eur'] });
+  assert.strictEqual(verified.error, undefined);
+  assert.strictEqual(verified.pricing.currency, 'usd');
+  assert.strictEqual(backend.request({ action: 'validateCoupon', token, couponCode: 'NOPE', currency: ['eur'] }).error, undefined);
+});
+
+test('subscription plans and products are localized by their own rows', () => {
+  const backend = pricingBackend();
+  const token = backend.signIn('user@example.com');
+
+  assert.strictEqual(checkoutPrice(backend, token, { plan: 'monthly', locale: 'fr-FR' }), 'price_monthly_eur');
+  assert.strictEqual(checkoutPrice(backend, token, { plan: 'monthly', locale: 'en-GB' }), 'price_monthly');
+  assert.strictEqual(checkoutPrice(backend, token, { productId: 'pro_pack', currency: 'eur' }), 'price_pro_eur');
+  assert.strictEqual(checkoutPrice(backend, token, { productId: 'pro_pack', locale: 'de-DE' }), 'price_pro');
+});
+
+test('verify returns the premium price formatted for the user\'s locale', () => {
+  const backend = pricingBackend();
+  const token = backend.signIn('user@example.com');
+
+  const response = backend.request({ action: 'verify', token, locale: 'de-DE' });
+
+  // Intl separates the amount and the currency sign with a no-break space in many locales.
+  assert.deepStrictEqual(response.pricing, { currency: 'eur', price: '9,00\u00a0€', currencies: ['usd', 'eur', 'gbp'] });
+  assert.strictEqual(backend.request({ action: 'verify', token, locale: 'en-US', currency: 'gbp' }).pricing.price, '£8.00');
+});
+
+test('verify makes no Stripe calls without a Prices sheet, or for premium users', () => {
+  const backend = loadBackend();
+  assert.strictEqual(backend.request({ action: 'verify', token: backend.signIn('user@example.com'), locale: 'de-DE' }).pricing, undefined);
+  assert.strictEqual(backend.stripe.requests.length, 0);
+
+  const paidBackend = pricingBackend({
+    sheets: { Payments: [['Email', 'PurchaseDate', 'StripeEventID'], ['paid@example.com', new Date('2026-01-01'), 'evt_1']] }
+  });
+  const response = paidBackend.request({ action: 'verify', token: paidBackend.signIn('paid@example.com'), locale: 'de-DE' });
+  assert.strictEqual(response.status, 'paid');
+  assert.strictEqual(response.pricing, undefined);
+  assert.strictEqual(paidBackend.stripe.requests.length, 0);
+});
+
+test('discount promotions show the prices Stripe charges in the user\'s currency', () => {
+  const backend = pricingBackend();
+  backend.rows('Promotions').push(['2026-05-31', 'DISCOUNT', 'promo_sale', 'Spring sale', 'Buy now', '$5', '$10']);
+  backend.stripe.promotionCodes.set('promo_sale', {
+    id: 'promo_sale', code: 'SPRING', active: true, coupon: { id: 'co_25', valid: true, percent_off: 25 }, restrictions: {}
+  });
+  const token = backend.signIn('user@example.com');
+
+  const { promoData } = backend.request({ action: 'verify', token, locale: 'en-GB' });
+  assert.strictEqual(promoData.originalPrice, '£8.00');
+  assert.strictEqual(promoData.salePriceText, '£6.00');
+
+  // Repeated verifies read the coupon from the cache.
+  const stripeCalls = backend.stripe.requests.length;
+  backend.request({ action: 'verify', token, locale: 'en-GB' });
+  assert.strictEqual(backend.stripe.requests.length, stripeCalls);
+
+  // A fixed-amount coupon without a GBP amount does not apply, so the sheet's texts are kept.
+  backend.stripe.promotionCodes.get('promo_sale').coupon = { id: 'co_2', valid: true, amount_off: 200, currency: 'usd', currency_options: { eur: { amount_off: 150 } } };
+  backend.cache.remove('stripe_promotion_coupon_promo_sale');
+  const fallback = backend.request({ action: 'verify', token, locale: 'en-GB' }).promoData;
+  assert.strictEqual(fallback.originalPrice, '$10');
+  assert.strictEqual(fallback.salePriceText, '$5');
+  assert.strictEqual(backend.request({ action: 'verify', token, locale: 'de-DE' }).promoData.salePriceText, '7,50\u00a0€');
+});
+
+test('checkout leaves out a sheet promotion whose coupon has no amount in the buyer\'s currency', () => {
+  const backend = pricingBackend();
+  backend.rows('Promotions').push(['2026-05-31', 'DISCOUNT', 'promo_sale', 'Spring sale', 'Buy now', '$5', '$10']);
+  backend.stripe.promotionCodes.set('promo_sale', {
+    id: 'promo_sale', code: 'SPRING', active: true, restrictions: {},
+    coupon: { id: 'co_2', valid: true, amount_off: 200, currency: 'usd', currency_options: { eur: { amount_off: 150 } } }
+  });
+  const token = backend.signIn('user@example.com');
+  const sessionParams = payload => {
+    backend.request({ action: 'createCheckout', token, ...payload });
+    return lastSession(backend).params;
+  };
+
+  const gbp = sessionParams({ locale: 'en-GB' });
+  assert.strictEqual(gbp['line_items[0][price]'], 'price_default_gbp');
+  assert.strictEqual(gbp['discounts[0][promotion_code]'], undefined);
+  assert.strictEqual(sessionParams({ locale: 'de-DE' })['discounts[0][promotion_code]'], 'promo_sale');
+  assert.strictEqual(sessionParams({ locale: 'en-US' })['discounts[0][promotion_code]'], 'promo_sale');
+});
+
+test('coupons are checked against the localized price', () => {
+  const backend = pricingBackend();
+  backend.stripe.promotionCodes.set('promo_news', {
+    id: 'promo_news', code: 'NEWS20', active: true, coupon: { id: 'co_20', valid: true, percent_off: 20 }, restrictions: {}
+  });
+  const token = backend.signIn('user@example.com');
+
+  const result = backend.request({ action: 'validateCoupon', token, couponCode: 'NEWS20', locale: 'fr-FR' });
+
+  assert.strictEqual(result.originalPrice, '9,00\u00a0€');
+  assert.strictEqual(result.discountedPrice, '7,20\u00a0€');
+});
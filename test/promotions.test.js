@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadBackend } = require('./harness/appsScript');
+
+function activePromotion(backend) {
+  return JSON.parse(backend.context.getActivePromotion_().getContent());
+}
+
+test('reports no promotion when the sheet has none', () => {
+  const backend = loadBackend();
+  assert.deepStrictEqual(activePromotion(backend), { hasPromo: false });
+});
+
+test('returns the first unexpired promotion with the days left', () => {
+  const backend = loadBackend({ now: '2026-05-01T12:00:00Z' });
+  backend.rows('Promotions').push(['2026-04-30', 'DISCOUNT', 'promo_old', 'Old', 'Buy', '$5', '$10']);
+  backend.rows('Promotions').push(['not a date', 'DISCOUNT', 'promo_bad', 'Bad', 'Buy', '$5', '$10']);
+  backend.rows('Promotions').push(['2026-05-03', 'DISCOUNT', 'promo_new', 'New', 'Buy now', '$5', '$10']);
+
+  assert.deepStrictEqual(activePromotion(backend), {
+    hasPromo: true,
+    type: 'DISCOUNT', promoCodeId: 'promo_new', message: 'New',
+    buttonText: 'Buy now', salePriceText: '$5', originalPrice: '$10',
+    daysLeft: 3
+  });
+});
+
+test('serves promotions from the cache until it is flushed', () => {
+  const backend = loadBackend({ now: '2026-05-01T12:00:00Z' });
+  assert.strictEqual(activePromotion(backend).hasPromo, false);
+
+  backend.rows('Promotions').push(['2026-05-03', 'FREE', '', 'Free week', '', '', '']);
+  assert.strictEqual(activePromotion(backend).hasPromo, false);
+
+  backend.cache.remove('promotions_data');
+  assert.strictEqual(activePromotion(backend).hasPromo, true);
+});
+
+test('falls back to no promotion when the Promotions sheet is missing', () => {
+  const backend = loadBackend({ sheets: { Promotions: null } });
+  assert.deepStrictEqual(activePromotion(backend), { hasPromo: false });
+});
+
+test('verify grants free_promo during a FREE promotion and offers discounts otherwise', () => {
+  const backend = loadBackend({ now: '2026-05-01T12:00:00Z' });
+  const token = backend.signIn('user@example.com');
+
+  backend.rows('Promotions').push(['2026-05-03', 'FREE', '', 'Free week', '', '', '']);
+  const free = backend.request({ action: 'verify', token });
+  assert.strictEqual(free.status, 'free_promo');
+  assert.strictEqual(free.promoData.message, 'Free week');
+
+  backend.rows('Promotions')[1] = ['2026-05-03', 'DISCOUNT', 'promo_1', 'Sale', 'Buy', '$5', '$10'];
+  backend.cache.remove('promotions_data');
+  const discount = backend.request({ action: 'verify', token });
+  assert.strictEqual(discount.status, 'not_premium');
+  assert.strictEqual(discount.promoData.promoCodeId, 'promo_1');
+});
+
+function promotionRow({ end = '2026-05-31', type = 'DISCOUNT', id, start = '', priority = '', audience = '' }) {
+  return [end, type, id, `Promo ${id}`, 'Buy', '$5', '$10', start, priority, audience];
+}
+
+test('does not offer promotions before their start date', () => {
+  const backend = loadBackend({ now: '2026-05-01T12:00:00Z' });
+  backend.rows('Promotions').push(promotionRow({ id: 'promo_later', start: '2026-05-10' }));
+
+  assert.strictEqual(activePromotion(backend).hasPromo, false);
+
+  // The cached sheet data is re-evaluated per request, so the promotion starts on time.
+  backend.clock.set('2026-05-10T00:30:00Z');
+  assert.strictEqual(activePromotion(backend).promoCodeId, 'promo_later');
+});
+
+test('prefers the highest priority, then sheet order', () => {
+  const backend = loadBackend({ now: '2026-05-01T12:00:00Z' });
+  backend.rows('Promotions').push(promotionRow({ id: 'promo_a', priority: 1 }));
+  backend.rows('Promotions').push(promotionRow({ id: 'promo_b', priority: 5 }));
+  backend.rows('Promotions').push(promotionRow({ id: 'promo_c', priority: 5 }));
+
+  assert.strictEqual(activePromotion(backend).promoCodeId, 'promo_b');
+});
+
+test('targets promotions by audience per user', () => {
+  const backend = loadBackend({
+    now: '2026-05-01T12:00:00Z',
+    sheets: { Users: [['Email', 'FirstSeen'], ['old@other.com', new Date('2026-01-01T00:00:00Z')]] }
+  });
+  backend.rows('Promotions').push(promotionRow({ id: 'promo_domain', priority: 3, audience: 'domain:Example.com' }));
+  backend.rows('Promotions').push(promotionRow({ id: 'promo_new', priority: 2, audience: 'first_seen_after:2026-04-01' }));
+  backend.rows('Promotions').push(promotionRow({ id: 'promo_never_paid', priority: 1, audience: 'never_paid' }));
+  backend.rows('Promotions').push(promotionRow({ id: 'promo_all' }));
+  backend.rows('Payments').push(['old@other.com', new Date(), 'evt_1', 'sub_1', 'canceled', new Date('2026-02-01T00:00:00Z')]);
+
+  const promoFor = email => backend.request({ action: 'verify', token: backend.signIn(email) }).promoData.promoCodeId;
+
+  assert.strictEqual(promoFor('someone@example.com'), 'promo_domain');
+  assert.strictEqual(promoFor('new@other.com'), 'promo_new');
+  assert.strictEqual(promoFor('old@other.com'), 'promo_all');
+  assert.strictEqual(activePromotion(backend).promoCodeId, 'promo_all');
+});
+
+test('records first-seen dates in the Users sheet once', () => {
+  const backend = loadBackend({ now: '2026-05-01T12:00:00Z', sheets: { Users: [['Email', 'FirstSeen']] } });
+  const token = backend.signIn('user@example.com');
+
+  backend.request({ action: 'verify', token });
+  backend.clock.advance(60 * 1000);
+  backend.cache.remove('first_seen_user@example.com');
+  backend.request({ action: 'verify', token });
+
+  const rows = backend.rows('Users').slice(1);
+  assert.strictEqual(rows.length, 1);
+  assert.strictEqual(rows[0][1].toISOString(), '2026-05-01T12:00:00.000Z');
+});
+
+test('returns the promotion text in the requesting user\'s language', () => {
+  const header = ['ActiveUntilDate', 'PromoType', 'StripePromoCodeID', 'PromoMessage', 'ButtonText', 'SalePriceText',
+    'OriginalPriceText', 'StartDate', 'Priority', 'Audience', 'PromoMessage_de', 'ButtonText_de', 'PromoMessage_pt-BR', 'ButtonText_pt_PT'];
+  const backend = loadBackend({
+    now: '2026-05-01T12:00:00Z',
+    sheets: {
+      Promotions: [
+        header,
+        ['2026-05-03', 'DISCOUNT', 'promo_sale', 'Spring sale', 'Buy now', '$5', '$10', '', '', '', 'Frühjahrsangebot', 'Jetzt kaufen', 'Promoção de primavera', 'Comprar agora']
+      ]
+    }
+  });
+  const token = backend.signIn('user@example.com');
+  const textFor = locale => {
+    const { promoData } = backend.request({ action: 'verify', token, locale });
+    return [promoData.message, promoData.buttonText];
+  };
+
+  assert.deepStrictEqual(textFor('de'), ['Frühjahrsangebot', 'Jetzt kaufen']);
+  // A regional locale falls back to its language.
+  assert.deepStrictEqual(textFor('de-AT'), ['Frühjahrsangebot', 'Jetzt kaufen']);
+  // Each text falls back on its own: pt-BR has only a message, pt-PT only a button.
+  assert.deepStrictEqual(textFor('pt-BR'), ['Promoção de primavera', 'Buy now']);
+  assert.deepStrictEqual(textFor('pt-PT'), ['Spring sale', 'Comprar agora']);
+  assert.deepStrictEqual(textFor('fr-FR'), ['Spring sale', 'Buy now']);
+  assert.deepStrictEqual(textFor(undefined), ['Spring sale', 'Buy now']);
+  assert.strictEqual(activePromotion(backend).message, 'Spring sale');
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadBackend } = require('./harness/appsScript');
+
+function tokeninfoCalls(backend) {
+  return backend.tokeninfo.requests;
+}
+
+test('an action is rate limited per token before tokeninfo is called', () => {
+  const backend = loadBackend({ now: '2026-03-01T12:00:00Z' });
+  const token = backend.signIn('alice@example.com');
+
+  for (let i = 0; i < 5; i++) assert.ok(backend.request({ action: 'createCheckout', token }).checkoutUrl);
+  const calls = tokeninfoCalls(backend);
+  const sessions = backend.stripe.sessions.size;
+
+  const response = backend.request({ action: 'createCheckout', token });
+  assert.strictEqual(response.code, 'rate_limited');
+  assert.strictEqual(response.retryAfter, 600);
+  assert.match(response.error, /try again in 10 minutes/);
+  assert.strictEqual(tokeninfoCalls(backend), calls);
+  assert.strictEqual(backend.stripe.sessions.size, sessions);
+
+  // Other actions have their own budget.
+  assert.strictEqual(backend.request({ action: 'verify', token }).status, 'not_premium');
+
+  backend.clock.advance(600 * 1000);
+  assert.ok(backend.request({ action: 'createCheckout', token }).checkoutUrl);
+});
+
+test('retryAfter counts down to the end of the window', () => {
+  const backend = loadBackend({ now: '2026-03-01T12:00:00Z' });
+  const token = backend.signIn('alice@example.com');
+
+  for (let i = 0; i < 30; i++) backend.request({ action: 'verify', token });
+  backend.clock.advance(45 * 1000);
+  const response = backend.request({ action: 'verify', token });
+  assert.strictEqual(response.retryAfter, 15);
+  assert.match(response.error, /try again in 15 seconds/);
+});
+
+test('a fresh token does not reset the limit for the same account', () => {
+  const backend = loadBackend({ now: '2026-03-01T12:00:00Z' });
+
+  for (let i = 0; i < 5; i++) backend.request({ action: 'redeemKey', token: backend.signIn('alice@example.com'), key: 'AAAA' });
+  const response = backend.request({ action: 'redeemKey', token: backend.signIn('alice@example.com'), key: 'AAAA' });
+  assert.strictEqual(response.code, 'rate_limited');
+
+  // Nor does another account share it.
+  assert.notStrictEqual(backend.request({ action: 'redeemKey', token: backend.signIn('bob@example.com'), key: 'AAAA' }).code, 'rate_limited');
+  assert.ok(backend.errorLogMessages().some(message => message === 'doPost: Rate limited redeemKey by email.'));
+});
+
+test('made-up actions share one budget', () => {
+  const backend = loadBackend({ now: '2026-03-01T12:00:00Z' });
+  const token = backend.signIn('alice@example.com');
+
+  for (let i = 0; i < 10; i++) backend.request({ action: `nonsense${i}`, token });
+  assert.strictEqual(backend.request({ action: 'hasOwnProperty', token }).code, 'rate_limited');
+});
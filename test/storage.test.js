@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadBackend } = require('./harness/appsScript');
+const { checkoutCompleted, chargeRefunded } = require('./harness/fixtures');
+
+test('loads without the Payments and Error Logs tabs and only fails the writes', () => {
+  const backend = loadBackend({ sheets: { 'Payments': null, 'Error Logs': null, 'Promotions': null } });
+  const token = backend.signIn('user@example.com');
+
+  assert.strictEqual(backend.request({ action: 'verify', token }).status, 'not_premium');
+  assert.deepStrictEqual(backend.run('readPaymentRows_'), []);
+  assert.throws(() => backend.context.appendPaymentRow_({ EMAIL: 'user@example.com', EVENT_ID: 'manual_1' }),
+    /Could not find the sheet tab named 'Payments'/);
+});
+
+test('the memory backend records payments and events without any sheet', () => {
+  const backend = loadBackend({
+    now: '2026-05-01T12:00:00Z',
+    properties: { STORAGE_BACKEND: 'memory' },
+    sheets: { 'Payments': null, 'Error Logs': null, 'Promotions': null }
+  });
+  const token = backend.signIn('user@example.com');
+
+  backend.webhook(checkoutCompleted('evt_1', 'user@example.com'));
+  backend.webhook(checkoutCompleted('evt_1', 'user@example.com'));
+
+  const payments = backend.run('readPaymentRows_');
+  assert.deepStrictEqual(payments.map(payment => [payment.row, payment.email, payment.eventId]), [[2, 'user@example.com', 'evt_1']]);
+  assert.strictEqual(payments[0].purchaseDate, '2026-05-01T12:00:00.000Z');
+  assert.strictEqual(backend.request({ action: 'verify', token }).status, 'paid');
+  assert.strictEqual(backend.context.isEventProcessed_('evt_1'), true);
+  assert.strictEqual(backend.context.isEventProcessed_('EVT_1'), true);
+  assert.strictEqual(backend.context.isEventProcessed_('evt_2'), false);
+});
+
+test('the properties backend stores dated rows across executions, split into chunks', () => {
+  const first = loadBackend({
+    now: '2026-05-01T12:00:00Z',
+    properties: { STORAGE_BACKEND: 'properties' },
+    sheets: { 'Payments': null, 'Error Logs': null }
+  });
+  for (let i = 1; i <= 100; i++) first.webhook(checkoutCompleted(`evt_${i}`, `user${i}@example.com`));
+  first.webhook(chargeRefunded('evt_refund', { payment_intent: 'pi_evt_100' }));
+
+  assert.ok(Number(first.scriptProperties.getProperty('store_payments_chunks')) > 1);
+  assert.strictEqual(first.scriptProperties.getProperty('STORAGE_BACKEND'), 'properties');
+
+  const second = loadBackend({ now: '2026-05-02T12:00:00Z', properties: first.scriptProperties.getProperties() });
+  const payments = second.run('readPaymentRows_');
+  assert.strictEqual(payments.length, 100);
+  assert.strictEqual(payments[0].purchaseDate, '2026-05-01T12:00:00.000Z');
+  assert.strictEqual(payments[99].revokedReason, 'refunded');
+  assert.ok(second.context.isDate_(second.context.createStores_('properties').payments.get(2)[1]));
+  assert.strictEqual(second.request({ action: 'verify', token: second.signIn('user1@example.com') }).status, 'paid');
+  assert.strictEqual(second.request({ action: 'verify', token: second.signIn('user100@example.com') }).status, 'revoked');
+
+  // The refund was recorded as an event, so a retry of it is skipped.
+  assert.strictEqual(second.context.isEventProcessed_('evt_refund'), true);
+});
+
+test('migrateStorage_ copies every store once and refuses to overwrite data', () => {
+  const backend = loadBackend({
+    now: '2026-05-01T12:00:00Z',
+    properties: { ADMIN_EMAILS: 'admin@example.com' },
+    sheets: {
+      'Error Logs Archive': [['Timestamp', 'FunctionName', 'ErrorMessage', 'Level', 'RequestID', 'Context']],
+      'Audit Log': [['Timestamp', 'AdminEmail', 'Action', 'Target', 'Details']]
+    }
+  });
+  backend.session.activeUser = 'admin@example.com';
+  backend.webhook(checkoutCompleted('evt_1', 'user@example.com'));
+  backend.rows('Promotions')[0].push('StartDate', 'Priority', 'Audience', 'PromoMessage_de');
+  backend.rows('Promotions').push(['2026-05-31', 'FREE', '', 'Free week', '', '', '', '', '', '', 'Gratis-Woche']);
+
+  const copied = backend.run('adminMigrateSheetsToProperties');
+
+  assert.strictEqual(copied.payments, 1);
+  assert.strictEqual(copied.promotions, 1);
+  assert.ok(copied.logs > 0);
+  assert.ok(!('logArchive' in copied));
+  assert.throws(() => backend.context.adminMigrateSheetsToProperties(), /payments, promotions, logs store\(s\) of 'properties' already hold data/);
+
+  const migrated = loadBackend({
+    now: '2026-05-01T12:00:00Z',
+    properties: { ...backend.scriptProperties.getProperties(), STORAGE_BACKEND: 'properties' },
+    sheets: { 'Payments': null, 'Promotions': null }
+  });
+  assert.strictEqual(migrated.request({ action: 'verify', token: migrated.signIn('user@example.com') }).status, 'paid');
+  assert.strictEqual(migrated.context.isEventProcessed_('evt_1'), true);
+  const { status, promoData } = migrated.request({ action: 'verify', token: migrated.signIn('new@example.com'), locale: 'de' });
+  assert.strictEqual(status, 'free_promo');
+  assert.strictEqual(promoData.message, 'Gratis-Woche');
+});
+
+test('records handled events in the Events sheet and keeps only the newest', () => {
+  const backend = loadBackend({ sheets: { Events: [['EventID', 'Type', 'ProcessedAt']] } });
+  backend.webhook(checkoutCompleted('evt_1', 'user@example.com'));
+  backend.webhook(chargeRefunded('evt_refund', { payment_intent: 'pi_evt_1' }));
+  backend.webhook(chargeRefunded('evt_refund', { payment_intent: 'pi_evt_1' }));
+
+  assert.deepStrictEqual(backend.rows('Events').slice(1).map(row => [row[0], row[1]]),
+    [['evt_1', 'checkout.session.completed'], ['evt_refund', 'charge.refunded']]);
+  assert.ok(backend.errorLogMessages().some(message => message.includes('already processed: evt_refund')));
+
+  backend.rows('Events').push(...Array.from({ length: 1000 }, (_, i) => [`evt_old_${i}`, 'charge.refunded', new Date()]));
+  backend.webhook(chargeRefunded('evt_new', { payment_intent: 'pi_evt_1' }));
+  assert.strictEqual(backend.rows('Events').length - 1, 1000);
+  assert.strictEqual(backend.rows('Events')[1000][0], 'evt_new');
+});
+
+test('JSON tables reload under the script lock, so concurrent executions keep each other\'s rows', () => {
+  const backend = loadBackend({ properties: { STORAGE_BACKEND: 'properties' } });
+  // Two executions, each with the table as it was when they first read it.
+  const first = backend.context.createJsonTable_(backend.scriptProperties, 'store_test', ['Name']);
+  const second = backend.context.createJsonTable_(backend.scriptProperties, 'store_test', ['Name']);
+  assert.strictEqual(first.count(), 0);
+  assert.strictEqual(second.count(), 0);
+
+  assert.strictEqual(first.append(['checkout']), 2);
+  assert.strictEqual(second.append(['subscription']), 3);
+  first.appendRows([['log']]);
+
+  const reader = backend.context.createJsonTable_(backend.scriptProperties, 'store_test', ['Name']);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(reader.rows())), [['checkout'], ['subscription'], ['log']]);
+  assert.strictEqual(backend.scriptLock.hasLock(), false);
+
+  // A lock taken by the caller is left for the caller to release.
+  backend.scriptLock.waitLock(10000);
+  first.update(2, 1, ['checkout (updated)']);
+  assert.strictEqual(backend.scriptLock.hasLock(), true);
+  backend.scriptLock.releaseLock();
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const { loadBackend } = require('./harness/appsScript');
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const SIGNING_KEY = privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+// Checks the signature the same way the extension does and returns the header and claims.
+function decodeToken(token) {
+  const [header, claims, signature] = token.split('.');
+  const valid = crypto.verify('sha256', Buffer.from(`${header}.${claims}`), publicKey, Buffer.from(signature, 'base64url'));
+  assert.ok(valid, 'signature does not verify');
+  assert.ok(!/[=+/]/.test(token), 'token is not base64url without padding');
+  return {
+    header: JSON.parse(Buffer.from(header, 'base64url')),
+    claims: JSON.parse(Buffer.from(claims, 'base64url'))
+  };
+}
+
+function paidBackend(properties = {}) {
+  return loadBackend({
+    now: '2025-06-01T00:00:00Z',
+    properties: { ENTITLEMENT_SIGNING_KEY: SIGNING_KEY, ...properties },
+    sheets: { Payments: [['Email', 'PurchaseDate', 'StripeEventID'], ['paid@example.com', new Date('2025-01-01'), 'evt_1']] }
+  });
+}
+
+test('paid users get a signed token with their email, entitlements and expiry', () => {
+  const backend = paidBackend();
+
+  const response = backend.request({ action: 'verify', token: backend.signIn('paid@example.com') });
+
+  const { header, claims } = decodeToken(response.entitlementToken);
+  assert.deepStrictEqual(header, { alg: 'RS256', typ: 'JWT' });
+  const issuedAt = Date.parse('2025-06-01T00:00:00Z') / 1000;
+  assert.deepStrictEqual(claims, {
+    sub: 'paid@example.com', status: 'paid', entitlements: ['premium'], isLicenseOwner: false,
+    iat: issuedAt, exp: issuedAt + 72 * 60 * 60
+  });
+});
+
+test('the token lifetime is configurable and never outlasts a trial', () => {
+  const backend = paidBackend({ ENTITLEMENT_TOKEN_HOURS: '1' });
+  const paid = decodeToken(backend.request({ action: 'verify', token: backend.signIn('paid@example.com') }).entitlementToken);
+  assert.strictEqual(paid.claims.exp - paid.claims.iat, 60 * 60);
+
+  const trialBackend = loadBackend({
+    now: '2025-06-01T00:00:00Z',
+    properties: { ENTITLEMENT_SIGNING_KEY: SIGNING_KEY, ENTITLEMENT_TOKEN_HOURS: '200', TRIAL_DAYS: '2' },
+    sheets: { Trials: [['Email', 'TrialStart', 'TrialEnd']] }
+  });
+  const trial = decodeToken(trialBackend.request({ action: 'verify', token: trialBackend.signIn('new@example.com') }).entitlementToken);
+  assert.strictEqual(trial.claims.status, 'trial');
+  assert.strictEqual(trial.claims.exp, Date.parse('2025-06-03T00:00:00Z') / 1000);
+});
+
+test('no token is issued without entitlements or without a signing key', () => {
+  const backend = paidBackend();
+  const unpaid = backend.request({ action: 'verify', token: backend.signIn('free@example.com') });
+  assert.strictEqual(unpaid.entitlementToken, undefined);
+
+  const unsigned = loadBackend({ sheets: { Payments: [['Email', 'PurchaseDate', 'StripeEventID'], ['paid@example.com', new Date(), 'evt_1']] } });
+  const response = unsigned.request({ action: 'verify', token: unsigned.signIn('paid@example.com') });
+  assert.strictEqual(response.status, 'paid');
+  assert.strictEqual(response.entitlementToken, undefined);
+});
+
+test('a malformed signing key is logged and verify still answers', () => {
+  const backend = paidBackend({ ENTITLEMENT_SIGNING_KEY: 'not a key' });
+
+  const response = backend.request({ action: 'verify', token: backend.signIn('paid@example.com') });
+
+  assert.strictEqual(response.status, 'paid');
+  assert.strictEqual(response.entitlementToken, undefined);
+  assert.ok(backend.errorLogMessages().some(message => message.startsWith('createEntitlementToken: ERROR')));
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadBackend } = require('./harness/appsScript');
+const { checkoutCompleted, subscriptionEvent, chargeRefunded, paymentRows } = require('./harness/fixtures');
+
+const MINUTE = 60 * 1000;
+
+function buy(backend, id, email, session = {}) {
+  backend.webhook(checkoutCompleted(id, email, session));
+}
+
+test('moves the purchases to the account that redeems the code and records the transfer', () => {
+  const backend = loadBackend({ now: '2026-05-01T12:00:00Z' });
+  buy(backend, 'evt_1', 'work@example.com');
+  const workToken = backend.signIn('work@example.com');
+  const homeToken = backend.signIn('home@example.com');
+  assert.strictEqual(backend.request({ action: 'verify', token: homeToken }).status, 'not_premium');
+
+  const created = backend.request({ action: 'createTransferCode', token: workToken });
+  assert.match(created.code, /^[0-9A-F]{4}(-[0-9A-F]{4}){2}$/);
+  assert.strictEqual(created.expiresAt, '2026-05-01T12:15:00.000Z');
+  assert.strictEqual(created.purchases, 1);
+
+  // Codes typed in lowercase and without dashes still match.
+  const transferred = backend.request({ action: 'transferLicense', token: homeToken, code: created.code.toLowerCase().replace(/-/g, '') });
+  assert.deepStrictEqual(transferred, { transferred: 1, entitlements: ['premium'] });
+
+  const [purchase, audit] = paymentRows(backend);
+  assert.deepStrictEqual([purchase[0], purchase[2], purchase[12]], ['home@example.com', 'evt_1', 1]);
+  assert.deepStrictEqual([audit[0], audit[2], audit[7], audit[13]], ['work@example.com', 'transfer_1_evt_1', 'transferred', 'home@example.com']);
+
+  // Both accounts were cached by the verifies above and see the change immediately.
+  assert.strictEqual(backend.request({ action: 'verify', token: homeToken }).status, 'paid');
+  assert.deepStrictEqual(backend.request({ action: 'verify', token: workToken }), { status: 'revoked', reason: 'transferred', entitlements: [], promoData: null });
+  assert.strictEqual(backend.scriptLock.hasLock(), false);
+});
+
+test('a code works once, only from another account and only until it expires', () => {
+  const backend = loadBackend({ now: '2026-05-01T12:00:00Z' });
+  buy(backend, 'evt_1', 'work@example.com');
+  const workToken = backend.signIn('work@example.com');
+
+  const { code } = backend.request({ action: 'createTransferCode', token: workToken });
+  assert.match(backend.request({ action: 'transferLicense', token: workToken, code }).error, /Sign in with the account/);
+  backend.request({ action: 'transferLicense', token: backend.signIn('home@example.com'), code });
+  assert.deepStrictEqual(backend.request({ action: 'transferLicense', token: backend.signIn('other@example.com'), code }),
+    { error: 'This transfer code is not valid or has expired.' });
+
+  const { code: expiring } = backend.request({ action: 'createTransferCode', token: backend.signIn('home@example.com') });
+  backend.clock.advance(16 * MINUTE);
+  assert.deepStrictEqual(backend.request({ action: 'transferLicense', token: backend.signIn('other@example.com'), code: expiring }),
+    { error: 'This transfer code is not valid or has expired.' });
+  assert.strictEqual(paymentRows(backend)[0][0], 'home@example.com');
+  assert.deepStrictEqual(backend.request({ action: 'transferLicense', token: workToken, code: '' }), { error: 'Please enter a transfer code.' });
+});
+
+test('keeps refunded and team license purchases with the buyer', () => {
+  const backend = loadBackend({
+    sheets: {
+      Licenses: [['LicenseID', 'OwnerEmail', 'Seats', 'Domain', 'CreatedAt']],
+      Seats: [['LicenseID', 'Email', 'AddedAt']]
+    }
+  });
+  const workToken = backend.signIn('work@example.com');
+  assert.deepStrictEqual(backend.request({ action: 'createTransferCode', token: workToken }),
+    { error: 'There is no purchase on this account that can be transferred.' });
+
+  buy(backend, 'evt_refunded', 'work@example.com');
+  backend.webhook(chargeRefunded('evt_refund', { payment_intent: 'pi_evt_refunded' }));
+  buy(backend, 'evt_team', 'work@example.com', { metadata: { license_type: 'seats', license_seats: '2' } });
+  buy(backend, 'evt_1', 'work@example.com');
+  const { code, purchases } = backend.request({ action: 'createTransferCode', token: workToken });
+  assert.strictEqual(purchases, 1);
+
+  backend.request({ action: 'transferLicense', token: backend.signIn('home@example.com'), code });
+  assert.deepStrictEqual(paymentRows(backend).map(row => [row[0], row[2]]), [
+    ['work@example.com', 'evt_refunded'],
+    ['work@example.com', 'evt_team'],
+    ['home@example.com', 'evt_1'],
+    ['work@example.com', 'transfer_1_evt_1']
+  ]);
+});
+
+test('a purchase can only be transferred TRANSFER_LIMIT times', () => {
+  const backend = loadBackend({ properties: { TRANSFER_LIMIT: '2' } });
+  buy(backend, 'evt_1', 'a@example.com');
+  const move = (from, to) => {
+    const created = backend.request({ action: 'createTransferCode', token: backend.signIn(from) });
+    if (created.error) return created;
+    return backend.request({ action: 'transferLicense', token: backend.signIn(to), code: created.code });
+  };
+
+  assert.strictEqual(move('a@example.com', 'b@example.com').transferred, 1);
+  assert.strictEqual(move('b@example.com', 'c@example.com').transferred, 1);
+  assert.deepStrictEqual(move('c@example.com', 'd@example.com'), { error: 'Your purchases were already transferred 2 times, the most allowed.' });
+  assert.deepStrictEqual(paymentRows(backend).map(row => row[2]), ['evt_1', 'transfer_1_evt_1', 'transfer_2_evt_1']);
+  assert.strictEqual(backend.request({ action: 'verify', token: backend.signIn('c@example.com') }).status, 'paid');
+});
+
+test('refunds of a transferred subscription revoke the moved row, not the audit row', () => {
+  const backend = loadBackend();
+  backend.webhook(subscriptionEvent('evt_s', 'customer.subscription.created', { id: 'sub_1', status: 'active', metadata: { email: 'work@example.com' } }));
+  const { code } = backend.request({ action: 'createTransferCode', token: backend.signIn('work@example.com') });
+  const homeToken = backend.signIn('home@example.com');
+  backend.request({ action: 'transferLicense', token: homeToken, code });
+  assert.strictEqual(backend.request({ action: 'verify', token: homeToken }).status, 'paid');
+
+  backend.stripe.invoices.set('in_1', { id: 'in_1', subscription: 'sub_1', status: 'paid' });
+  backend.webhook(chargeRefunded('evt_r', { payment_intent: 'pi_in_1', invoice: 'in_1', billing_details: { email: 'work@example.com' } }));
+
+  assert.deepStrictEqual(paymentRows(backend).map(row => [row[0], row[2], row[7]]), [
+    ['home@example.com', 'evt_s', 'refunded'],
+    ['work@example.com', 'transfer_1_evt_s', 'transferred']
+  ]);
+  assert.strictEqual(backend.request({ action: 'verify', token: homeToken }).status, 'revoked');
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadBackend } = require('./harness/appsScript');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function trialBackend(properties = { TRIAL_DAYS: '7' }) {
+  return loadBackend({
+    now: '2026-05-01T12:00:00Z',
+    properties,
+    sheets: { Trials: [['Email', 'TrialStart', 'TrialEnd']] }
+  });
+}
+
+test('starts a trial on the first verify and counts it down', () => {
+  const backend = trialBackend();
+  const token = backend.signIn('new@example.com');
+
+  assert.deepStrictEqual(backend.request({ action: 'verify', token }), {
+    status: 'trial', daysLeft: 7, trialEndsAt: '2026-05-08T12:00:00.000Z', entitlements: ['premium'], promoData: null
+  });
+
+  backend.clock.advance(5 * DAY + 60 * 1000);
+  assert.strictEqual(backend.request({ action: 'verify', token: backend.signIn('new@example.com') }).daysLeft, 2);
+  assert.strictEqual(backend.rows('Trials').length, 2);
+});
+
+test('does not restart an expired trial', () => {
+  const backend = trialBackend();
+  const token = backend.signIn('new@example.com');
+  backend.request({ action: 'verify', token });
+
+  backend.clock.advance(8 * DAY);
+  backend.cache.remove('trial_end_new@example.com');
+
+  assert.strictEqual(backend.request({ action: 'verify', token: backend.signIn('new@example.com') }).status, 'not_premium');
+  assert.strictEqual(backend.rows('Trials').length, 2);
+});
+
+test('does not give trials to users with a payment on record', () => {
+  const backend = trialBackend();
+  backend.rows('Payments').push(['old@example.com', new Date(), 'evt_1', 'sub_1', 'canceled', new Date('2026-04-01T00:00:00Z')]);
+  const token = backend.signIn('old@example.com');
+
+  assert.strictEqual(backend.request({ action: 'verify', token }).status, 'not_premium');
+  assert.strictEqual(backend.rows('Trials').length, 1);
+});
+
+test('trials are off without TRIAL_DAYS', () => {
+  const backend = trialBackend({});
+  const token = backend.signIn('new@example.com');
+
+  assert.strictEqual(backend.request({ action: 'verify', token }).status, 'not_premium');
+  assert.strictEqual(backend.rows('Trials').length, 1);
+});
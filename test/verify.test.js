@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadBackend } = require('./harness/appsScript');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('rejects requests without a token', () => {
+  const backend = loadBackend();
+  assert.deepStrictEqual(backend.request({ action: 'verify' }), { error: 'Missing authentication token' });
+});
+
+test('rejects tokens that tokeninfo does not accept', () => {
+  const backend = loadBackend();
+  assert.deepStrictEqual(backend.request({ action: 'verify', token: 'forged' }), { error: 'Invalid or expired token' });
+});
+
+test('rejects tokens issued to another OAuth client', () => {
+  const backend = loadBackend();
+  const token = backend.signIn('user@example.com', { aud: 'other-app.apps.googleusercontent.com', azp: 'other-app.apps.googleusercontent.com' });
+  assert.deepStrictEqual(backend.request({ action: 'verify', token }), { error: 'Invalid or expired token' });
+  assert.ok(backend.errorLogMessages().includes('verifyGoogleToken: Rejected a token issued to another client.'));
+});
+
+test('accepts a token whose authorized party is an allowed client', () => {
+  const backend = loadBackend({ properties: { GOOGLE_CLIENT_IDS: 'web-client.apps.googleusercontent.com, extension-client.apps.googleusercontent.com' } });
+  const token = backend.signIn('user@example.com', { aud: 'some-audience' });
+  assert.strictEqual(backend.request({ action: 'verify', token }).status, 'not_premium');
+});
+
+test('rejects every token until GOOGLE_CLIENT_IDS is set', () => {
+  const backend = loadBackend({ properties: { GOOGLE_CLIENT_IDS: '' } });
+  const token = backend.signIn('user@example.com');
+  assert.deepStrictEqual(backend.request({ action: 'verify', token }), { error: 'Invalid or expired token' });
+  assert.ok(backend.errorLogMessages().includes('verifyGoogleToken: GOOGLE_CLIENT_IDS is not set, so no token can be accepted.'));
+});
+
+test('rejects expired tokens', () => {
+  const backend = loadBackend();
+  const token = backend.signIn('user@example.com', { exp: String(Math.floor(backend.clock.now() / 1000) - 1) });
+  assert.deepStrictEqual(backend.request({ action: 'verify', token }), { error: 'Invalid or expired token' });
+});
+
+test('caches accepted tokens until they expire', () => {
+  const backend = loadBackend();
+  const token = backend.signIn('user@example.com', { exp: String(Math.floor(backend.clock.now() / 1000) + 120) });
+
+  backend.request({ action: 'verify', token });
+  backend.request({ action: 'verify', token });
+  assert.strictEqual(backend.tokeninfo.requests, 1);
+  assert.ok([...backend.cache.entries.keys()].every(key => !key.includes(token)));
+
+  // Past its expiry the token is checked again, and tokeninfo no longer accepts it.
+  backend.clock.advance(121 * 1000);
+  backend.tokeninfo.tokens.delete(token);
+  assert.deepStrictEqual(backend.request({ action: 'verify', token }), { error: 'Invalid or expired token' });
+  assert.strictEqual(backend.tokeninfo.requests, 2);
+});
+
+test('rejects unknown actions', () => {
+  const backend = loadBackend();
+  const token = backend.signIn('user@example.com');
+  assert.deepStrictEqual(backend.request({ action: 'nope', token }), { error: 'Invalid action specified' });
+});
+
+test('returns not_premium for users without a payment', () => {
+  const backend = loadBackend();
+  const token = backend.signIn('user@example.com');
+  assert.deepStrictEqual(backend.request({ action: 'verify', token }), { status: 'not_premium', entitlements: [], promoData: null });
+});
+
+test('returns paid for users with a one-time payment and caches the payment list', () => {
+  const backend = loadBackend();
+  backend.rows('Payments').push(['user@example.com', new Date(), 'evt_1']);
+  const token = backend.signIn('user@example.com');
+
+  assert.deepStrictEqual(backend.request({ action: 'verify', token }), { status: 'paid', entitlements: ['premium'], promoData: null });
+  assert.notStrictEqual(backend.cache.get(backend.context.getPaymentCacheKey_('user@example.com')), null);
+
+  // Served from the cache: a row removed from the sheet is not noticed until the cache is cleared.
+  backend.rows('Payments').splice(1);
+  assert.strictEqual(backend.request({ action: 'verify', token }).status, 'paid');
+});
+
+test('looks up paid users one at a time, however many customers there are', () => {
+  const backend = loadBackend();
+  for (let i = 0; i < 5000; i++) backend.rows('Payments').push([`customer-${i}@example.com`, new Date(), `evt_${i}`]);
+  backend.rows('Payments').push(['user@example.com', new Date(), 'evt_user']);
+
+  // The whole email column would not fit in one cache value.
+  assert.strictEqual(backend.request({ action: 'verify', token: backend.signIn('customer-4999@example.com') }).status, 'paid');
+  assert.strictEqual(backend.request({ action: 'verify', token: backend.signIn('user@example.com') }).status, 'paid');
+  assert.strictEqual(backend.request({ action: 'verify', token: backend.signIn('new@example.com') }).status, 'not_premium');
+  assert.ok([...backend.cache.entries.values()].every(entry => entry.value.length < 1000));
+});
+
+test('a changed payment only drops the cached records of its user', () => {
+  const backend = loadBackend();
+  backend.rows('Payments').push(['user@example.com', new Date(), 'evt_1', '', '', '', 'pi_1']);
+  backend.rows('Payments').push(['other@example.com', new Date(), 'evt_2', '', '', '', 'pi_2']);
+  backend.request({ action: 'verify', token: backend.signIn('user@example.com') });
+  backend.request({ action: 'verify', token: backend.signIn('other@example.com') });
+
+  backend.context.setPaymentRevocation_(2, 'refunded');
+
+  assert.strictEqual(backend.cache.get(backend.context.getPaymentCacheKey_('user@example.com')), null);
+  assert.notStrictEqual(backend.cache.get(backend.context.getPaymentCacheKey_('other@example.com')), null);
+  assert.strictEqual(backend.request({ action: 'verify', token: backend.signIn('user@example.com') }).status, 'revoked');
+});
+
+test('only grants subscriptions until the period end plus the grace window', () => {
+  const backend = loadBackend({ now: '2026-03-01T00:00:00Z', properties: { SUBSCRIPTION_GRACE_DAYS: '2' } });
+  backend.rows('Payments').push(['sub@example.com', new Date(), 'evt_1', 'sub_1', 'active', new Date('2026-03-10T00:00:00Z')]);
+  const token = backend.signIn('sub@example.com');
+
+  assert.strictEqual(backend.request({ action: 'verify', token }).status, 'paid');
+
+  // Access tokens last an hour, so the user signs in again after the clock moves on.
+  backend.clock.set(new Date('2026-03-10T00:00:00Z').getTime() + 2 * DAY - 1);
+  const laterToken = backend.signIn('sub@example.com');
+  assert.strictEqual(backend.request({ action: 'verify', token: laterToken }).status, 'paid');
+
+  backend.clock.advance(2);
+  assert.strictEqual(backend.request({ action: 'verify', token: laterToken }).status, 'not_premium');
+});
+
+test('does not grant canceled subscriptions', () => {
+  const backend = loadBackend({ now: '2026-03-01T00:00:00Z' });
+  backend.rows('Payments').push(['sub@example.com', new Date(), 'evt_1', 'sub_1', 'canceled', new Date('2026-03-10T00:00:00Z')]);
+  const token = backend.signIn('sub@example.com');
+
+  assert.strictEqual(backend.request({ action: 'verify', token }).status, 'not_premium');
+});
+
+test('returns revoked with the reason when every payment was revoked', () => {
+  const backend = loadBackend();
+  backend.rows('Payments').push(['user@example.com', new Date(), 'evt_1', '', '', '', 'pi_1', 'refunded', new Date()]);
+  const token = backend.signIn('user@example.com');
+
+  assert.deepStrictEqual(backend.request({ action: 'verify', token }), { status: 'revoked', reason: 'refunded', entitlements: [], promoData: null });
+});
+
+test('a valid payment wins over a revoked one', () => {
+  const backend = loadBackend();
+  backend.rows('Payments').push(['user@example.com', new Date(), 'evt_1', '', '', '', 'pi_1', 'refunded', new Date()]);
+  backend.rows('Payments').push(['user@example.com', new Date(), 'evt_2', '', '', '', 'pi_2', '', '']);
+  const token = backend.signIn('user@example.com');
+
+  assert.strictEqual(backend.request({ action: 'verify', token }).status, 'paid');
+});
+
+test('returns the union of the entitlements granted by the user\'s products', () => {
+  const backend = loadBackend({
+    sheets: {
+      Products: [
+        ['ProductID', 'StripePriceID', 'Entitlements', 'Name', 'Mode'],
+        ['export_pack', 'price_export', 'export, pdf', 'Export Pack', ''],
+        ['themes_pack', 'price_themes', 'themes,pdf', 'Themes Pack', '']
+      ]
+    }
+  });
+  backend.rows('Payments').push(['user@example.com', new Date(), 'evt_1', '', '', '', 'pi_1', '', '', 'export_pack']);
+  backend.rows('Payments').push(['user@example.com', new Date(), 'evt_2', '', '', '', 'pi_2', '', '', 'themes_pack']);
+  backend.rows('Payments').push(['user@example.com', new Date(), 'evt_3', '', '', '', 'pi_3', '', '', 'retired_pack']);
+  const token = backend.signIn('user@example.com');
+
+  assert.deepStrictEqual(backend.request({ action: 'verify', token }).entitlements, ['export', 'pdf', 'themes']);
+});
@@ -0,0 +1,179 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadBackend } = require('./harness/appsScript');
+const { checkoutCompleted, subscriptionEvent, chargeRefunded, paymentRows } = require('./harness/fixtures');
+
+test('records a completed checkout and adds it to the cached payments of the buyer', () => {
+  const backend = loadBackend();
+  const token = backend.signIn('user@example.com');
+  assert.strictEqual(backend.request({ action: 'verify', token }).status, 'not_premium');
+
+  const output = backend.webhook(checkoutCompleted('evt_1', 'user@example.com'));
+
+  assert.strictEqual(output.getContent(), '<p>OK</p>');
+  const [row] = paymentRows(backend);
+  assert.strictEqual(row[0], 'user@example.com');
+  assert.strictEqual(row[2], 'evt_1');
+  assert.strictEqual(row[6], 'pi_evt_1');
+  const cached = JSON.parse(backend.cache.get(backend.context.getPaymentCacheKey_('user@example.com')));
+  assert.deepStrictEqual(cached.map(record => record.email), ['user@example.com']);
+  assert.strictEqual(backend.request({ action: 'verify', token }).status, 'paid');
+});
+
+test('records the product named in the session metadata', () => {
+  const backend = loadBackend();
+
+  backend.webhook(checkoutCompleted('evt_1', 'user@example.com', { metadata: { product_id: 'export_pack' } }));
+
+  assert.strictEqual(paymentRows(backend)[0][9], 'export_pack');
+});
+
+test('skips events that were already processed', () => {
+  const backend = loadBackend();
+
+  backend.webhook(checkoutCompleted('evt_1', 'user@example.com'));
+  backend.webhook(checkoutCompleted('evt_1', 'user@example.com'));
+
+  assert.strictEqual(paymentRows(backend).length, 1);
+  assert.ok(backend.errorLogMessages().some(message => message.includes('already processed: evt_1')));
+});
+
+test('isEventProcessed matches whole event IDs only', () => {
+  const backend = loadBackend();
+  backend.rows('Payments').push(['user@example.com', new Date(), 'evt_12345']);
+
+  assert.strictEqual(backend.context.isEventProcessed_('evt_12345'), true);
+  assert.strictEqual(backend.context.isEventProcessed_('evt_123'), false);
+  assert.strictEqual(backend.context.isEventProcessed_('evt_.*'), false);
+});
+
+test('is routed as an extension request when the URL secret is wrong', () => {
+  const backend = loadBackend();
+  const output = backend.webhook(checkoutCompleted('evt_1', 'user@example.com'), 'wrong');
+
+  assert.deepStrictEqual(JSON.parse(output.getContent()), { error: 'Missing authentication token' });
+  assert.strictEqual(paymentRows(backend).length, 0);
+});
+
+test('acknowledges unparseable bodies without recording anything', () => {
+  const backend = loadBackend();
+  assert.strictEqual(backend.webhook('{not json').getContent(), '<p>OK</p>');
+  assert.strictEqual(paymentRows(backend).length, 0);
+});
+
+test('tracks subscription status and period end', () => {
+  const backend = loadBackend({ now: '2026-03-01T00:00:00Z' });
+  backend.webhook(checkoutCompleted('evt_1', 'sub@example.com', { mode: 'subscription', subscription: 'sub_1', payment_intent: null }));
+
+  backend.webhook(subscriptionEvent('evt_2', 'customer.subscription.updated', {
+    id: 'sub_1', status: 'active', items: { data: [{ current_period_end: Date.parse('2026-04-01T00:00:00Z') / 1000 }] }
+  }));
+  let [row] = paymentRows(backend);
+  assert.strictEqual(row[3], 'sub_1');
+  assert.strictEqual(row[4], 'active');
+  assert.strictEqual(row[5].toISOString(), '2026-04-01T00:00:00.000Z');
+
+  backend.webhook({ id: 'evt_3', type: 'invoice.payment_failed', data: { object: { subscription: 'sub_1' } } });
+  [row] = paymentRows(backend);
+  assert.strictEqual(row[4], 'past_due');
+  assert.strictEqual(row[5].toISOString(), '2026-04-01T00:00:00.000Z');
+
+  backend.webhook(subscriptionEvent('evt_4', 'customer.subscription.deleted', { id: 'sub_1', status: 'canceled' }));
+  assert.strictEqual(paymentRows(backend)[0][4], 'canceled');
+  assert.strictEqual(paymentRows(backend).length, 1);
+});
+
+test('records subscriptions whose events arrive before the checkout', () => {
+  const backend = loadBackend();
+
+  backend.webhook(subscriptionEvent('evt_1', 'customer.subscription.created', {
+    id: 'sub_1', status: 'active', current_period_end: 1780000000, metadata: { email: 'sub@example.com' }
+  }));
+  backend.webhook(checkoutCompleted('evt_2', 'sub@example.com', { mode: 'subscription', subscription: 'sub_1' }));
+
+  const rows = paymentRows(backend);
+  assert.strictEqual(rows.length, 1);
+  assert.strictEqual(rows[0][0], 'sub@example.com');
+  assert.strictEqual(rows[0][3], 'sub_1');
+});
+
+test('revokes a payment on full refund only', () => {
+  const backend = loadBackend();
+  backend.webhook(checkoutCompleted('evt_1', 'user@example.com'));
+
+  backend.webhook(chargeRefunded('evt_2', { payment_intent: 'pi_evt_1', refunded: false }));
+  assert.strictEqual(paymentRows(backend)[0][7] || '', '');
+
+  backend.webhook(chargeRefunded('evt_3', { payment_intent: 'pi_evt_1' }));
+  const [row] = paymentRows(backend);
+  assert.strictEqual(row[7], 'refunded');
+  assert.ok(row[8] instanceof Date);
+});
+
+test('revokes during a dispute and restores access when it is won', () => {
+  const backend = loadBackend();
+  backend.webhook(checkoutCompleted('evt_1', 'user@example.com'));
+  const dispute = { id: 'dp_1', charge: 'ch_1', payment_intent: 'pi_evt_1', status: 'needs_response' };
+
+  backend.webhook({ id: 'evt_2', type: 'charge.dispute.created', data: { object: dispute } });
+  assert.strictEqual(paymentRows(backend)[0][7], 'dispute_opened');
+
+  backend.webhook({ id: 'evt_3', type: 'charge.dispute.closed', data: { object: { ...dispute, status: 'won' } } });
+  assert.strictEqual(paymentRows(backend)[0][7], '');
+});
+
+test('matches subscription disputes through the invoice of the charge', () => {
+  const backend = loadBackend();
+  backend.webhook(subscriptionEvent('evt_1', 'customer.subscription.created', { id: 'sub_1', status: 'active', metadata: { email: 'user@example.com' } }));
+  backend.stripe.invoices.set('in_1', { id: 'in_1', subscription: 'sub_1', status: 'paid' });
+  backend.stripe.charges.set('ch_1', { id: 'ch_1', invoice: 'in_1', billing_details: { email: 'user@example.com' } });
+
+  backend.webhook({ id: 'evt_2', type: 'charge.dispute.closed', data: { object: { id: 'dp_1', charge: 'ch_1', status: 'lost' } } });
+
+  assert.strictEqual(paymentRows(backend)[0][7], 'dispute_lost');
+});
+
+test('refunds a subscription charge on its own row, not the latest purchase of the same email', () => {
+  const backend = loadBackend();
+  backend.webhook(subscriptionEvent('evt_s', 'customer.subscription.created', { id: 'sub_1', status: 'active', metadata: { email: 'user@example.com' } }));
+  backend.webhook(checkoutCompleted('evt_p', 'user@example.com', { payment_intent: 'pi_addon', metadata: { product_id: 'export_pack' } }));
+  backend.stripe.invoices.set('in_1', { id: 'in_1', parent: { subscription_details: { subscription: 'sub_1' } }, status: 'paid' });
+
+  backend.webhook(chargeRefunded('evt_r', { payment_intent: 'pi_in_1', invoice: 'in_1', billing_details: { email: 'user@example.com' } }));
+
+  assert.deepStrictEqual(paymentRows(backend).map(row => [row[2], row[7] || '']), [['evt_s', 'refunded'], ['evt_p', '']]);
+});
+
+test('leaves every row alone when a refunded charge matches no purchase', () => {
+  const backend = loadBackend();
+  backend.webhook(checkoutCompleted('evt_1', 'user@example.com'));
+
+  backend.webhook(chargeRefunded('evt_r', { id: 'ch_9', payment_intent: 'pi_unknown', billing_details: { email: 'user@example.com' } }));
+
+  assert.strictEqual(paymentRows(backend)[0][7] || '', '');
+  assert.ok(backend.errorLogMessages().some(message => message.includes('No payment found for refunded charge ch_9')));
+});
+
+test('with WEBHOOK_VERIFY_EVENTS, processes the event retrieved from Stripe', () => {
+  const backend = loadBackend({ properties: { WEBHOOK_VERIFY_EVENTS: 'true' } });
+  backend.stripe.events.set('evt_1', checkoutCompleted('evt_1', 'real@example.com'));
+
+  backend.webhook(checkoutCompleted('evt_1', 'forged@example.com'));
+
+  assert.strictEqual(paymentRows(backend)[0][0], 'real@example.com');
+  assert.strictEqual(backend.stripe.requests[0].path, '/v1/events/evt_1');
+});
+
+test('with WEBHOOK_VERIFY_EVENTS, rejects unknown, retyped and wrong-mode events', () => {
+  const backend = loadBackend({ properties: { WEBHOOK_VERIFY_EVENTS: 'true' } });
+  backend.stripe.events.set('evt_2', { ...checkoutCompleted('evt_2', 'user@example.com'), type: 'customer.created' });
+  backend.stripe.events.set('evt_3', { ...checkoutCompleted('evt_3', 'user@example.com'), livemode: true });
+
+  ['evt_1', 'evt_2', 'evt_3'].forEach(id => {
+    assert.strictEqual(backend.webhook(checkoutCompleted(id, 'forged@example.com')).getContent(), '<p>OK</p>');
+  });
+
+  assert.strictEqual(paymentRows(backend).length, 0);
+  assert.strictEqual(backend.errorLogMessages().filter(message => message.includes('REJECTED')).length, 3);
+});
@@ -18,13 +18,15 @@ module.exports = {
       patterns: [
         { from: "main.html", to: "main.html" },
         { from: "manifest.json", to: "manifest.json" },
+        { from: "_locales", to: "_locales" },
         { from: "icon_sample_16.png", to: "icon_sample_16.png" },
         { from: "icon_sample_48.png", to: "icon_sample_48.png" },
         { from: "icon_sample_128.png", to: "icon_sample_128.png" }
       ]
     }),
     new webpack.DefinePlugin({
-      'process.env.VERIFICATION_ENDPOINT': JSON.stringify(process.env.VERIFICATION_ENDPOINT)
+      'process.env.VERIFICATION_ENDPOINT': JSON.stringify(process.env.VERIFICATION_ENDPOINT),
+      'process.env.ENTITLEMENT_PUBLIC_KEY': JSON.stringify(process.env.ENTITLEMENT_PUBLIC_KEY || '')
     })
   ]
 };
\ No newline at end of file